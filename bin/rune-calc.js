@@ -0,0 +1,271 @@
+#!/usr/bin/env node
+// Command-line access to the calculator for bots and spreadsheets.
+// Usage: node bin/rune-calc.js <list|time-to-max|time-to-x|what-if> [rune] [options]   (--help for details)
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+import path from 'node:path';
+import { NOTATIONS, TIME_UNIT_COUNTS, createNumberFormat, formatEta, parseDuration } from '../src/lib/format.js';
+import { SORT_KEYS, findRune, listRunes, planCompounding, rpsForTarget } from '../src/lib/core.js';
+import { calculateCompoundingTime } from '../src/lib/simulation.js';
+import { normalizeLuck } from '../src/lib/luck.js';
+import { ownedCount } from '../src/lib/aggregation.js';
+import { VALUE_EXTRAS } from '../src/lib/roi.js';
+import { BOOST_STATS, boostSegments, buildBoost } from '../src/lib/boosts.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+
+const USAGE = `Usage: rune-calc <command> [rune] [options]
+
+Commands:
+  list                  Every rune's average time per copy at --rps, and the gain from its next copy
+  time-to-max <rune>    Time to max a rune from --count copies
+  time-to-x <rune>      Time to go from --count to --target copies
+  what-if <rune>        RPS needed to get --copies within --time
+
+Options:
+  --runes <file>        Rune data (default: public/runes.json)
+  --scales <file>       Number suffixes (default: public/scales.json)
+  --json                Print JSON instead of text
+  --notation <name>     How to write numbers: suffix, scientific, engineering or log (default: suffix)
+  --precise             Exact times: fractions of a second, and years in --notation instead of jokes
+  --units <n>           How many units to write times with, 1-5 (default: 3)
+  --rps <n>             RPS for list (default: 1M)
+  --speed <n>           In-game Rune Speed (time-to-max, time-to-x; list, for the value of additive bonuses)
+  --bulk <n>            In-game Rune Bulk (time-to-max, time-to-x; list, as for --speed)
+  --luck <n>            In-game Rune Luck (default: 1)
+  --count <n>           Copies owned now (default: 0)
+  --target <n>          Copies wanted (time-to-x)
+  --inventory <file>    JSON of owned counts by rune name, for runes picked up along the way
+  --no-pickups          Leave out runes picked up along the way
+  --boost <boost>       A timed boost as stat:factor:lasts[:starts-in], e.g. runeLuck:2:40m (list, time-to-max,
+                        time-to-x; repeatable). Stats: runeSpeed, runeBulk, runeLuck
+  --time <duration>     Time window for what-if, e.g. 90s, 30m, 2h, 1d, 1y (default: 30m)
+  --copies <n>          Copies wanted within --time (default: 1)
+  --certainty <p>       Chance to aim for, e.g. 0.9 (default: on average)
+  --filter <text>       Only runes whose name or source contains the text (list)
+  --tag <tag>           Only runes with this tag, e.g. limited (list, repeatable)
+  --source <source>     Only runes from this source (list, repeatable)
+  --bonus <type>        Only runes with a bonus of this type, e.g. runeBulk (list, repeatable)
+  --min-time <duration> Only runes taking at least this long (list)
+  --max-time <duration> Only runes taking at most this long (list)
+  --sort-by <key>       value, chance, time, bonus, max or name (list, default: chance)
+  --value-extra <stat>  Also count runeLuck or tickets gains in a rune's value (list, repeatable)
+  --sort <asc|desc>     Sort direction (list, default: asc)
+  --hide-instant        Leave out runes that take under a second (list)
+
+Numbers accept the game's suffixes (1.5M, 1,000 QnTg), scientific notation (2e400, 1.5x10^45) and powers
+of ten (e400).`;
+
+const fail = (message) => {
+    console.error(message);
+    process.exit(1);
+};
+
+const readJson = async (file) => {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        return fail(`Could not read ${file}: ${error.message}`);
+    }
+};
+
+const readDuration = (input, name) => {
+    const seconds = parseDuration(input);
+    if (seconds === null) fail(`--${name}: unreadable duration "${input}". Use a number with s, m, h, d, w or y, e.g. 30m.`);
+    return seconds;
+};
+
+const parseCount = (input, name) => {
+    const count = Number(input);
+    if (!Number.isInteger(count) || count < 0) fail(`--${name} must be a whole number, got "${input}".`);
+    return count;
+};
+
+let args;
+try {
+    args = parseArgs({
+        allowPositionals: true,
+        options: {
+            runes: { type: 'string', default: path.join(root, 'public/runes.json') },
+            scales: { type: 'string', default: path.join(root, 'public/scales.json') },
+            json: { type: 'boolean', default: false },
+            notation: { type: 'string', default: 'suffix' },
+            precise: { type: 'boolean', default: false },
+            units: { type: 'string', default: '3' },
+            rps: { type: 'string', default: '1M' },
+            speed: { type: 'string' },
+            bulk: { type: 'string' },
+            luck: { type: 'string', default: '1' },
+            count: { type: 'string', default: '0' },
+            target: { type: 'string' },
+            inventory: { type: 'string' },
+            'no-pickups': { type: 'boolean', default: false },
+            boost: { type: 'string', multiple: true, default: [] },
+            time: { type: 'string', default: '30m' },
+            copies: { type: 'string', default: '1' },
+            certainty: { type: 'string' },
+            filter: { type: 'string', default: '' },
+            tag: { type: 'string', multiple: true, default: [] },
+            source: { type: 'string', multiple: true, default: [] },
+            bonus: { type: 'string', multiple: true, default: [] },
+            'min-time': { type: 'string' },
+            'max-time': { type: 'string' },
+            'sort-by': { type: 'string', default: 'chance' },
+            'value-extra': { type: 'string', multiple: true, default: [] },
+            sort: { type: 'string', default: 'asc' },
+            'hide-instant': { type: 'boolean', default: false },
+            help: { type: 'boolean', short: 'h', default: false },
+        },
+    });
+} catch (error) {
+    fail(`${error.message}\n\n${USAGE}`);
+}
+
+const { values: options, positionals: [command, runeName] } = args;
+if (options.help || !command) {
+    console.log(USAGE);
+    process.exit(0);
+}
+
+if (!NOTATIONS.some(notation => notation.id === options.notation)) fail(`--notation must be one of ${NOTATIONS.map(notation => notation.id).join(', ')}.`);
+
+const timeFormat = { precise: options.precise, units: Number(options.units) };
+if (!TIME_UNIT_COUNTS.includes(timeFormat.units)) fail(`--units must be a whole number from 1 to ${TIME_UNIT_COUNTS.length}.`);
+
+const runes = await readJson(options.runes);
+const { parseNumber, formatNumber, formatChance, formatDuration } = createNumberFormat(await readJson(options.scales), { notation: options.notation });
+const formatTime = (seconds) => formatDuration(seconds, timeFormat);
+
+const parseValue = (input, name) => {
+    const { value, warning } = parseNumber(input);
+    if (warning) fail(`--${name}: ${warning}`);
+    return value;
+};
+
+const requireRune = () => {
+    if (!runeName) fail(`${command} needs a rune name, e.g. rune-calc ${command} Superstar`);
+    const rune = findRune(runes, runeName);
+    if (!rune) fail(`Unknown rune "${runeName}".`);
+    return rune;
+};
+
+const print = (json, text) => console.log(options.json ? JSON.stringify(json, null, 2) : text);
+
+const luck = normalizeLuck(parseValue(options.luck, 'luck'));
+
+const now = Date.now();
+const boosts = options.boost.map(input => {
+    const [stat, factor = '', lasts = '', startsIn = ''] = input.split(':');
+    if (!BOOST_STATS.includes(stat)) fail(`--boost: the stat must be one of ${BOOST_STATS.join(', ')}, got "${stat}".`);
+    const { boost, error } = buildBoost({ stat, factor, startsIn: startsIn ? parseDuration(startsIn) : 0, lasts: parseDuration(lasts) }, parseNumber, now);
+    if (error) fail(`--boost ${input}: ${error}`);
+    return boost;
+});
+
+const runList = async () => {
+    if (options.sort !== 'asc' && options.sort !== 'desc') fail('--sort must be asc or desc.');
+    if (!SORT_KEYS.includes(options['sort-by'])) fail(`--sort-by must be one of ${SORT_KEYS.join(', ')}.`);
+    const badExtra = options['value-extra'].find(extra => !VALUE_EXTRAS.includes(extra));
+    if (badExtra) fail(`--value-extra must be one of ${VALUE_EXTRAS.join(', ')}, got "${badExtra}".`);
+    const rps = parseValue(options.rps, 'rps');
+    const { runes: listed, bestValueName } = listRunes(runes, {
+        rps,
+        luck,
+        speed: options.speed === undefined ? undefined : parseValue(options.speed, 'speed'),
+        bulk: options.bulk === undefined ? undefined : parseValue(options.bulk, 'bulk'),
+        inventory: options.inventory ? await readJson(options.inventory) : {},
+        valueExtras: options['value-extra'],
+        boosts,
+        now,
+        filter: options.filter,
+        hideInstant: options['hide-instant'],
+        sortBy: options['sort-by'],
+        sortOrder: options.sort,
+        tags: options.tag,
+        sources: options.source,
+        bonusTypes: options.bonus,
+        minTime: options['min-time'] === undefined ? null : readDuration(options['min-time'], 'min-time'),
+        maxTime: options['max-time'] === undefined ? null : readDuration(options['max-time'], 'max-time'),
+    });
+    const describeGain = (rune) => (rune.gain === null ? '' : `  +${formatNumber(rune.gain.mul(100))}% next copy`);
+    print(
+        { rps, luck, bestValueName: bestValueName ?? null, runes: listed.map(({ name, source, chance, time, gain, value }) => ({ name, source, chance, time, gain, value })) },
+        listed.map(rune => `${rune.name === bestValueName ? '*' : ' '} ${rune.name} (${rune.source})  ${formatChance(rune)}  ${typeof rune.chance === 'number' ? formatTime(rune.time) : 'Special Cost'}${describeGain(rune)}`).join('\n')
+    );
+};
+
+const REASONS = {
+    'no-max': 'This rune has no max count.',
+    reached: 'Target already reached.',
+    'invalid-stats': 'Enter a --speed and --bulk above zero.',
+};
+
+const runTimeTo = async (isMax) => {
+    const rune = requireRune();
+    if (!options.speed || !options.bulk) fail(`${command} needs --speed and --bulk.`);
+    if (!isMax && options.target === undefined) fail('time-to-x needs --target.');
+    const inventory = options.inventory ? await readJson(options.inventory) : {};
+    const { rps, runesNeeded, payload, reason } = planCompounding(runes, {
+        runeName: rune.name,
+        currentCount: parseCount(options.count, 'count'),
+        targetCount: isMax ? undefined : parseCount(options.target, 'target'),
+        speed: parseValue(options.speed, 'speed'),
+        bulk: parseValue(options.bulk, 'bulk'),
+        luck,
+        inventory,
+        includePickups: !options['no-pickups'],
+        boosts,
+    });
+    if (reason) {
+        print({ rune: rune.name, rps, runesNeeded, reason }, REASONS[reason]);
+        return;
+    }
+    const { startCount, endCount, initialSpeed, initialBulk, initialLuck, companions } = payload;
+    const boostRates = boostSegments(payload.boosts, { now, rune, luck: initialLuck });
+    const { totalTime, finalRps, companionCounts, series } = calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, companions, boosts: boostRates });
+    const pickups = Object.entries(companionCounts)
+        .filter(([name, count]) => count - ownedCount(inventory, name) >= 1)
+        .map(([name, count]) => `  ${name}: ${formatNumber(ownedCount(inventory, name))} -> ${formatNumber(Math.floor(count))}`);
+    print(
+        { rune: rune.name, startCount, endCount, runesNeeded, rps, totalTime, finalRps, companionCounts, series },
+        [
+            `${rune.name}: ${formatNumber(startCount)} -> ${formatNumber(endCount)} (${formatNumber(runesNeeded)} needed)`,
+            `Initial RPS: ${formatNumber(rps)}`,
+            `Estimated time: ${formatTime(totalTime)}${formatEta(totalTime) ? ` (${formatEta(totalTime)})` : ''}`,
+            `Final RPS: ${formatNumber(finalRps)}`,
+            ...(pickups.length > 0 ? ['Picked up along the way:', ...pickups] : []),
+        ].join('\n')
+    );
+};
+
+const runWhatIf = () => {
+    const rune = requireRune();
+    const duration = readDuration(options.time, 'time');
+    const copies = Math.max(1, parseCount(options.copies, 'copies'));
+    const confidence = options.certainty === undefined ? 'mean' : parseFloat(options.certainty);
+    if (confidence !== 'mean' && !(confidence > 0 && confidence < 1)) fail('--certainty must be between 0 and 1, e.g. 0.9.');
+    const rps = rpsForTarget(rune, { duration, copies, confidence, luck });
+    print(
+        { rune: rune.name, duration, copies, confidence, luck, rps },
+        `${confidence === 'mean' ? 'On average' : `For a ${confidence * 100}% chance`}, getting ${copies} ${rune.name} within ${formatTime(duration)} needs ${formatNumber(rps)} RPS`
+    );
+};
+
+switch (command) {
+    case 'list':
+        await runList();
+        break;
+    case 'time-to-max':
+        await runTimeTo(true);
+        break;
+    case 'time-to-x':
+        await runTimeTo(false);
+        break;
+    case 'what-if':
+        runWhatIf();
+        break;
+    default:
+        fail(`Unknown command "${command}".\n\n${USAGE}`);
+}
@@ -0,0 +1,110 @@
+// --- Service Worker ---
+// Caches the app shell so the calculator keeps working offline. Page navigations and the bundled data files are
+// network-first (so new versions show up as soon as they're deployed) with the cached copy as fallback; other
+// same-origin files are served from cache first, since Vite gives them hashed names. Rune data from GitHub is left to the app's own
+// loader, which keeps its own offline copy.
+// It also announces pinned goals when their ETA passes (see Goal Notifications below).
+
+const CACHE_NAME = 'rune-calc-shell-v1';
+const SCOPE_URL = new URL(self.registration.scope);
+const SHELL_FILES = [SCOPE_URL.pathname, `${SCOPE_URL.pathname}runes.json`, `${SCOPE_URL.pathname}scales.json`];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(SHELL_FILES)).then(() => self.skipWaiting()));
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys.filter(key => key.startsWith('rune-calc-shell-') && key !== CACHE_NAME).map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+const putInCache = async (request, response) => {
+    if (response.ok) {
+        const cache = await caches.open(CACHE_NAME);
+        await cache.put(request, response.clone());
+    }
+    return response;
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== SCOPE_URL.origin || !url.pathname.startsWith(SCOPE_URL.pathname)) return;
+
+    if (request.mode === 'navigate') {
+        event.respondWith(
+            fetch(request)
+                .then(response => putInCache(SCOPE_URL.pathname, response))
+                .catch(() => caches.match(SCOPE_URL.pathname))
+        );
+        return;
+    }
+
+    // The bundled data files keep their names between deploys, so they're network-first too.
+    if (url.pathname.endsWith('.json')) {
+        event.respondWith(
+            fetch(request)
+                .then(response => putInCache(url.pathname, response))
+                .catch(() => caches.match(url.pathname))
+        );
+        return;
+    }
+
+    event.respondWith(
+        caches.match(request).then(cached => cached || fetch(request).then(response => putInCache(request, response)))
+    );
+});
+
+// --- Goal Notifications ---
+// The page sends { type: 'goal-schedule', notifications: [{ tag, at, title, body }] } for every running goal
+// (see src/lib/goals.js), replacing the previous schedule, and each goal announced here is reported back to open
+// pages as { type: 'goal-notified', tag } so they mark it and don't announce it again.
+// There's no cross-browser way to wake a worker at a set time (Notification Triggers never shipped, and periodic
+// sync is hours-granular and only for installed apps), so these are plain timers. event.waitUntil keeps the
+// worker alive for them as long as the browser allows, which is minutes rather than hours: long ETAs are
+// announced by the page's own check (useGoalNotifications) once a tab of the calculator is open.
+
+const MAX_TIMER_MS = 2 ** 31 - 1; // setTimeout fires at once beyond this; later goals wait for a newer schedule.
+const goalTimers = new Map();
+let endSchedule = () => {};
+
+const reportNotified = async (tag) => {
+    const windows = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    for (const client of windows) client.postMessage({ type: 'goal-notified', tag });
+};
+
+self.addEventListener('message', (event) => {
+    if (event.data?.type !== 'goal-schedule') return;
+    for (const timer of goalTimers.values()) clearTimeout(timer);
+    goalTimers.clear();
+    endSchedule();
+
+    const now = Date.now();
+    const announcements = [];
+    for (const { tag, at, title, body } of event.data.notifications) {
+        const delay = Math.max(0, at - now);
+        if (delay > MAX_TIMER_MS) continue;
+        announcements.push(new Promise(resolve => {
+            goalTimers.set(tag, setTimeout(() => {
+                goalTimers.delete(tag);
+                resolve(self.registration.showNotification(title, { body, tag }).then(() => reportNotified(tag)));
+            }, delay));
+        }));
+    }
+    // Settles once every timer has fired, or early when a newer schedule replaces this one.
+    event.waitUntil(new Promise(resolve => {
+        endSchedule = resolve;
+        Promise.allSettled(announcements).then(resolve);
+    }));
+});
+
+self.addEventListener('notificationclick', (event) => {
+    event.notification.close();
+    event.waitUntil(
+        self.clients.matchAll({ type: 'window', includeUncontrolled: true })
+            .then(windows => (windows.length > 0 ? windows[0].focus() : self.clients.openWindow(SCOPE_URL.pathname)))
+    );
+});
@@ -0,0 +1,41 @@
+#!/usr/bin/env node
+// Prints a data-quality report for runes.json and scales.json, so data changes can be checked before merging.
+// Usage: node scripts/validate-data.js [runes.json] [scales.json]
+// Exits with status 1 when there are errors (warnings alone don't fail).
+
+import { readFile } from 'node:fs/promises';
+import { fileURLToPath } from 'node:url';
+import path from 'node:path';
+import { validateData } from '../src/lib/validation.js';
+
+const root = path.dirname(path.dirname(fileURLToPath(import.meta.url)));
+const [runesPath = path.join(root, 'public/runes.json'), scalesPath = path.join(root, 'public/scales.json')] = process.argv.slice(2);
+
+const readJson = async (file) => {
+    try {
+        return JSON.parse(await readFile(file, 'utf8'));
+    } catch (error) {
+        console.error(`Could not read ${file}: ${error.message}`);
+        process.exit(1);
+    }
+};
+
+const runes = await readJson(runesPath);
+const scales = await readJson(scalesPath);
+const { issues, errorCount, warningCount } = validateData({ runes, scales });
+
+const groups = new Map();
+for (const issue of issues) {
+    const group = issue.rune ?? (issue.path.startsWith('scales') ? 'scales.json' : 'runes.json');
+    groups.set(group, [...(groups.get(group) || []), issue]);
+}
+
+for (const [group, groupIssues] of groups) {
+    console.log(`\n${group}`);
+    for (const { level, path: issuePath, message } of groupIssues) {
+        console.log(`  ${level === 'error' ? 'ERROR' : 'warn '}  ${issuePath} ${message}`);
+    }
+}
+
+console.log(`\n${errorCount} error(s), ${warningCount} warning(s) in ${path.relative(process.cwd(), runesPath)} and ${path.relative(process.cwd(), scalesPath)}`);
+process.exitCode = errorCount > 0 ? 1 : 0;
@@ -1,10 +1,256 @@
-import React, { useState, useMemo, useEffect, useRef } from 'react';
+import React, { useState, useMemo, useEffect, useCallback } from 'react';
+import { BigNum } from './lib/bigNumber.js';
+import { describeFormula, hasFormula, isFullyModelled } from './lib/formulas.js';
+import { getRuneMaxCount } from './lib/caps.js';
+import { validateData } from './lib/validation.js';
+import { effectiveChance, normalizeLuck } from './lib/luck.js';
+import { PERCENTILES, chanceWithin, timePercentile } from './lib/probability.js';
+import { buildShareUrl, readUrlState, runeCardId, writeUrlState } from './lib/urlState.js';
+import { DEFAULT_PROFILE_DATA, getActiveProfile, loadProfileStore, sanitizeListFilters, saveProfileStore, updateProfileData } from './lib/profiles.js';
+import { DATA_SOURCE_LABELS, loadAppData } from './lib/dataLoader.js';
+import { DEFAULT_TIME_FORMAT, NOTATIONS, TIME_UNIT_COUNTS, createNumberFormat, parseDuration } from './lib/format.js';
+import { loadCustomRunes, mergeCustomRunes, saveCustomRunes } from './lib/customRunes.js';
+import { boostedTime, boostSegments, loadBoosts, pendingBoosts, saveBoosts } from './lib/boosts.js';
+import { createGoal, loadGoals, saveGoals } from './lib/goals.js';
+import { SORT_KEYS, findRune, listRunes, planCompounding, rpsForTarget } from './lib/core.js';
+import { useSimulationWorker } from './hooks/useSimulationWorker.js';
+import { useGoalNotifications } from './hooks/useGoalNotifications.js';
+import { ownedCount } from './lib/aggregation.js';
+import InventoryTab from './components/InventoryTab.jsx';
+import FarmingPlanTab from './components/FarmingPlanTab.jsx';
+import SourceSimulationTab from './components/SourceSimulationTab.jsx';
+import MonteCarloPanel from './components/MonteCarloPanel.jsx';
+import ProfileBar from './components/ProfileBar.jsx';
+import GrowthCharts from './components/GrowthCharts.jsx';
+import RuneEditorTab from './components/RuneEditorTab.jsx';
+import NumberReading from './components/NumberReading.jsx';
+import Eta from './components/Eta.jsx';
+import ListFilters from './components/ListFilters.jsx';
+import BoostScheduler from './components/BoostScheduler.jsx';
+import ProgressLogTab from './components/ProgressLogTab.jsx';
+import GoalsPanel from './components/GoalsPanel.jsx';
+import GoalQueueTab from './components/GoalQueueTab.jsx';
 
 // --- App Info & Data ---
-const version = '1.8.0';
+const version = '1.33.0';
 const guideLink = 'https://docs.google.com/spreadsheets/d/1FWuPcp1QvIn-TAJkD1nRPtZnVwotBHcqR17xOR8SkHg/htmlview?gid=623912504#gid=539880323';
 
 const changelog = [
+    {
+        version: '1.33.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a Goal Queue tab: line up steps like "Immortality to 500, then Hyper Finality to 26, then Odyssey to max", each starting with the Rune Speed, Bulk and Luck the earlier steps earned.',
+            'See each step\'s time and when it\'s done from the start, plus the total. Move steps up or down to compare orders: the previous total stays up until the next change.',
+            'Each profile keeps its own queue.'
+        ]
+    },
+    {
+        version: '1.32.0',
+        date: '2026-10-19',
+        changes: [
+            'Added goals: pin a Time to Max or Time to X result, or the next copy of a rune on the main list, and follow its countdown and progress bar under 🎯 Goals.',
+            'Turn on notifications in the Goals panel to get an alert when a goal\'s time is up, even with the tab in the background. Goals are saved on this device.'
+        ]
+    },
+    {
+        version: '1.31.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a Progress Log tab: record snapshots of your rune counts and Rune Speed, Bulk and Luck while you play.',
+            'Between snapshots, the runes you gained are checked against the calculator\'s prediction, showing how far off it was per rune and per source, and a correction factor for its times.',
+            'Download report saves the log and comparison as JSON, the most useful feedback you can send about the "Time to..." estimates. Each profile keeps its own log.'
+        ]
+    },
+    {
+        version: '1.30.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a boost scheduler for event buffs and potions: pick Rune Speed, Rune Bulk or Rune Luck, a factor, and when it starts and how long it lasts.',
+            'The main list, the custom rune calculator, Time to Max, Time to X and Monte Carlo runs count each boost only while it lasts, so a x2 luck event ending in 40 minutes speeds up the first 40 minutes of a 2-hour rune and no more.',
+            'Boosts are saved on this device and drop off once they end.'
+        ]
+    },
+    {
+        version: '1.29.0',
+        date: '2026-10-19',
+        changes: [
+            'Each rune card now shows what its next copy is worth: the RPS gain it brings (from your Rune Speed and Rune Bulk) and that gain per hour of farming it.',
+            'Sort the list by value to see which rune speeds you up most for the time it takes. "More filters" can also count Rune Luck and Tickets gains towards value.',
+            'The "Next Target (< 1 Hour)" highlight is replaced by "Best Value Now", the rune with the highest value in the list.'
+        ]
+    },
+    {
+        version: '1.28.0',
+        date: '2026-10-19',
+        changes: [
+            'The main list has more filters: pick tags (limited, hidden, exponential), sources and bonus types (e.g. only runes granting Rune Bulk or Tickets), and a time range like "at least 1m, at most 1d".',
+            'Sort the list by chance, time, bonus size, max count or name, either way round.',
+            'Your filters, sorting and Hide Instant choice are now saved with your profile.'
+        ]
+    },
+    {
+        version: '1.27.0',
+        date: '2026-10-19',
+        changes: [
+            'New "Times" setting: Precise mode shows fractions of a second, keeps decimals on the last unit, and writes very long times in your number notation ("3.2 Qd years") instead of a joke, so hard runes can be compared.',
+            'Choose how many units times are written with, from "1 day" up to "1 day, 1 hour, 1 minute, 1 second".',
+            'Time results now show when they\'d finish if you started now, e.g. "done Tue 21 Oct, 14:30".'
+        ]
+    },
+    {
+        version: '1.26.0',
+        date: '2026-10-19',
+        changes: [
+            'New "Numbers" setting: show values with suffixes (1.5 QnTg), in scientific (1.50e+108) or engineering (15.0e+108) notation, or as powers of ten (e108.18).',
+            'Every number box now reads the same forms: suffixes, thousands separators (1,000 QnTg), scientific notation (1.2e45, 1.5 x 10^45), powers of ten (e400) and negative numbers.',
+            'Under each box, a note shows exactly how your input was read, or why it couldn\'t be (for example an unknown or ambiguous suffix).'
+        ]
+    },
+    {
+        version: '1.25.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a Custom Runes tab: give a new rune a name, source, chance, max and bonuses (with caps, max counts and exponential flags), or start from a listed rune to correct it.',
+            'Custom runes are saved on this device, tagged "custom", and work in every tab, including Time to Max.',
+            'Export patch downloads your custom runes as a JSON Patch against runes.json, ready to submit.'
+        ]
+    },
+    {
+        version: '1.24.0',
+        date: '2026-10-19',
+        changes: [
+            'The calculations now live in a standalone core shared with a new command-line tool, bin/rune-calc.js. It answers list, time-to-max, time-to-x and what-if queries from local JSON files, as text or JSON.',
+            'Added a test suite (npm test) that pins the current numbers.'
+        ]
+    },
+    {
+        version: '1.23.0',
+        date: '2026-10-19',
+        changes: [
+            'Time to Max and Time to X now chart the run: copies owned and RPS against time elapsed, both on log scales, so you can see where compounding kicks in and where capped bonuses flatten growth.',
+            'Hover either chart to see the count, speed, bulk and RPS at that point.'
+        ]
+    },
+    {
+        version: '1.22.0',
+        date: '2026-10-19',
+        changes: [
+            'Added named profiles for alt accounts or before/after scenarios. Each profile keeps its own RPS, speed, bulk, luck, selected rune, counts, Monte Carlo settings and inventory.',
+            'Switch, create, duplicate, rename and delete profiles from the bar above the tabs. Your existing saved values become the "Default" profile.',
+            'Export downloads every profile as a JSON file; Import adds the profiles from one, so you can move them between browsers.'
+        ]
+    },
+    {
+        version: '1.21.0',
+        date: '2026-10-19',
+        changes: [
+            'The page address now holds your inputs: the open tab, RPS, speed, bulk and luck, the selected rune and counts, and the list filter and sort. Share it and others see exactly what you see.',
+            'Added a "Copy link" button, plus a link button on every rune card that opens the list scrolled to that rune.',
+            'Opening a shared link uses its values instead of the ones saved on your device.'
+        ]
+    },
+    {
+        version: '1.20.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a Monte Carlo mode to Time to Max and Time to X. It runs 1,000 random trials of farming the rune and shows the mean, median, the range 90% of trials finish in, and a histogram, next to the usual estimate.',
+            'Trials are seeded, so the same seed always gives the same results.'
+        ]
+    },
+    {
+        version: '1.19.0',
+        date: '2026-10-19',
+        changes: [
+            'Rune times are averages, but drops are random. Rune cards and the custom rune calculator now also show the times within which you have a 50%, 90% and 99% chance of getting the rune.',
+            'Choose a number of copies and a length of time above the rune list to see your chance of getting at least that many within it.',
+            'The "What If?" tab can now work out the RPS needed for a 50%, 90% or 99% chance of getting a number of copies in time, as well as the average.'
+        ]
+    },
+    {
+        version: '1.18.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a "Source Simulator" tab. It farms every rune from a source at once for a chosen time and shows the expected count of each rune, how long each takes to max, and how much your speed, bulk, luck and RPS grow.'
+        ]
+    },
+    {
+        version: '1.17.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a Rune Luck input, shared between the main list and the "Time to..." tabs. Rune times now use the chance after luck for every rune luck applies to.',
+            'Runes that Rune Luck doesn\'t affect (the Galactic runes) are marked as such and always use their listed chance.',
+            'The "Time to..." simulations and the Farming Plan now count luck-granting runes like Kingslayer, Divinity and Oscillon as you gain them.'
+        ]
+    },
+    {
+        version: '1.16.0',
+        date: '2026-10-19',
+        changes: [
+            'Added a "Farming Plan" tab. Pick a goal, such as owning a rune or reaching an RPS, and it plans which runes to farm first and for how long, with the time for each step and the total.',
+            'Plans account for the bonuses each rune gives you and for runes picked up along the way.'
+        ]
+    },
+    {
+        version: '1.15.0',
+        date: '2026-10-19',
+        changes: [
+            'Added an "Inventory" tab for recording how many of every rune you own. It combines all of their bonuses into account-wide totals for Rune Speed, Bulk, Luck, Tickets and the rest.',
+            'Time to Max and Time to X can now include other runes from the same source that you pick up along the way, starting from your inventory counts. Turn this off with "Include runes picked up along the way".'
+        ]
+    },
+    {
+        version: '1.14.0',
+        date: '2026-10-19',
+        changes: [
+            'The calculator now works offline. If GitHub can\'t be reached, it falls back to the last good copy of the rune data saved on your device, and then to the copy bundled with the app.',
+            'The header shows which data source is in use and when it was fetched.',
+            'The app itself is cached by a service worker, so it loads without a connection after your first visit.'
+        ]
+    },
+    {
+        version: '1.13.0',
+        date: '2026-10-19',
+        changes: [
+            'Rune and scale data is now checked against a schema when it loads. Runes with malformed, unsupported or ambiguous entries show their data issues on their card.',
+            'Added a "validate:data" script that prints the same report from the command line, for checking data changes before they are merged.'
+        ]
+    },
+    {
+        version: '1.12.0',
+        date: '2026-10-19',
+        changes: [
+            '"Time to Max" and "Time to X Runes" now run in a background worker, so the page stays responsive while typing, with a progress readout for long runs.',
+            'A new solver handles long stretches of identical bonus steps in geometric chunks instead of one rune at a time, so Odyssey, Overlord or Nexus finish almost instantly.',
+            'Changing an input cancels the calculation that was in progress.'
+        ]
+    },
+    {
+        version: '1.11.0',
+        date: '2026-10-19',
+        changes: [
+            'Bonus caps are now enforced: simulated Rune Speed and Bulk stop growing at each bonus\'s in-game max.',
+            'Runes whose bonuses max out at different counts (e.g. Rocket, Raze, Glint) now list a cap count per bonus and appear in the "Time to Max" dropdown.',
+            'Once every speed/bulk bonus has capped, the remaining runes are calculated in one step instead of one at a time.'
+        ]
+    },
+    {
+        version: '1.10.0',
+        date: '2026-10-19',
+        changes: [
+            'Rune bonuses can now carry a structured formula (e.g. 1.0005^n for Immortality), evaluated at your owned count.',
+            '"Time to Max" and "Time to X Runes" use the real per-count value for these bonuses, so exponential runes like Immortality, Odyssey, Hyper Finality and Vanta compound correctly.',
+            'The alpha warning is no longer shown for runes whose bonuses are fully described by formulas.'
+        ]
+    },
+    {
+        version: '1.9.0',
+        date: '2026-10-19',
+        changes: [
+            'Introduced a big-number engine: all parsing, formatting and "Time to..." simulations now handle values far beyond 1e308 instead of collapsing to Infinity.',
+            'Scientific input such as "2e400" is now read exactly, and numbers past the largest suffix are shown in scientific notation.'
+        ]
+    },
     {
         version: '1.8.0',
         date: '2025-08-07',
@@ -60,86 +306,50 @@ const trackEvent = (eventName, eventParams) => {
 
 
 // --- Helper Functions ---
-const foreverQuotes = [
-    "Heat death of the universe",
-    "Basically forever",
-    "Just don't even try",
-    "An eternity or two",
-    "Beyond comprehension"
-];
-
-function formatTime(totalSeconds) {
-    if (totalSeconds < 0 || !isFinite(totalSeconds)) return '...';
-    if (totalSeconds < 1) return 'Instant';
-
-    const oneHundredYearsInSeconds = 100 * 31536000;
-    if (totalSeconds > oneHundredYearsInSeconds) {
-        return foreverQuotes[Math.floor(Math.random() * foreverQuotes.length)];
-    }
-
-    const units = [{ l: 'year', s: 31536000 }, { l: 'day', s: 86400 }, { l: 'hour', s: 3600 }, { l: 'minute', s: 60 }, { l: 'second', s: 1 }];
-    let remaining = totalSeconds;
-    const parts = [];
-    for (const { l, s } of units) {
-        if (remaining >= s) {
-            const count = Math.floor(remaining / s);
-            parts.push(`${count} ${l}${count > 1 ? 's' : ''}`);
-            remaining %= s;
-        }
-    }
-    return parts.slice(0, 3).join(', ');
+function formatPercent(probability) {
+    if (probability >= 0.9995) return probability === 1 ? '100%' : '>99.9%';
+    if (probability < 0.0005) return probability === 0 ? '0%' : '<0.1%';
+    return `${(probability * 100).toFixed(1)}%`;
 }
 
-// --- Iterative Calculation Logic ---
-const calculateCompoundingTime = (rune, startCount, endCount, initialSpeed, initialBulk) => {
-    if (!rune || !rune.bonuses) return { totalTime: Infinity, finalRps: 0 };
-
-    let currentSpeed = initialSpeed;
-    let currentBulk = initialBulk;
-    let totalTimeSeconds = 0;
-
-    for (let count = startCount; count < endCount; count++) {
-        const currentRps = currentSpeed * currentBulk;
-        if (currentRps <= 0) return { totalTime: Infinity, finalRps: 0 };
+// The saved "Times" setting, falling back to the default for anything missing or unreadable.
+const readTimeFormat = (saved) => {
+    try {
+        const { precise, units } = JSON.parse(saved) || {};
+        return { precise: precise === true, units: TIME_UNIT_COUNTS.includes(units) ? units : DEFAULT_TIME_FORMAT.units };
+    } catch {
+        return DEFAULT_TIME_FORMAT;
+    }
+};
 
-        const timeForNextRune = rune.chance / currentRps;
-        totalTimeSeconds += timeForNextRune;
+const BOOST_TICK_MS = 60 * 1000;
 
-        // Apply bonuses for the rune that was just "acquired"
-        rune.bonuses.forEach(bonus => {
-            if (typeof bonus.value !== 'number') return;
+// Sort key names for the main list, and what ascending/descending mean for each.
+const SORT_LABELS = {
+    value: { label: 'value', asc: 'Worst First', desc: 'Best First' },
+    chance: { label: 'chance', asc: 'Easiest First', desc: 'Hardest First' },
+    time: { label: 'time', asc: 'Quickest First', desc: 'Slowest First' },
+    bonus: { label: 'bonus size', asc: 'Smallest First', desc: 'Largest First' },
+    max: { label: 'max count', asc: 'Lowest First', desc: 'Highest First' },
+    name: { label: 'name', asc: 'A to Z', desc: 'Z to A' },
+};
 
-            const value = bonus.value;
-            // This logic assumes bonuses are applied based on having the rune, not per count.
-            // Exponential logic would need to be more specific if it depends on the count.
-            if (bonus.isExponential || bonus.isDualExponential) {
-                // NOTE: The current data doesn't provide a clear formula for how exponential bonuses scale with count.
-                // This calculation is a placeholder and likely inaccurate for exponential runes.
-                // For now, we treat it like a standard multiplier. A more complex, formula-parsing implementation is needed for full accuracy.
-            }
+// Next-copy gain and value (gain per hour) for a main list card.
+const RuneValue = ({ gain, value, formatNumber }) => (
+    gain.gt(0)
+        ? <p className="text-xs text-green-400 mt-1">Next copy: +{formatNumber(gain.mul(100))}% · {formatNumber(value.mul(360000))}%/hour</p>
+        : <p className="text-xs text-gray-500 mt-1">Next copy: no speed gain</p>
+);
 
-            if (bonus.type === 'runeSpeed') {
-                if (bonus.modifier === 'additive') {
-                    currentSpeed += value;
-                } else if (bonus.modifier === 'multiplier') {
-                    currentSpeed *= value;
-                } else if (bonus.modifier === 'power') {
-                    currentSpeed = Math.pow(currentSpeed, value);
-                }
-            } else if (bonus.type === 'runeBulk') {
-                if (bonus.modifier === 'additive') {
-                    currentBulk += value;
-                } else if (bonus.modifier === 'multiplier') {
-                    currentBulk *= value;
-                } else if (bonus.modifier === 'power') {
-                    currentBulk = Math.pow(currentBulk, value);
-                }
-            }
-        });
-    }
+// --- Compounding Simulation Display ---
+// The compounding solver itself lives in lib/simulation.js and runs on the simulation worker.
+const TIME_TO_MAX_MESSAGES = { 'unknown-rune': 'Select a rune', 'no-max': 'Max count not specified', reached: 'Already maxed!', 'invalid-stats': 'Enter valid stats' };
+const TIME_TO_X_MESSAGES = { ...TIME_TO_MAX_MESSAGES, reached: 'Target reached or passed!' };
 
-    const finalRps = currentSpeed * currentBulk;
-    return { totalTime: totalTimeSeconds, finalRps };
+const describeSimulation = (simulation, formatTime) => {
+    if (simulation.status === 'done') return formatTime(BigNum.from(simulation.result.totalTime));
+    if (simulation.status === 'error') return 'Calculation failed';
+    return `Calculating... ${Math.round(simulation.progress * 100)}%`;
 };
 
 
@@ -148,22 +358,66 @@ const calculateCompoundingTime = (rune, startCount, endCount, initialSpeed, init
 const AlphaWarning = () => (
     <div className="bg-red-900/50 border-2 border-dashed border-red-500/30 text-red-200 text-center p-3 rounded-lg mb-6">
         <h3 className="font-bold text-lg">ALPHA WARNING</h3>
-        <p className="text-sm">These "Time to..." calculators are for feedback only. The logic is experimental and likely inaccurate, especially for runes with exponential bonuses. Please do not rely on these estimates for serious planning yet. Also, don't spam me with issues. I've probably already been told about them. P.S. Gaining global runes will completely break any sort of accuracy in the time estimate.</p>
+        <p className="text-sm">These "Time to..." calculators are for feedback only. The logic is experimental and likely inaccurate, especially for runes with exponential bonuses. Please do not rely on these estimates for serious planning yet. Also, don't spam me with issues. I've probably already been told about them. If you want to help, a Progress Log report shows how far off they are for you. P.S. Only runes from the same source are included as you pick them up; bonuses from other sources stay as they are in your entered stats.</p>
     </div>
 );
 
-const TargetCalculator = ({ runesData, formatNumber }) => {
+const PickupToggle = ({ includePickups, setIncludePickups }) => (
+    <label className="flex items-center justify-center gap-2 text-sm text-gray-300 cursor-pointer">
+        <input type="checkbox" checked={includePickups} onChange={e => setIncludePickups(e.target.checked)} className="accent-cyan-500" />
+        Include runes picked up along the way
+    </label>
+);
+
+const PinGoalButton = ({ onPin }) => {
+    const [pinned, setPinned] = useState(false);
+    const handlePin = () => {
+        onPin();
+        setPinned(true);
+        setTimeout(() => setPinned(false), 2000);
+    };
+    return (
+        <button onClick={handlePin} className="text-xs text-cyan-300 hover:text-white underline mt-1" title="Count down to this under Goals">
+            {pinned ? 'Pinned!' : '📌 Pin as goal'}
+        </button>
+    );
+};
+
+const PickupSummary = ({ simulation, inventory, formatNumber }) => {
+    if (simulation.status !== 'done') return null;
+    const gained = Object.entries(simulation.result.companionCounts || {})
+        .filter(([name, count]) => count - ownedCount(inventory, name) >= 1);
+    if (gained.length === 0) return null;
+
+    return (
+        <div>
+            <p className="text-gray-400">Picked Up Along the Way</p>
+            <div className="text-sm text-gray-300 mt-1 space-y-0.5">
+                {gained.map(([name, count]) => (
+                    <p key={name}>{name}: {formatNumber(ownedCount(inventory, name))} → {formatNumber(Math.floor(count))}</p>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const TargetCalculator = ({ runesData, luck, formatNumber }) => {
     const [targetRuneName, setTargetRuneName] = useState(runesData[0].name);
     const [targetTime, setTargetTime] = useState('30');
     const [targetTimeUnit, setTargetTimeUnit] = useState('60'); // minutes
+    const [targetCopies, setTargetCopies] = useState('1');
+    const [confidence, setConfidence] = useState('mean');
+
+    const copies = Math.max(1, parseInt(targetCopies, 10) || 1);
+
+    const requiredRps = useMemo(() => rpsForTarget(findRune(runesData, targetRuneName), {
+        duration: parseFloat(targetTime) * parseFloat(targetTimeUnit),
+        copies,
+        confidence: confidence === 'mean' ? 'mean' : parseFloat(confidence),
+        luck,
+    }), [targetRuneName, targetTime, targetTimeUnit, copies, confidence, luck, runesData]);
 
-    const requiredRps = useMemo(() => {
-        const rune = runesData.find(r => r.name === targetRuneName);
-        if (!rune || typeof rune.chance !== 'number') return 0;
-        const timeInSeconds = parseFloat(targetTime) * parseFloat(targetTimeUnit);
-        if (timeInSeconds <= 0) return Infinity;
-        return rune.chance / timeInSeconds;
-    }, [targetRuneName, targetTime, targetTimeUnit, runesData]);
+    const copiesLabel = copies === 1 ? 'this rune' : `${copies} of this rune`;
 
     return (
         <div className="p-1">
@@ -178,44 +432,57 @@ const TargetCalculator = ({ runesData, formatNumber }) => {
                     <option value="3600">Hours</option>
                     <option value="86400">Days</option>
                 </select>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Copies</label>
+                    <input type="number" min="1" value={targetCopies} onChange={e => setTargetCopies(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 1" />
+                </div>
+                <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Certainty</label>
+                    <select value={confidence} onChange={e => setConfidence(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500">
+                        <option value="mean">On average</option>
+                        {PERCENTILES.map(p => <option key={p} value={p}>{p * 100}% chance</option>)}
+                    </select>
+                </div>
             </div>
             <div className="text-center bg-gray-900 p-4 rounded-lg">
-                <p className="text-gray-400">To get this rune in the specified time, you need:</p>
+                <p className="text-gray-400">
+                    {confidence === 'mean'
+                        ? `To get ${copiesLabel} in the specified time on average, you need:`
+                        : `For a ${parseFloat(confidence) * 100}% chance of getting ${copiesLabel} in the specified time, you need:`}
+                </p>
                 <p className="text-2xl font-bold text-cyan-300 mt-1">{formatNumber(requiredRps)} RPS</p>
             </div>
         </div>
     );
 };
 
-const TimeToMaxCalculator = ({ runesData, parseRpsInput, formatTime, formatNumber, syncedState, setSyncedState }) => {
-    const { selectedRuneName, currentCount, runeSpeed, runeBulk } = syncedState;
-    const { setSelectedRuneName, setCurrentCount, setRuneSpeed, setRuneBulk } = setSyncedState;
+const TimeToMaxCalculator = ({ runesData, inventory, boosts, onPinGoal, parseRpsInput, formatTime, formatNumber, syncedState, setSyncedState }) => {
+    const { selectedRuneName, currentCount, runeSpeed, runeBulk, runeLuck, includePickups, monteCarlo, monteCarloSeed } = syncedState;
+    const { setSelectedRuneName, setCurrentCount, setRuneSpeed, setRuneBulk, setRuneLuck, setIncludePickups, setMonteCarlo, setMonteCarloSeed } = setSyncedState;
 
     const calculation = useMemo(() => {
-        const rune = runesData.find(r => r.name === selectedRuneName);
-        if (!rune) return { rps: 0, timeToMax: 'Select a rune', runesNeeded: 0 };
-
-        const initialSpeed = parseRpsInput(runeSpeed).value;
-        const initialBulk = parseRpsInput(runeBulk).value;
-        const initialRps = initialSpeed * initialBulk;
-
-        const maxCount = parseInt(String(rune.max).replace(/,/g, ''), 10);
-        if (isNaN(maxCount)) return { rps: initialRps, timeToMax: 'Max count not specified', runesNeeded: 'N/A' };
-
-        const startCount = parseInt(currentCount, 10) || 0;
-        const runesNeeded = maxCount - startCount;
-
-        if (runesNeeded <= 0) return { rps: initialRps, timeToMax: 'Already maxed!', runesNeeded: 0 };
-        if (initialRps <= 0) return { rps: 0, timeToMax: 'Enter valid stats', runesNeeded };
+        const { rps, runesNeeded, payload, reason } = planCompounding(runesData, {
+            runeName: selectedRuneName,
+            currentCount: parseInt(currentCount, 10) || 0,
+            speed: parseRpsInput(runeSpeed).value,
+            bulk: parseRpsInput(runeBulk).value,
+            luck: parseRpsInput(runeLuck).value,
+            inventory,
+            includePickups,
+            boosts,
+        });
+        if (reason) return { rps, timeToMax: TIME_TO_MAX_MESSAGES[reason], runesNeeded };
+        return { rps, request: { type: 'compounding', payload }, runesNeeded };
+    }, [selectedRuneName, currentCount, runeSpeed, runeBulk, runeLuck, includePickups, inventory, boosts, runesData, parseRpsInput]);
 
-        const { totalTime } = calculateCompoundingTime(rune, startCount, maxCount, initialSpeed, initialBulk);
+    const simulation = useSimulationWorker(calculation.request ?? null);
+    const timeToMax = calculation.request ? describeSimulation(simulation, formatTime) : calculation.timeToMax;
 
-        return { rps: initialRps, timeToMax: formatTime(totalTime), runesNeeded };
-    }, [selectedRuneName, currentCount, runeSpeed, runeBulk, runesData, parseRpsInput, formatTime]);
+    const selectedRune = runesData.find(r => r.name === selectedRuneName);
 
     return (
         <div className="p-1">
-            <AlphaWarning />
+            {!isFullyModelled(selectedRune) && <AlphaWarning />}
             <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Time to Max Rune Calculator</h2>
             <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Estimates total time, accounting for compounding bonuses from each rune gained.</p>
 
@@ -223,7 +490,7 @@ const TimeToMaxCalculator = ({ runesData, parseRpsInput, formatTime, formatNumbe
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-1">Target Rune</label>
                     <select value={selectedRuneName} onChange={e => setSelectedRuneName(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500">
-                        {runesData.filter(r => typeof r.chance === 'number' && !isNaN(parseInt(String(r.max).replace(/,/g, ''), 10))).sort((a, b) => a.chance - b.chance).map(r => <option key={r.name} value={r.name}>{r.name}</option>)}
+                        {runesData.filter(r => typeof r.chance === 'number' && !isNaN(getRuneMaxCount(r))).sort((a, b) => a.chance - b.chance).map(r => <option key={r.name} value={r.name}>{r.name}</option>)}
                     </select>
                 </div>
                 <div>
@@ -233,13 +500,22 @@ const TimeToMaxCalculator = ({ runesData, parseRpsInput, formatTime, formatNumbe
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Speed</label>
                     <input type="text" value={runeSpeed} onChange={e => setRuneSpeed(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 100Qn" />
+                    <NumberReading input={runeSpeed} parseNumber={parseRpsInput} />
                 </div>
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Bulk</label>
                     <input type="text" value={runeBulk} onChange={e => setRuneBulk(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 500T" />
+                    <NumberReading input={runeBulk} parseNumber={parseRpsInput} />
+                </div>
+                <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Luck</label>
+                    <input type="text" value={runeLuck} onChange={e => setRuneLuck(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 1.5k" />
+                    <NumberReading input={runeLuck} parseNumber={parseRpsInput} />
                 </div>
             </div>
 
+            <PickupToggle includePickups={includePickups} setIncludePickups={setIncludePickups} />
+
             <div className="text-center bg-gray-900 p-4 rounded-lg mt-6 space-y-4">
                 <div>
                     <p className="text-gray-400">Initial Runes Per Second (RPS)</p>
@@ -251,40 +527,55 @@ const TimeToMaxCalculator = ({ runesData, parseRpsInput, formatTime, formatNumbe
                 </div>
                 <div>
                     <p className="text-gray-400">Estimated Time to Max (w/ Bonuses)</p>
-                    <p className="text-2xl font-bold text-green-400 mt-1">{calculation.timeToMax}</p>
+                    <p className="text-2xl font-bold text-green-400 mt-1">{timeToMax}</p>
+                    {calculation.request && simulation.status === 'done' && <Eta seconds={simulation.result.totalTime} />}
+                    {calculation.request && simulation.status === 'done' && <PinGoalButton onPin={() => onPinGoal({ runeName: selectedRuneName, fromCount: calculation.request.payload.startCount, targetCount: calculation.request.payload.endCount, seconds: simulation.result.totalTime })} />}
                 </div>
+                {calculation.request && <PickupSummary simulation={simulation} inventory={inventory} formatNumber={formatNumber} />}
             </div>
+
+            {calculation.request && simulation.status === 'done' && <GrowthCharts series={simulation.result.series} formatNumber={formatNumber} />}
+
+            <MonteCarloPanel
+                request={calculation.request}
+                enabled={monteCarlo}
+                setEnabled={setMonteCarlo}
+                seed={monteCarloSeed}
+                setSeed={setMonteCarloSeed}
+                formatTime={formatTime}
+            />
         </div>
     );
 };
 
-const TimeToXCalculator = ({ runesData, parseRpsInput, formatTime, formatNumber, syncedState, setSyncedState }) => {
-    const { selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk } = syncedState;
-    const { setSelectedRuneName, setCurrentCount, setTargetCount, setRuneSpeed, setRuneBulk } = setSyncedState;
+const TimeToXCalculator = ({ runesData, inventory, boosts, onPinGoal, parseRpsInput, formatTime, formatNumber, syncedState, setSyncedState }) => {
+    const { selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runeLuck, includePickups, monteCarlo, monteCarloSeed } = syncedState;
+    const { setSelectedRuneName, setCurrentCount, setTargetCount, setRuneSpeed, setRuneBulk, setRuneLuck, setIncludePickups, setMonteCarlo, setMonteCarloSeed } = setSyncedState;
 
     const calculation = useMemo(() => {
-        const rune = runesData.find(r => r.name === selectedRuneName);
-        if (!rune) return { rps: 0, timeToTarget: 'Select a rune', runesNeeded: 0 };
-
-        const initialSpeed = parseRpsInput(runeSpeed).value;
-        const initialBulk = parseRpsInput(runeBulk).value;
-        const initialRps = initialSpeed * initialBulk;
-
-        const endCount = parseInt(targetCount, 10) || 0;
-        const startCount = parseInt(currentCount, 10) || 0;
-        const runesNeeded = endCount - startCount;
-
-        if (runesNeeded <= 0) return { rps: initialRps, timeToTarget: 'Target reached or passed!', runesNeeded: 0 };
-        if (initialRps <= 0) return { rps: 0, timeToTarget: 'Enter valid stats', runesNeeded };
+        const { rps, runesNeeded, payload, reason } = planCompounding(runesData, {
+            runeName: selectedRuneName,
+            currentCount: parseInt(currentCount, 10) || 0,
+            targetCount: parseInt(targetCount, 10) || 0,
+            speed: parseRpsInput(runeSpeed).value,
+            bulk: parseRpsInput(runeBulk).value,
+            luck: parseRpsInput(runeLuck).value,
+            inventory,
+            includePickups,
+            boosts,
+        });
+        if (reason) return { rps, timeToTarget: TIME_TO_X_MESSAGES[reason], runesNeeded };
+        return { rps, request: { type: 'compounding', payload }, runesNeeded };
+    }, [selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runeLuck, includePickups, inventory, boosts, runesData, parseRpsInput]);
 
-        const { totalTime } = calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk);
+    const simulation = useSimulationWorker(calculation.request ?? null);
+    const timeToTarget = calculation.request ? describeSimulation(simulation, formatTime) : calculation.timeToTarget;
 
-        return { rps: initialRps, timeToTarget: formatTime(totalTime), runesNeeded };
-    }, [selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runesData, parseRpsInput, formatTime]);
+    const selectedRune = runesData.find(r => r.name === selectedRuneName);
 
     return (
         <div className="p-1">
-            <AlphaWarning />
+            {!isFullyModelled(selectedRune) && <AlphaWarning />}
             <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Time to X Runes Calculator</h2>
             <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">A tool to help test and validate calculations for a specific number of runes.</p>
 
@@ -307,13 +598,22 @@ const TimeToXCalculator = ({ runesData, parseRpsInput, formatTime, formatNumber,
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Speed</label>
                     <input type="text" value={runeSpeed} onChange={e => setRuneSpeed(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 100Qn" />
+                    <NumberReading input={runeSpeed} parseNumber={parseRpsInput} />
                 </div>
                 <div>
                     <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Bulk</label>
                     <input type="text" value={runeBulk} onChange={e => setRuneBulk(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 500T" />
+                    <NumberReading input={runeBulk} parseNumber={parseRpsInput} />
+                </div>
+                <div className="md:col-span-2">
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Your In-Game Rune Luck</label>
+                    <input type="text" value={runeLuck} onChange={e => setRuneLuck(e.target.value)} className="w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 1.5k" />
+                    <NumberReading input={runeLuck} parseNumber={parseRpsInput} />
                 </div>
             </div>
 
+            <PickupToggle includePickups={includePickups} setIncludePickups={setIncludePickups} />
+
             <div className="text-center bg-gray-900 p-4 rounded-lg mt-6 space-y-4">
                 <div>
                     <p className="text-gray-400">Initial Runes Per Second (RPS)</p>
@@ -325,9 +625,23 @@ const TimeToXCalculator = ({ runesData, parseRpsInput, formatTime, formatNumber,
                 </div>
                 <div>
                     <p className="text-gray-400">Estimated Time to Target (w/ Bonuses)</p>
-                    <p className="text-2xl font-bold text-green-400 mt-1">{calculation.timeToTarget}</p>
+                    <p className="text-2xl font-bold text-green-400 mt-1">{timeToTarget}</p>
+                    {calculation.request && simulation.status === 'done' && <Eta seconds={simulation.result.totalTime} />}
+                    {calculation.request && simulation.status === 'done' && <PinGoalButton onPin={() => onPinGoal({ runeName: selectedRuneName, fromCount: calculation.request.payload.startCount, targetCount: calculation.request.payload.endCount, seconds: simulation.result.totalTime })} />}
                 </div>
+                {calculation.request && <PickupSummary simulation={simulation} inventory={inventory} formatNumber={formatNumber} />}
             </div>
+
+            {calculation.request && simulation.status === 'done' && <GrowthCharts series={simulation.result.series} formatNumber={formatNumber} />}
+
+            <MonteCarloPanel
+                request={calculation.request}
+                enabled={monteCarlo}
+                setEnabled={setMonteCarlo}
+                seed={monteCarloSeed}
+                setSeed={setMonteCarloSeed}
+                formatTime={formatTime}
+            />
         </div>
     );
 };
@@ -361,6 +675,7 @@ const RuneTag = ({ tag }) => {
         limited: 'bg-red-500/20 text-red-300 border-red-500/30',
         hidden: 'bg-purple-500/20 text-purple-300 border-purple-500/30',
         exponential: 'bg-yellow-500/20 text-yellow-300 border-yellow-500/30',
+        custom: 'bg-cyan-500/20 text-cyan-300 border-cyan-500/30',
         default: 'bg-gray-500/20 text-gray-300 border-gray-500/30',
     };
     const style = tagStyles[tag.toLowerCase()] || tagStyles.default;
@@ -371,6 +686,36 @@ const RuneTag = ({ tag }) => {
     );
 };
 
+// Percentile times for one copy, and the chance of the chosen number of copies in the chosen time.
+const ProbabilityDetails = ({ timePerCopy, odds, formatTime }) => {
+    if (!timePerCopy.isFinite() || timePerCopy.lte(0)) return null;
+    return (
+        <div className="text-xs text-gray-400 mt-2 space-y-0.5">
+            <p>{PERCENTILES.map(p => `${p * 100}%: ${formatTime(timePercentile(timePerCopy, p))}`).join(' · ')}</p>
+            {odds && <p>{formatPercent(chanceWithin(timePerCopy, odds.duration, odds.copies))} chance of {odds.copies}+ in {formatTime(odds.duration)}</p>}
+        </div>
+    );
+};
+
+const DataWarnings = ({ issues }) => {
+    const errorCount = issues.filter(issue => issue.level === 'error').length;
+    return (
+        <details className="mt-3 bg-yellow-900/30 border border-yellow-500/30 rounded-lg p-2 text-sm">
+            <summary className="cursor-pointer text-yellow-300 font-semibold">
+                ⚠ {issues.length} data {issues.length === 1 ? 'issue' : 'issues'}{errorCount > 0 ? ` (${errorCount} ${errorCount === 1 ? 'error' : 'errors'})` : ''}
+            </summary>
+            <ul className="list-disc list-inside mt-2 space-y-1 text-yellow-200/90">
+                {issues.map((issue, index) => (
+                    <li key={index}>
+                        <span className={issue.level === 'error' ? 'text-red-300 font-bold' : ''}>{issue.level === 'error' ? 'Error: ' : ''}</span>
+                        <span className="font-mono text-xs text-gray-400">{issue.path}</span> {issue.message}
+                    </li>
+                ))}
+            </ul>
+        </details>
+    );
+};
+
 const LoadingSpinner = () => (
     <div className="flex justify-center items-center h-screen">
         <div className="animate-spin rounded-full h-32 w-32 border-t-2 border-b-2 border-cyan-500"></div>
@@ -436,6 +781,8 @@ const BonusDisplay = ({ bonus, formatNumber }) => {
                 <span className="font-bold">{modifierMap[bonus.modifier] || ''}{formatNumber(bonus.value)}</span>
                 {' '}{statNameMap[bonus.type] || bonus.type}
                 {bonus.max && <span className="text-gray-400 text-sm ml-2">(Max: {typeof bonus.max === 'number' ? formatNumber(bonus.max) : bonus.max})</span>}
+                {typeof bonus.maxCount === 'number' && <span className="text-gray-400 text-sm ml-2">(Stops at {formatNumber(bonus.maxCount)} runes)</span>}
+                {hasFormula(bonus) && <span className="text-gray-500 text-xs ml-2 font-mono">= {describeFormula(bonus.formula)}</span>}
             </span>
             {bonus.isExponential && <span className="ml-2 text-xs font-bold text-yellow-400 bg-yellow-900/50 px-2 py-1 rounded">EXP</span>}
             {bonus.isDualExponential && <span className="ml-2 text-xs font-bold text-orange-400 bg-orange-900/50 px-2 py-1 rounded">DUAL EXP</span>}
@@ -445,238 +792,327 @@ const BonusDisplay = ({ bonus, formatNumber }) => {
 
 
 // --- Main Application Component ---
+
+// Tabs in display order. Shared links can only open the tabs listed here.
+const tabs = [
+    { name: 'calculator', label: 'Rune Calculator' },
+    { name: 'timetomax', label: 'Time to Max' },
+    { name: 'timetox', label: 'Time to X Runes' },
+    { name: 'whatif', label: 'Target \'What If?\'' },
+    { name: 'inventory', label: 'Inventory' },
+    { name: 'plan', label: 'Farming Plan' },
+    { name: 'queue', label: 'Goal Queue' },
+    { name: 'source', label: 'Source Simulator' },
+    { name: 'log', label: 'Progress Log' },
+    { name: 'editor', label: 'Custom Runes' },
+];
+
+// State from a shared link, read once when the page opens.
+const initialUrlState = readUrlState(window.location);
+const SHARED_TEXT_FIELDS = ['rawRpsInput', 'runeSpeed', 'runeBulk', 'runeLuck', 'selectedRuneName', 'currentCount', 'targetCount', 'runeFilter'];
+
 export default function App() {
     const [appData, setAppData] = useState({ runes: null, scales: null, status: 'loading', error: null });
     const [activeTab, setActiveTab] = useState('calculator');
-    const [hideInstant, setHideInstant] = useState(true);
-    const [sortOrder, setSortOrder] = useState('asc');
-    const [runeFilter, setRuneFilter] = useState('');
+    const [showListFilters, setShowListFilters] = useState(false);
+    const [showBoosts, setShowBoosts] = useState(false);
+    const [showGoals, setShowGoals] = useState(false);
     const [customRuneChance, setCustomRuneChance] = useState('1e300');
+    const [oddsCopies, setOddsCopies] = useState('1');
+    const [oddsDuration, setOddsDuration] = useState('1');
+    const [oddsUnit, setOddsUnit] = useState('3600'); // hours
     const [isChangelogVisible, setIsChangelogVisible] = useState(false);
     const [showUpdateNotification, setShowUpdateNotification] = useState(false);
+    const [copiedLink, setCopiedLink] = useState(null);
 
     // State for the main calculator's RPS input
-    const [rawRpsInput, setRawRpsInput] = useState('1M');
+    const [rawRpsInput, setRawRpsInput] = useState(DEFAULT_PROFILE_DATA.rawRpsInput);
 
     // Synced state for the "Time to..." calculators
-    const [selectedRuneName, setSelectedRuneName] = useState('Superstar');
-    const [currentCount, setCurrentCount] = useState('18');
-    const [targetCount, setTargetCount] = useState('19');
-    const [runeSpeed, setRuneSpeed] = useState('11.9QnTg');
-    const [runeBulk, setRuneBulk] = useState('57.62Qdqg');
+    const [selectedRuneName, setSelectedRuneName] = useState(DEFAULT_PROFILE_DATA.selectedRuneName);
+    const [currentCount, setCurrentCount] = useState(DEFAULT_PROFILE_DATA.currentCount);
+    const [targetCount, setTargetCount] = useState(DEFAULT_PROFILE_DATA.targetCount);
+    const [runeSpeed, setRuneSpeed] = useState(DEFAULT_PROFILE_DATA.runeSpeed);
+    const [runeBulk, setRuneBulk] = useState(DEFAULT_PROFILE_DATA.runeBulk);
+    const [runeLuck, setRuneLuck] = useState(DEFAULT_PROFILE_DATA.runeLuck);
+    const [includePickups, setIncludePickups] = useState(DEFAULT_PROFILE_DATA.includePickups);
+    const [monteCarlo, setMonteCarlo] = useState(DEFAULT_PROFILE_DATA.monteCarlo);
+    const [monteCarloSeed, setMonteCarloSeed] = useState(DEFAULT_PROFILE_DATA.monteCarloSeed);
+
+    // How the main list is filtered and sorted
+    const [runeFilter, setRuneFilter] = useState(DEFAULT_PROFILE_DATA.runeFilter);
+    const [hideInstant, setHideInstant] = useState(DEFAULT_PROFILE_DATA.hideInstant);
+    const [sortOrder, setSortOrder] = useState(DEFAULT_PROFILE_DATA.sortOrder);
+    const [listFilters, setListFilters] = useState(DEFAULT_PROFILE_DATA.listFilters);
+
+    // Owned count of every rune, keyed by rune name
+    const [inventory, setInventory] = useState(DEFAULT_PROFILE_DATA.inventory);
+
+    // Snapshots of counts and stats over time, for checking estimates against real progress
+    const [progressLog, setProgressLog] = useState(DEFAULT_PROFILE_DATA.progressLog);
+
+    // Runes to farm in order, as [{ runeName, targetCount }]
+    const [goalQueue, setGoalQueue] = useState(DEFAULT_PROFILE_DATA.goalQueue);
+
+    // Runes added or corrected in the editor, shared by every profile
+    const [customRunes, setCustomRunes] = useState([]);
+
+    // Timed boosts, shared by every profile, and the clock they're measured from (ticks while any are pending)
+    const [boosts, setBoosts] = useState([]);
+    const [now, setNow] = useState(() => Date.now());
+
+    // Pinned goals and whether to notify when they're due, per-device
+    const [goals, setGoals] = useState([]);
+    const [notifyGoals, setNotifyGoals] = useState(false);
+
+    // How numbers and times are written everywhere (see lib/format.js), per-device preferences
+    const [notation, setNotation] = useState('suffix');
+    const [timeFormat, setTimeFormat] = useState(DEFAULT_TIME_FORMAT);
+
+    // Saved profiles; the inputs above always belong to the active one
+    const [profileStore, setProfileStore] = useState(null);
+
+    // The inputs a shared link opened with. Until one of them is changed they're only a view, and the active
+    // profile keeps what it had saved.
+    const [sharedView, setSharedView] = useState(null);
+
+    const profileData = useMemo(() => ({
+        rawRpsInput, selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runeLuck, includePickups, monteCarlo, monteCarloSeed, inventory,
+        runeFilter, hideInstant, sortOrder, listFilters, progressLog, goalQueue
+    }), [rawRpsInput, selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runeLuck, includePickups, monteCarlo, monteCarloSeed, inventory, runeFilter, hideInstant, sortOrder, listFilters, progressLog, goalQueue]);
+    const isSharedView = sharedView !== null && Object.keys(profileData).every(key => Object.is(profileData[key], sharedView[key]));
+
+    // Replaces every input with a profile's values, using the defaults for any it doesn't have.
+    const applyProfileData = useCallback((data) => {
+        const values = { ...DEFAULT_PROFILE_DATA, ...data };
+        setRawRpsInput(values.rawRpsInput);
+        setSelectedRuneName(values.selectedRuneName);
+        setCurrentCount(values.currentCount);
+        setTargetCount(values.targetCount);
+        setRuneSpeed(values.runeSpeed);
+        setRuneBulk(values.runeBulk);
+        setRuneLuck(values.runeLuck);
+        setIncludePickups(values.includePickups);
+        setMonteCarlo(values.monteCarlo);
+        setMonteCarloSeed(values.monteCarloSeed);
+        setInventory(values.inventory);
+        setRuneFilter(values.runeFilter);
+        setHideInstant(values.hideInstant);
+        setSortOrder(values.sortOrder);
+        setListFilters(values.listFilters);
+        setProgressLog(values.progressLog);
+        setGoalQueue(values.goalQueue);
+    }, []);
 
-    // Effect to fetch data from external GitHub links
+    // Effect to load data: GitHub first, then the offline cache, then the copy bundled with the app
     useEffect(() => {
         const fetchData = async () => {
             try {
-                // Define fetch options to disable caching
-                const fetchOptions = { cache: 'no-store' };
-                // Generate a unique value for the query parameter
-                const cacheBuster = `?v=${Date.now()}`;
-
-                const [runesResponse, scalesResponse] = await Promise.all([
-                    fetch(`https://raw.githubusercontent.com/truthuntold/ai-rune-calc/refs/heads/main/public/runes.json${cacheBuster}`, fetchOptions),
-                    fetch(`https://raw.githubusercontent.com/truthuntold/ai-rune-calc/refs/heads/main/public/scales.json${cacheBuster}`, fetchOptions)
-                ]);
-                if (!runesResponse.ok || !scalesResponse.ok) {
-                    throw new Error('Network response was not ok');
-                }
-                const runes = await runesResponse.json();
-                const scales = await scalesResponse.json();
+                const { runes, scales, source, updatedAt, remoteError } = await loadAppData();
 
                 // Set default selected rune once data is loaded
-                const defaultRune = runes.find(r => typeof r.chance === 'number' && !isNaN(parseInt(String(r.max).replace(/,/g, ''), 10))) || runes[0];
-                setSelectedRuneName(localStorage.getItem('runeCalc_selectedRuneName') || defaultRune.name);
+                const defaultRune = runes.find(r => typeof r.chance === 'number' && !isNaN(getRuneMaxCount(r))) || runes[0];
+                const knownRunes = mergeCustomRunes(runes, loadCustomRunes(localStorage));
+                setSelectedRuneName(current => (knownRunes.some(r => r.name === current) ? current : defaultRune.name));
 
-                setAppData({ runes, scales, status: 'loaded', error: null });
+                if (source !== 'remote') trackEvent('data_fallback', { source, reason: remoteError });
+                setAppData({ runes, scales, status: 'loaded', error: null, source, updatedAt });
             } catch (error) {
-                console.error("Failed to fetch data from GitHub.", error);
-                setAppData({ runes: [], scales: {}, status: 'error', error: 'Failed to load data from GitHub. Please check your connection and try again.' });
+                console.error("Failed to load data from any source.", error);
+                setAppData({ runes: [], scales: {}, status: 'error', error: 'Failed to load rune data from GitHub, the offline cache or the bundled copy. Please check your connection and try again.' });
             }
         };
         fetchData();
     }, []);
 
-    // Load all saved states from localStorage on initial mount
+    // Load the active profile's saved inputs on initial mount
     useEffect(() => {
-        const savedRps = localStorage.getItem('runeCalc_rawRpsInput');
-        if (savedRps) setRawRpsInput(savedRps);
-
-        const savedCurrentCount = localStorage.getItem('runeCalc_currentCount');
-        if (savedCurrentCount) setCurrentCount(savedCurrentCount);
-
-        const savedTargetCount = localStorage.getItem('runeCalc_targetCount');
-        if (savedTargetCount) setTargetCount(savedTargetCount);
-
-        const savedRuneSpeed = localStorage.getItem('runeCalc_runeSpeed');
-        if (savedRuneSpeed) setRuneSpeed(savedRuneSpeed);
-
-        const savedRuneBulk = localStorage.getItem('runeCalc_runeBulk');
-        if (savedRuneBulk) setRuneBulk(savedRuneBulk);
+        const store = loadProfileStore(localStorage);
+        setProfileStore(store);
+        setCustomRunes(loadCustomRunes(localStorage));
+        setBoosts(pendingBoosts(loadBoosts(localStorage)));
+        setGoals(loadGoals(localStorage));
+        setNotifyGoals(localStorage.getItem('runeCalc_goalNotifications') === 'on');
+        const savedNotation = localStorage.getItem('runeCalc_notation');
+        if (NOTATIONS.some(option => option.id === savedNotation)) setNotation(savedNotation);
+        setTimeFormat(readTimeFormat(localStorage.getItem('runeCalc_timeFormat')));
+
+        // A shared link takes precedence over what was saved on this device, but only as a view (see sharedView).
+        const data = { ...DEFAULT_PROFILE_DATA, ...getActiveProfile(store).data };
+        const shared = initialUrlState.state || {};
+        for (const field of SHARED_TEXT_FIELDS) {
+            if (typeof shared[field] === 'string') data[field] = shared[field];
+        }
+        if (shared.sortOrder === 'asc' || shared.sortOrder === 'desc') data.sortOrder = shared.sortOrder;
+        if (typeof shared.hideInstant === 'boolean') data.hideInstant = shared.hideInstant;
+        if (shared.listFilters) data.listFilters = sanitizeListFilters(shared.listFilters);
+        if (tabs.some(tab => tab.name === shared.activeTab)) setActiveTab(shared.activeTab);
+        if (initialUrlState.runeName) {
+            // Show the linked rune's card even if it's instant.
+            setActiveTab('calculator');
+            data.hideInstant = false;
+        }
+        applyProfileData(data);
+        if (initialUrlState.state || initialUrlState.runeName) setSharedView(data);
 
         const lastVisitedVersion = localStorage.getItem('runeCalc_lastVisitedVersion');
         if (lastVisitedVersion && lastVisitedVersion !== version) {
             setShowUpdateNotification(true);
         }
         localStorage.setItem('runeCalc_lastVisitedVersion', version);
-    }, []);
+    }, [applyProfileData]);
 
-    // Save all states to localStorage whenever they change
+    // Save the inputs into the active profile whenever they change, unless they're still an untouched shared link
     useEffect(() => {
-        localStorage.setItem('runeCalc_rawRpsInput', rawRpsInput);
-        localStorage.setItem('runeCalc_selectedRuneName', selectedRuneName);
-        localStorage.setItem('runeCalc_currentCount', currentCount);
-        localStorage.setItem('runeCalc_targetCount', targetCount);
-        localStorage.setItem('runeCalc_runeSpeed', runeSpeed);
-        localStorage.setItem('runeCalc_runeBulk', runeBulk);
-    }, [rawRpsInput, selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk]);
+        if (!profileStore || isSharedView) return;
+        setSharedView(null);
+        saveProfileStore(localStorage, updateProfileData(profileStore, profileStore.activeId, profileData));
+    }, [profileStore, profileData, isSharedView]);
+
+    const leaveSharedView = () => {
+        setSharedView(null);
+        applyProfileData(getActiveProfile(profileStore).data);
+    };
 
+    useEffect(() => {
+        saveCustomRunes(localStorage, customRunes);
+    }, [customRunes]);
 
-    // Memoize scale-dependent calculations
-    const scaleUtils = useMemo(() => {
-        if (appData.status !== 'loaded') return null;
-        const { scales } = appData;
-        const scaleEntries = Object.entries(scales).sort(([, a], [, b]) => b - a);
-        const lowerCaseScaleMap = Object.keys(scales).reduce((acc, key) => {
-            acc[key.toLowerCase()] = scales[key];
-            return acc;
-        }, {});
-        const seenLowerCase = new Set();
-        const conflictingLowerCaseSuffixes = new Set();
-        for (const key of Object.keys(scales)) {
-            const lowerKey = key.toLowerCase();
-            if (seenLowerCase.has(lowerKey)) {
-                conflictingLowerCaseSuffixes.add(lowerKey);
-            } else {
-                seenLowerCase.add(lowerKey);
-            }
-        }
-        return { scales, scaleEntries, lowerCaseScaleMap, conflictingLowerCaseSuffixes };
-    }, [appData]);
-
-    // Helper functions that depend on scaleUtils
-    const formatNumber = useMemo(() => (num) => {
-        if (!scaleUtils || typeof num !== 'number' || !isFinite(num)) return '0';
-        if (num < 1000 && Number.isInteger(num)) return num.toString();
-        for (const [suffix, value] of scaleUtils.scaleEntries) {
-            if (value > 0 && num >= value) {
-                const scaledNum = (num / value).toPrecision(3);
-                return `${parseFloat(scaledNum)} ${suffix}`;
-            }
-        }
-        return num.toPrecision(3);
-    }, [scaleUtils]);
+    useEffect(() => {
+        saveBoosts(localStorage, boosts);
+    }, [boosts]);
 
-    const parseRpsInput = useMemo(() => (input) => {
-        if (!scaleUtils || typeof input !== 'string' || !input) return { value: 0, warning: null };
-        const cleanedInput = input.trim();
-        const match = cleanedInput.match(/^(\d*\.?\d+)\s*([a-zA-Z]+)$/);
+    useEffect(() => {
+        saveGoals(localStorage, goals);
+    }, [goals]);
 
-        if (match) {
-            const numPart = parseFloat(match[1]);
-            const scalePart = match[2];
+    useEffect(() => {
+        localStorage.setItem('runeCalc_goalNotifications', notifyGoals ? 'on' : 'off');
+    }, [notifyGoals]);
 
-            if (scaleUtils.scales[scalePart]) {
-                return { value: numPart * scaleUtils.scales[scalePart], warning: null };
-            }
+    // Restart the clock whenever boosts are added or removed, then move it on every minute while any are pending,
+    // dropping them once they end.
+    useEffect(() => {
+        setNow(Date.now());
+        if (boosts.length === 0) return undefined;
+        const timer = setInterval(() => {
+            const current = Date.now();
+            setNow(current);
+            setBoosts(previous => (previous.some(boost => boost.end <= current) ? pendingBoosts(previous, current) : previous));
+        }, BOOST_TICK_MS);
+        return () => clearInterval(timer);
+    }, [boosts.length]);
 
-            const lowerScalePart = scalePart.toLowerCase();
-            if (scaleUtils.conflictingLowerCaseSuffixes.has(lowerScalePart)) {
-                const options = Object.keys(scaleUtils.scales).filter(k => k.toLowerCase() === lowerScalePart).join(', ');
-                const warningMessage = `Warning: '${scalePart}' is ambiguous. Use one of these case-sensitive options: ${options}.`;
-                return { value: 0, warning: warningMessage };
-            }
+    useEffect(() => {
+        localStorage.setItem('runeCalc_notation', notation);
+    }, [notation]);
 
-            const multiplier = scaleUtils.lowerCaseScaleMap[lowerScalePart];
-            if (multiplier) {
-                return { value: numPart * multiplier, warning: null };
-            }
-        }
-        const plainNumber = parseFloat(cleanedInput);
-        return isNaN(plainNumber) ? { value: 0, warning: null } : { value: plainNumber, warning: null };
-    }, [scaleUtils]);
-
-    const formatChance = useMemo(() => (rune) => {
-        const { chance } = rune;
-        if (typeof chance === 'object' && chance.unit) {
-            return `${formatNumber(chance.value)} ${chance.unit}`;
-        }
-        if (typeof chance === 'number') {
-            const scientific = `(${chance.toExponential(0)})`;
-            return `1 / ${formatNumber(chance)} ${scientific}`;
-        }
-        return 'N/A';
-    }, [formatNumber]);
+    useEffect(() => {
+        localStorage.setItem('runeCalc_timeFormat', JSON.stringify(timeFormat));
+    }, [timeFormat]);
+
+    // Everything a shared link carries.
+    const shareState = useMemo(() => ({
+        activeTab, rawRpsInput, runeSpeed, runeBulk, runeLuck, selectedRuneName, currentCount, targetCount, runeFilter, sortOrder, hideInstant, listFilters
+    }), [activeTab, rawRpsInput, runeSpeed, runeBulk, runeLuck, selectedRuneName, currentCount, targetCount, runeFilter, sortOrder, hideInstant, listFilters]);
+
+    // Keep the address bar in sync so it can be copied at any time.
+    useEffect(() => {
+        writeUrlState(shareState);
+    }, [shareState]);
 
-    function getNumericChance(rune) {
-        if (typeof rune.chance === 'number') {
-            return rune.chance;
+    // Bring a linked rune's card into view once the list has rendered.
+    useEffect(() => {
+        if (appData.status !== 'loaded' || !initialUrlState.runeName) return;
+        document.getElementById(runeCardId(initialUrlState.runeName))?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+    }, [appData.status]);
+
+    const copyShareLink = (runeName = null) => {
+        const url = buildShareUrl(window.location, shareState, { runeName });
+        const showCopied = () => {
+            setCopiedLink(runeName ?? 'page');
+            setTimeout(() => setCopiedLink(null), 2000);
+        };
+        if (navigator.clipboard) {
+            navigator.clipboard.writeText(url).then(showCopied, () => window.prompt('Copy this link:', url));
+        } else {
+            window.prompt('Copy this link:', url);
         }
-        return Infinity;
-    }
+    };
+
+
+    // The shared runes with custom ones merged in; every tab works from this list.
+    const allRunes = useMemo(() => (appData.status === 'loaded' ? mergeCustomRunes(appData.runes, customRunes) : []), [appData, customRunes]);
+
+    // Data-quality report for the loaded files, shown per rune on the main list.
+    const dataReport = useMemo(() => {
+        if (appData.status !== 'loaded') return null;
+        return validateData({ runes: allRunes, scales: appData.scales });
+    }, [appData, allRunes]);
+
+    // Scale-dependent parsing and formatting (see lib/format.js)
+    const numberFormat = useMemo(() => (appData.status === 'loaded' ? createNumberFormat(appData.scales, { notation }) : null), [appData, notation]);
+    const formatNumber = useMemo(() => numberFormat?.formatNumber ?? (() => '0'), [numberFormat]);
+    const parseRpsInput = useMemo(() => numberFormat?.parseNumber ?? (() => ({ value: BigNum.ZERO, warning: null, reading: null })), [numberFormat]);
+    const formatChance = useMemo(() => numberFormat?.formatChance ?? (() => 'N/A'), [numberFormat]);
+    const formatTime = useMemo(() => (numberFormat ? (seconds) => numberFormat.formatDuration(seconds, timeFormat) : () => '...'), [numberFormat, timeFormat]);
+
+    // Pins a goal counting down from now (see lib/goals.js) and announces due ones if notifications are on.
+    const pinGoal = useCallback((goal) => setGoals(previous => [...previous, createGoal(goal)]), []);
+    useGoalNotifications(goals, setGoals, { enabled: notifyGoals, formatNumber });
+
+    const rps = useMemo(() => (numberFormat ? parseRpsInput(rawRpsInput).value : BigNum.ZERO), [rawRpsInput, numberFormat, parseRpsInput]);
 
-    const { rps, rpsWarning } = useMemo(() => {
-        if (!scaleUtils) return { rps: 0, rpsWarning: null };
-        const { value, warning } = parseRpsInput(rawRpsInput);
-        return { rps: value, rpsWarning: warning };
-    }, [rawRpsInput, scaleUtils, parseRpsInput]);
+    const luck = useMemo(() => normalizeLuck(numberFormat ? parseRpsInput(runeLuck).value : 1), [runeLuck, numberFormat, parseRpsInput]);
 
     const customRuneDetails = useMemo(() => {
-        if (!scaleUtils) return { parsedChance: 0, time: Infinity };
+        if (!numberFormat) return { parsedChance: BigNum.ZERO, time: BigNum.INFINITY };
         const { value: parsedChance } = parseRpsInput(customRuneChance);
-        const time = rps > 0 ? parsedChance / rps : Infinity;
-        return { parsedChance, time };
-    }, [customRuneChance, rps, scaleUtils, parseRpsInput]);
-
-    const customRuneConversion = useMemo(() => {
-        if (!scaleUtils) return '';
-        const input = customRuneChance.trim();
-        if (!input) return '';
-        const isScientific = /e[+-]?\d/i.test(input);
-        if (isScientific) {
-            const num = parseFloat(input);
-            if (isNaN(num)) return '';
-            return `(${formatNumber(num)})`;
-        } else {
-            const { value: parsedValue } = parseRpsInput(input);
-            if (parsedValue === 0 || !isFinite(parsedValue) || String(parsedValue) === input) return '';
-            return `(${parsedValue.toExponential()})`;
-        }
-    }, [customRuneChance, scaleUtils, formatNumber, parseRpsInput]);
-
-    const { processedRunes, nextUpgradeName } = useMemo(() => {
-        if (appData.status !== 'loaded') return { processedRunes: [], nextUpgradeName: null };
-
-        let nextUpgrade = null;
-        const filtered = appData.runes
-            .map(rune => ({
-                ...rune,
-                time: rps > 0 ? getNumericChance(rune) / rps : Infinity,
-            }))
-            .filter(rune => {
-                const matchesFilter = rune.name.toLowerCase().includes(runeFilter.toLowerCase()) || rune.source.toLowerCase().includes(runeFilter.toLowerCase());
-                const isInstant = rune.time < 1;
-                return matchesFilter && (!hideInstant || !isInstant);
-            })
-            .sort((a, b) => {
-                const chanceA = getNumericChance(a);
-                const chanceB = getNumericChance(b);
-                return sortOrder === 'asc' ? chanceA - chanceB : chanceB - chanceA;
-            });
-
-        if (sortOrder === 'asc') {
-            nextUpgrade = filtered.find(r => r.time >= 1 && r.time < 3600) || null;
-        }
+        const rune = { chance: parsedChance };
+        const work = rps.gt(0) ? effectiveChance(rune, luck).div(rps) : BigNum.INFINITY;
+        return { parsedChance, time: boostedTime(work, boostSegments(boosts, { now, rune, luck })) };
+    }, [customRuneChance, rps, luck, boosts, now, numberFormat, parseRpsInput]);
+
+    // The "chance of N copies within T" shown on every card.
+    const odds = useMemo(() => {
+        const duration = parseFloat(oddsDuration) * parseFloat(oddsUnit);
+        if (!(duration > 0)) return null;
+        return { copies: Math.max(1, parseInt(oddsCopies, 10) || 1), duration };
+    }, [oddsCopies, oddsDuration, oddsUnit]);
+
+    const { processedRunes, bestValueName } = useMemo(() => {
+        if (appData.status !== 'loaded') return { processedRunes: [], bestValueName: null };
+        const { runes, bestValueName } = listRunes(allRunes, {
+            rps,
+            luck,
+            speed: parseRpsInput(runeSpeed).value,
+            bulk: parseRpsInput(runeBulk).value,
+            inventory,
+            valueExtras: listFilters.valueExtras,
+            filter: runeFilter,
+            hideInstant,
+            sortOrder,
+            sortBy: listFilters.sortBy,
+            tags: listFilters.tags,
+            sources: listFilters.sources,
+            bonusTypes: listFilters.bonusTypes,
+            minTime: parseDuration(listFilters.minTime),
+            maxTime: parseDuration(listFilters.maxTime),
+            boosts,
+            now,
+        });
+        return { processedRunes: runes, bestValueName };
+    }, [rps, luck, runeSpeed, runeBulk, inventory, boosts, now, parseRpsInput, hideInstant, sortOrder, runeFilter, listFilters, appData, allRunes]);
 
-        return { processedRunes: filtered, nextUpgradeName: nextUpgrade?.name };
-    }, [rps, hideInstant, sortOrder, runeFilter, appData]);
+    const activeListFilterCount = listFilters.tags.length + listFilters.sources.length + listFilters.bonusTypes.length
+        + (parseDuration(listFilters.minTime) !== null) + (parseDuration(listFilters.maxTime) !== null);
 
     const syncedState = {
-        selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk
+        selectedRuneName, currentCount, targetCount, runeSpeed, runeBulk, runeLuck, includePickups, monteCarlo, monteCarloSeed
     };
 
     const setSyncedState = {
-        setSelectedRuneName, setCurrentCount, setTargetCount, setRuneSpeed, setRuneBulk
+        setSelectedRuneName, setCurrentCount, setTargetCount, setRuneSpeed, setRuneBulk, setRuneLuck, setIncludePickups, setMonteCarlo, setMonteCarloSeed
     };
 
     const TabButton = ({ tabName, label }) => {
@@ -706,6 +1142,13 @@ export default function App() {
                 <header className="text-center mb-8">
                     <h1 className="text-4xl sm:text-5xl font-bold text-cyan-400 mb-2">Rune Time Calculator</h1>
                     <p className="text-lg text-gray-400">A strategic tool for planning your progression. <span className="text-xs text-gray-500">v{version}</span></p>
+                    {appData.source && (
+                        <p className={`text-xs mt-3 ${appData.source === 'remote' ? 'text-gray-500' : 'text-yellow-400'}`}>
+                            {DATA_SOURCE_LABELS[appData.source]}
+                            {appData.updatedAt ? ` · fetched ${new Date(appData.updatedAt).toLocaleString()}` : ` · v${version}`}
+                            {appData.source !== 'remote' && ' · GitHub could not be reached'}
+                        </p>
+                    )}
                     <div className="bg-blue-900/50 border border-blue-500/30 text-blue-300 text-center p-3 rounded-lg mt-6 max-w-xl mx-auto">
                         <p>
                             🚀 For a wealth of extra info, check out the{' '}
@@ -722,12 +1165,72 @@ export default function App() {
                     </div>
                 )}
 
+                {dataReport && dataReport.errorCount > 0 && (
+                    <div className="bg-yellow-900/50 border border-yellow-500/30 text-yellow-300 text-center p-3 rounded-lg mb-6">
+                        <p>The rune data has {dataReport.errorCount} {dataReport.errorCount === 1 ? 'error' : 'errors'} and {dataReport.warningCount} {dataReport.warningCount === 1 ? 'warning' : 'warnings'}. Affected runes are flagged below and may calculate incorrectly.</p>
+                    </div>
+                )}
+
+                {profileStore?.readOnly && (
+                    <div className="bg-yellow-900/50 border border-yellow-500/30 text-yellow-300 text-center p-3 rounded-lg mb-6">
+                        <p>
+                            {profileStore.readOnly === 'newer'
+                                ? 'Your saved profiles were made by a newer version of the calculator. Reload once it\'s back to use them.'
+                                : 'Your saved profiles couldn\'t be read.'}
+                            {' '}They're left untouched, so nothing you change here will be saved.
+                        </p>
+                    </div>
+                )}
+
+                {isSharedView && profileStore && (
+                    <div className="bg-cyan-900/40 border border-cyan-500/30 text-cyan-200 text-center p-3 rounded-lg mb-6 text-sm">
+                        <p>
+                            You're looking at a shared link. Your profile "{getActiveProfile(profileStore).name}" keeps its saved inputs unless you change something here.{' '}
+                            <button onClick={leaveSharedView} className="underline hover:text-white">Back to my saved inputs</button>
+                        </p>
+                    </div>
+                )}
+
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-2">
+                    {profileStore ? <ProfileBar store={profileStore} setStore={setProfileStore} currentData={isSharedView ? getActiveProfile(profileStore).data : profileData} onApply={applyProfileData} /> : <span />}
+                    <div className="flex items-center gap-3">
+                        <label className="flex items-center gap-1 text-sm text-gray-400">
+                            Numbers
+                            <select value={notation} onChange={e => setNotation(e.target.value)} className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 text-sm">
+                                {NOTATIONS.map(option => <option key={option.id} value={option.id}>{option.label}</option>)}
+                            </select>
+                        </label>
+                        <label className="flex items-center gap-1 text-sm text-gray-400">
+                            Times
+                            <select value={timeFormat.precise ? 'precise' : 'casual'} onChange={e => setTimeFormat({ ...timeFormat, precise: e.target.value === 'precise' })} className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 text-sm">
+                                <option value="casual">Casual</option>
+                                <option value="precise">Precise</option>
+                            </select>
+                            <select value={timeFormat.units} onChange={e => setTimeFormat({ ...timeFormat, units: Number(e.target.value) })} className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 text-sm" title="How many units to show, e.g. 2 for '1 day, 3 hours'">
+                                {TIME_UNIT_COUNTS.map(count => <option key={count} value={count}>{count} {count === 1 ? 'unit' : 'units'}</option>)}
+                            </select>
+                        </label>
+                        <button onClick={() => setShowGoals(!showGoals)} className="text-sm text-cyan-300 hover:text-white underline">
+                            🎯 Goals{goals.length > 0 && ` (${goals.length})`}
+                        </button>
+                        <button onClick={() => setShowBoosts(!showBoosts)} className={`text-sm underline hover:text-white ${boosts.length > 0 ? 'text-yellow-300' : 'text-cyan-300'}`}>
+                            ⏱ Boosts{boosts.length > 0 && ` (${boosts.length})`}
+                        </button>
+                        <button onClick={() => copyShareLink()} className="text-sm text-cyan-300 hover:text-white underline">
+                            {copiedLink === 'page' ? 'Link copied!' : '🔗 Copy link to this view'}
+                        </button>
+                    </div>
+                </div>
+
+                {showGoals && (
+                    <GoalsPanel goals={goals} setGoals={setGoals} notify={notifyGoals} setNotify={setNotifyGoals} formatNumber={formatNumber} formatTime={formatTime} />
+                )}
+                {showBoosts && numberFormat && (
+                    <BoostScheduler boosts={boosts} setBoosts={setBoosts} now={now} parseNumber={parseRpsInput} formatNumber={formatNumber} formatTime={formatTime} />
+                )}
 
                 <div className="flex border-b border-gray-700 mb-0 flex-wrap">
-                    <TabButton tabName="calculator" label="Rune Calculator" />
-                    <TabButton tabName="timetomax" label="Time to Max" />
-                    <TabButton tabName="timetox" label="Time to X Runes" />
-                    <TabButton tabName="whatif" label="Target 'What If?'" />
+                    {tabs.map(tab => <TabButton key={tab.name} tabName={tab.name} label={tab.label} />)}
                 </div>
 
                 <div className="bg-gray-800 p-6 rounded-b-xl shadow-lg">
@@ -755,14 +1258,15 @@ export default function App() {
                                 <h3 className="text-xl font-bold text-center text-white mb-4">My Current Rate</h3>
                                 <div className="flex flex-col sm:flex-row items-center gap-4">
                                     <input type="text" value={rawRpsInput} onChange={(e) => setRawRpsInput(e.target.value)} className="w-full bg-gray-700 text-white text-lg p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 95QnVt" />
-                                </div>
-                                {rpsWarning && (
-                                    <div className="text-center bg-yellow-900/50 border border-yellow-500/30 text-yellow-300 p-3 mt-4 rounded-lg">
-                                        {rpsWarning}
+                                    <div className="flex items-center gap-2 w-full sm:w-64">
+                                        <label htmlFor="rune-luck" className="text-gray-300 whitespace-nowrap">Luck x</label>
+                                        <input id="rune-luck" type="text" value={runeLuck} onChange={(e) => setRuneLuck(e.target.value)} className="w-full bg-gray-700 text-white text-lg p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500" placeholder="e.g., 1.5k" />
                                     </div>
-                                )}
+                                </div>
+                                <NumberReading input={rawRpsInput} parseNumber={parseRpsInput} className="text-center" />
+                                <NumberReading input={runeLuck} parseNumber={parseRpsInput} className="text-center" />
                                 <p className="text-center text-cyan-300 mt-4 text-lg">
-                                    Parsed Rate: {formatNumber(rps)} RPS
+                                    Parsed Rate: {formatNumber(rps)} RPS{luck.gt(1) && ` · x${formatNumber(luck)} Rune Luck`}
                                 </p>
                             </div>
 
@@ -772,9 +1276,30 @@ export default function App() {
                                     <input type="checkbox" id="hide-instant" checked={hideInstant} onChange={(e) => setHideInstant(e.target.checked)} className="h-5 w-5 rounded bg-gray-700 border-gray-500 text-cyan-500 focus:ring-cyan-600" />
                                     <label htmlFor="hide-instant" className="text-white">Hide Instant</label>
                                 </div>
-                                <select id="sort-order" value={sortOrder} onChange={(e) => setSortOrder(e.target.value)} className="bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500">
-                                    <option value="asc">Easiest First</option>
-                                    <option value="desc">Hardest First</option>
+                                <div className="flex items-center gap-2">
+                                    <select id="sort-by" value={listFilters.sortBy} onChange={(e) => setListFilters({ ...listFilters, sortBy: e.target.value })} className="bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500">
+                                        {SORT_KEYS.map(key => <option key={key} value={key}>Sort by {SORT_LABELS[key].label}</option>)}
+                                    </select>
+                                    <select id="sort-order" value={sortOrder} onChange={(e) => setSortOrder(e.target.value)} className="bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500">
+                                        <option value="asc">{SORT_LABELS[listFilters.sortBy].asc}</option>
+                                        <option value="desc">{SORT_LABELS[listFilters.sortBy].desc}</option>
+                                    </select>
+                                </div>
+                                <button onClick={() => setShowListFilters(!showListFilters)} className="text-cyan-300 hover:text-white underline">
+                                    {showListFilters ? 'Hide filters' : 'More filters'}{activeListFilterCount > 0 && ` (${activeListFilterCount})`}
+                                </button>
+                            </div>
+                            {showListFilters && <ListFilters runesData={allRunes} filters={listFilters} setFilters={setListFilters} />}
+
+                            <div className="flex flex-wrap justify-center items-center gap-2 p-3 mb-6 bg-gray-800/50 rounded-lg text-sm text-gray-300">
+                                <span>Show my chance of getting at least</span>
+                                <input type="number" min="1" value={oddsCopies} onChange={e => setOddsCopies(e.target.value)} className="w-20 bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:border-cyan-500 text-center" />
+                                <span>{oddsCopies === '1' ? 'copy' : 'copies'} within</span>
+                                <input type="number" min="0" value={oddsDuration} onChange={e => setOddsDuration(e.target.value)} className="w-20 bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:border-cyan-500 text-center" />
+                                <select value={oddsUnit} onChange={e => setOddsUnit(e.target.value)} className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:border-cyan-500">
+                                    <option value="60">Minutes</option>
+                                    <option value="3600">Hours</option>
+                                    <option value="86400">Days</option>
                                 </select>
                             </div>
 
@@ -782,41 +1307,56 @@ export default function App() {
                                 <div className="bg-purple-900/50 border-2 border-dashed border-purple-500/60 p-5 rounded-lg mb-6">
                                     <div className="text-center mb-4">
                                         <h3 className="text-xl font-bold text-purple-200">Custom Rune Calculator</h3>
-                                        <p className="text-sm text-purple-300 mt-1">For new or unlisted runes.</p>
+                                        <p className="text-sm text-purple-300 mt-1">
+                                            For new or unlisted runes. To name one, give it bonuses or use it in the other tabs,{' '}
+                                            <button onClick={() => setActiveTab('editor')} className="underline hover:text-white">add it as a custom rune</button>.
+                                        </p>
                                     </div>
                                     <div className="flex flex-col sm:flex-row justify-between items-center gap-4">
                                         <div className="flex-1 text-center sm:text-left">
                                             <label htmlFor="custom-chance" className="block text-sm font-medium text-purple-200 mb-1">Enter Rune Chance (1 in...)</label>
                                             <div className="flex items-center gap-2 justify-center sm:justify-start">
                                                 <input id="custom-chance" type="text" value={customRuneChance} onChange={(e) => setCustomRuneChance(e.target.value)} className="bg-gray-700/80 text-white p-2 rounded-md border border-gray-600 focus:border-cyan-500 w-40 text-center" placeholder="e.g., 1e300" />
-                                                <span className="text-gray-400 text-sm">{customRuneConversion}</span>
                                             </div>
+                                            <NumberReading input={customRuneChance} parseNumber={parseRpsInput} />
                                         </div>
                                         <div className="text-center sm:text-right">
                                             <p className="text-sm text-purple-200 mb-1">Calculated Time</p>
                                             <div className="bg-cyan-500/10 border border-cyan-500/30 text-cyan-300 text-lg font-semibold px-4 py-2 rounded-lg min-w-[150px]">
                                                 {formatTime(customRuneDetails.time)}
                                             </div>
+                                            <Eta seconds={customRuneDetails.time} />
+                                            <ProbabilityDetails timePerCopy={customRuneDetails.time} odds={odds} formatTime={formatTime} />
                                         </div>
                                     </div>
                                 </div>
 
                                 {processedRunes.map((rune) => {
-                                    const isNextUpgrade = rune.name === nextUpgradeName;
-                                    const highlightClass = isNextUpgrade ? 'border-yellow-400 shadow-yellow-400/20 shadow-lg' : 'border-gray-700';
+                                    const isBestValue = rune.name === bestValueName;
+                                    const isLinked = rune.name === initialUrlState.runeName;
+                                    const highlightClass = `${isBestValue ? 'border-yellow-400 shadow-yellow-400/20 shadow-lg' : 'border-gray-700'}${isLinked ? ' ring-2 ring-cyan-400' : ''}`;
                                     const isSpecialChance = typeof rune.chance === 'object';
 
                                     return (
-                                        <div key={rune.name} className={`bg-gray-900/50 backdrop-blur-sm p-5 rounded-lg shadow-md border transition-all duration-300 ${highlightClass}`}>
-                                            {isNextUpgrade && <div className="text-yellow-400 font-bold mb-2 text-sm">Next Target (&lt; 1 Hour)</div>}
+                                        <div key={rune.name} id={runeCardId(rune.name)} className={`bg-gray-900/50 backdrop-blur-sm p-5 rounded-lg shadow-md border transition-all duration-300 ${highlightClass}`}>
+                                            {isBestValue && <div className="text-yellow-400 font-bold mb-2 text-sm">Best Value Now</div>}
                                             <div className="flex flex-col sm:flex-row justify-between items-start sm:items-center gap-4">
                                                 <div className="flex-1 min-w-0">
                                                     <div className="flex items-center gap-3 mb-1 flex-wrap">
                                                         <h2 className="text-2xl font-bold text-white">{rune.name}</h2>
                                                         {rune.tags && rune.tags.map(tag => <RuneTag key={tag} tag={tag} />)}
+                                                        <button onClick={() => copyShareLink(rune.name)} className="text-xs text-gray-500 hover:text-cyan-300" title="Copy a link to this rune">
+                                                            {copiedLink === rune.name ? 'Copied!' : '🔗 Link'}
+                                                        </button>
+                                                        {!isSpecialChance && rune.time.isFinite() && (
+                                                            <button onClick={() => pinGoal({ runeName: rune.name, seconds: rune.time })} className="text-xs text-gray-500 hover:text-cyan-300" title="Count down to the next copy under Goals">
+                                                                📌 Pin
+                                                            </button>
+                                                        )}
                                                     </div>
                                                     <p className="text-sm text-gray-400">{rune.source}</p>
                                                     <p className="text-sm text-cyan-400">{formatChance(rune)}</p>
+                                                    {rune.ignoresLuck && <p className="text-xs text-gray-500">Rune Luck doesn't affect this rune</p>}
                                                     <div className="mt-3 bg-gray-800/50 p-3 rounded-lg space-y-2 min-h-[8rem]">
                                                         <h4 className="font-semibold text-green-400">Bonuses:</h4>
                                                         {rune.bonuses && rune.bonuses
@@ -825,9 +1365,15 @@ export default function App() {
                                                                 <BonusDisplay key={index} bonus={bonus} formatNumber={formatNumber} />
                                                             ))}
                                                     </div>
+                                                    {dataReport?.byRune[rune.name] && <DataWarnings issues={dataReport.byRune[rune.name]} />}
                                                 </div>
-                                                <div className={`text-lg font-semibold px-4 py-2 rounded-lg text-center w-full sm:w-auto min-w-[150px] ${isSpecialChance ? 'bg-purple-500/10 border border-purple-500/30 text-purple-300' : 'bg-cyan-500/10 border border-cyan-500/30 text-cyan-300'}`}>
-                                                    {isSpecialChance ? 'Special Cost' : formatTime(rune.time)}
+                                                <div className="w-full sm:w-auto text-center">
+                                                    <div className={`text-lg font-semibold px-4 py-2 rounded-lg min-w-[150px] ${isSpecialChance ? 'bg-purple-500/10 border border-purple-500/30 text-purple-300' : 'bg-cyan-500/10 border border-cyan-500/30 text-cyan-300'}`}>
+                                                        {isSpecialChance ? 'Special Cost' : formatTime(rune.time)}
+                                                    </div>
+                                                    {!isSpecialChance && <Eta seconds={rune.time} />}
+                                                    {rune.gain && <RuneValue gain={rune.gain} value={rune.value} formatNumber={formatNumber} />}
+                                                    {!isSpecialChance && <ProbabilityDetails timePerCopy={rune.time} odds={odds} formatTime={formatTime} />}
                                                 </div>
                                             </div>
                                         </div>
@@ -838,7 +1384,10 @@ export default function App() {
                     )}
                     {activeTab === 'timetomax' && appData.status === 'loaded' && (
                         <TimeToMaxCalculator
-                            runesData={appData.runes}
+                            runesData={allRunes}
+                            onPinGoal={pinGoal}
+                            inventory={inventory}
+                            boosts={boosts}
                             parseRpsInput={parseRpsInput}
                             formatTime={formatTime}
                             formatNumber={formatNumber}
@@ -848,7 +1397,10 @@ export default function App() {
                     )}
                     {activeTab === 'timetox' && appData.status === 'loaded' && (
                         <TimeToXCalculator
-                            runesData={appData.runes}
+                            runesData={allRunes}
+                            onPinGoal={pinGoal}
+                            inventory={inventory}
+                            boosts={boosts}
                             parseRpsInput={parseRpsInput}
                             formatTime={formatTime}
                             formatNumber={formatNumber}
@@ -857,7 +1409,65 @@ export default function App() {
                         />
                     )}
                     {activeTab === 'whatif' && appData.status === 'loaded' && (
-                        <TargetCalculator runesData={appData.runes} formatNumber={formatNumber} />
+                        <TargetCalculator runesData={allRunes} luck={luck} formatNumber={formatNumber} />
+                    )}
+                    {activeTab === 'inventory' && appData.status === 'loaded' && (
+                        <InventoryTab runesData={allRunes} inventory={inventory} setInventory={setInventory} formatNumber={formatNumber} />
+                    )}
+                    {activeTab === 'plan' && appData.status === 'loaded' && (
+                        <FarmingPlanTab
+                            runesData={allRunes}
+                            inventory={inventory}
+                            parseRpsInput={parseRpsInput}
+                            formatTime={formatTime}
+                            formatNumber={formatNumber}
+                            syncedState={syncedState}
+                        />
+                    )}
+                    {activeTab === 'source' && appData.status === 'loaded' && (
+                        <SourceSimulationTab
+                            runesData={allRunes}
+                            inventory={inventory}
+                            parseRpsInput={parseRpsInput}
+                            formatTime={formatTime}
+                            formatNumber={formatNumber}
+                            syncedState={syncedState}
+                        />
+                    )}
+                    {activeTab === 'queue' && appData.status === 'loaded' && (
+                        <GoalQueueTab
+                            runesData={allRunes}
+                            inventory={inventory}
+                            boosts={boosts}
+                            goalQueue={goalQueue}
+                            setGoalQueue={setGoalQueue}
+                            parseRpsInput={parseRpsInput}
+                            formatTime={formatTime}
+                            formatNumber={formatNumber}
+                            syncedState={syncedState}
+                        />
+                    )}
+                    {activeTab === 'log' && appData.status === 'loaded' && (
+                        <ProgressLogTab
+                            runesData={allRunes}
+                            inventory={inventory}
+                            progressLog={progressLog}
+                            setProgressLog={setProgressLog}
+                            version={version}
+                            parseRpsInput={parseRpsInput}
+                            formatTime={formatTime}
+                            formatNumber={formatNumber}
+                            syncedState={syncedState}
+                        />
+                    )}
+                    {activeTab === 'editor' && appData.status === 'loaded' && (
+                        <RuneEditorTab
+                            baseRunes={appData.runes}
+                            customRunes={customRunes}
+                            setCustomRunes={setCustomRunes}
+                            parseRpsInput={parseRpsInput}
+                            formatChance={formatChance}
+                        />
                     )}
                 </div>
 
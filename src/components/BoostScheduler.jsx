@@ -0,0 +1,76 @@
+import React, { useState } from 'react';
+import { BOOST_STATS, buildBoost } from '../lib/boosts.js';
+import { STAT_LABELS } from '../lib/aggregation.js';
+import { parseDuration } from '../lib/format.js';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+
+const EMPTY_FORM = { stat: 'runeLuck', factor: '2', startsIn: '', lasts: '' };
+
+// When a scheduled boost runs, relative to `now`.
+const describeWindow = (boost, now, formatTime) => (boost.start > now
+    ? `starts in ${formatTime((boost.start - now) / 1000)}, lasts ${formatTime((boost.end - boost.start) / 1000)}`
+    : `ends in ${formatTime((boost.end - now) / 1000)}`);
+
+// Timed event buffs and potions. Every estimate counts them for as long as they last (see lib/boosts.js).
+const BoostScheduler = ({ boosts, setBoosts, now, parseNumber, formatNumber, formatTime }) => {
+    const [form, setForm] = useState(EMPTY_FORM);
+    const [error, setError] = useState(null);
+    const set = (field, value) => setForm({ ...form, [field]: value });
+
+    const handleAdd = () => {
+        const { boost, error: formError } = buildBoost({
+            stat: form.stat,
+            factor: form.factor,
+            startsIn: form.startsIn.trim() ? parseDuration(form.startsIn) : 0,
+            lasts: parseDuration(form.lasts),
+        }, parseNumber);
+        setError(formError);
+        if (!boost) return;
+        setBoosts([...boosts, boost]);
+        setForm({ ...form, startsIn: '', lasts: '' });
+    };
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-lg mb-4 space-y-3">
+            <p className="text-sm text-gray-400">Add event buffs or potions that only last a while. Times everywhere count them until they run out.</p>
+            <div className="grid grid-cols-2 sm:grid-cols-5 gap-2 items-end">
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-300 mb-1">Stat</span>
+                    <select value={form.stat} onChange={e => set('stat', e.target.value)} className={inputClassName}>
+                        {BOOST_STATS.map(stat => <option key={stat} value={stat}>{STAT_LABELS[stat]}</option>)}
+                    </select>
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-300 mb-1">Factor (x)</span>
+                    <input type="text" value={form.factor} onChange={e => set('factor', e.target.value)} className={inputClassName} placeholder="e.g., 2" />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-300 mb-1">Starts in</span>
+                    <input type="text" value={form.startsIn} onChange={e => set('startsIn', e.target.value)} className={inputClassName} placeholder="now" />
+                </label>
+                <label className="block">
+                    <span className="block text-sm font-medium text-gray-300 mb-1">Lasts</span>
+                    <input type="text" value={form.lasts} onChange={e => set('lasts', e.target.value)} className={inputClassName} placeholder="e.g., 40m" />
+                </label>
+                <button onClick={handleAdd} className="bg-cyan-600 hover:bg-cyan-500 text-white font-bold p-2 rounded-lg">Add boost</button>
+            </div>
+            {error && <p className="text-xs text-yellow-300">{error}</p>}
+            {boosts.length > 0 && (
+                <ul className="space-y-1">
+                    {boosts.map(boost => (
+                        <li key={boost.id} className="flex justify-between items-center text-sm bg-gray-900/50 px-3 py-2 rounded-lg">
+                            <span>
+                                <span className="font-semibold text-cyan-300">x{formatNumber(boost.factor)} {STAT_LABELS[boost.stat]}</span>
+                                <span className="text-gray-400"> · {describeWindow(boost, now, formatTime)}</span>
+                            </span>
+                            <button onClick={() => setBoosts(boosts.filter(other => other.id !== boost.id))} className="text-gray-500 hover:text-red-400" title="Remove this boost">&times;</button>
+                        </li>
+                    ))}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default BoostScheduler;
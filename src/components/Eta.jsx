@@ -0,0 +1,11 @@
+import React from 'react';
+import { formatEta } from '../lib/format.js';
+
+// When a time result would finish if started now ("done Tue 21 Oct, 14:30"). Nothing for instant or
+// unrepresentably long times.
+const Eta = ({ seconds, className = '' }) => {
+    const eta = formatEta(seconds);
+    return eta ? <p className={`text-xs text-gray-500 mt-1 ${className}`}>{eta}</p> : null;
+};
+
+export default Eta;
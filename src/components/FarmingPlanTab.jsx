@@ -0,0 +1,133 @@
+import React, { useMemo, useState } from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { normalizeLuck } from '../lib/luck.js';
+import { useSimulationWorker } from '../hooks/useSimulationWorker.js';
+import NumberReading from './NumberReading.jsx';
+import Eta from './Eta.jsx';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+
+const PlanStep = ({ step, index, elapsed, formatTime, formatNumber }) => {
+    const pickups = Object.entries(step.pickups);
+    return (
+        <li className="bg-gray-900/50 p-3 rounded-lg">
+            <div className="flex justify-between items-start gap-4">
+                <p className="text-white">
+                    <span className="text-cyan-400 font-bold mr-2">{index + 1}.</span>
+                    Farm <span className="font-bold">{step.runeName}</span> from {formatNumber(Math.floor(step.fromCount))} to {formatNumber(step.toCount)}
+                </p>
+                <div className="text-right shrink-0">
+                    <p className="font-bold text-green-400">{formatTime(BigNum.from(step.time))}</p>
+                    <p className="text-xs text-gray-500">done after {formatTime(elapsed)}</p>
+                    <Eta seconds={elapsed} />
+                </div>
+            </div>
+            <p className="text-sm text-gray-400 mt-1">RPS afterwards: {formatNumber(BigNum.from(step.rpsAfter))}</p>
+            {pickups.length > 0 && (
+                <p className="text-xs text-gray-500 mt-1">Picks up: {pickups.map(([name, count]) => `${name} (${formatNumber(count)})`).join(', ')}</p>
+            )}
+        </li>
+    );
+};
+
+const FarmingPlanTab = ({ runesData, inventory, parseRpsInput, formatTime, formatNumber, syncedState }) => {
+    const { runeSpeed, runeBulk, runeLuck } = syncedState;
+    const farmableRunes = useMemo(() => runesData.filter(r => typeof r.chance === 'number').sort((a, b) => a.chance - b.chance), [runesData]);
+    const [goalType, setGoalType] = useState('own');
+    const [goalRuneName, setGoalRuneName] = useState(farmableRunes[farmableRunes.length - 1]?.name ?? '');
+    const [goalCount, setGoalCount] = useState('1');
+    const [goalRps, setGoalRps] = useState('1e250');
+
+    const calculation = useMemo(() => {
+        const speed = parseRpsInput(runeSpeed).value;
+        const bulk = parseRpsInput(runeBulk).value;
+        const luck = normalizeLuck(parseRpsInput(runeLuck).value);
+        if (speed.mul(bulk).lte(0)) return { message: 'Enter your Rune Speed and Bulk on the "Time to Max" tab.' };
+
+        let goal;
+        if (goalType === 'rps') {
+            const value = parseRpsInput(goalRps).value;
+            if (value.lte(0)) return { message: 'Enter a target RPS' };
+            goal = { type: 'rps', value };
+        } else {
+            const count = parseInt(goalCount, 10) || 0;
+            if (count <= 0) return { message: 'Enter how many you want to own' };
+            goal = { type: 'own', runeName: goalRuneName, count };
+        }
+        return { request: { type: 'farmingPlan', payload: { runes: runesData, inventory, speed, bulk, luck, goal } } };
+    }, [goalType, goalRuneName, goalCount, goalRps, runeSpeed, runeBulk, runeLuck, inventory, runesData, parseRpsInput]);
+
+    const simulation = useSimulationWorker(calculation.request ?? null);
+    const plan = simulation.status === 'done' ? simulation.result : null;
+
+    const elapsedAfterStep = useMemo(() => {
+        let elapsed = BigNum.ZERO;
+        return (plan?.steps || []).map(step => (elapsed = elapsed.add(BigNum.from(step.time))));
+    }, [plan]);
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">What Should I Farm Next?</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Plans which runes to farm, and for how long, to reach a goal fastest. Uses your Rune Speed, Bulk and Luck from the "Time to..." tabs and your counts from the Inventory tab.</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Goal</label>
+                    <select value={goalType} onChange={e => setGoalType(e.target.value)} className={inputClassName}>
+                        <option value="own">Own a number of a rune</option>
+                        <option value="rps">Reach an RPS</option>
+                    </select>
+                </div>
+                {goalType === 'own' ? (
+                    <>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-1">Rune</label>
+                            <select value={goalRuneName} onChange={e => setGoalRuneName(e.target.value)} className={inputClassName}>
+                                {farmableRunes.map(r => <option key={r.name} value={r.name}>{r.name}</option>)}
+                            </select>
+                        </div>
+                        <div>
+                            <label className="block text-sm font-medium text-gray-300 mb-1">How Many</label>
+                            <input type="number" min="1" value={goalCount} onChange={e => setGoalCount(e.target.value)} className={inputClassName} placeholder="e.g., 1" />
+                        </div>
+                    </>
+                ) : (
+                    <div className="md:col-span-2">
+                        <label className="block text-sm font-medium text-gray-300 mb-1">Target RPS</label>
+                        <input type="text" value={goalRps} onChange={e => setGoalRps(e.target.value)} className={inputClassName} placeholder="e.g., 1e250" />
+                        <NumberReading input={goalRps} parseNumber={parseRpsInput} />
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-gray-900 p-4 rounded-lg">
+                {calculation.message && <p className="text-center text-gray-400">{calculation.message}</p>}
+                {calculation.request && !plan && (
+                    <p className="text-center text-gray-400">
+                        {simulation.status === 'error' ? 'Planning failed' : `Planning... ${Math.round(simulation.progress * 100)}%`}
+                    </p>
+                )}
+                {plan && (
+                    <>
+                        <div className="text-center mb-4">
+                            <p className="text-gray-400">{plan.reached ? 'Total Estimated Time' : 'Goal Not Reachable'}</p>
+                            <p className="text-2xl font-bold text-green-400 mt-1">{plan.reached ? formatTime(BigNum.from(plan.totalTime)) : plan.reason}</p>
+                            {plan.reached && <Eta seconds={plan.totalTime} />}
+                        </div>
+                        {plan.steps.length === 0 ? (
+                            <p className="text-center text-gray-400">{plan.reached ? 'You\'ve already reached this goal!' : ''}</p>
+                        ) : (
+                            <ol className="space-y-2">
+                                {plan.steps.map((step, index) => (
+                                    <PlanStep key={index} step={step} index={index} elapsed={elapsedAfterStep[index]} formatTime={formatTime} formatNumber={formatNumber} />
+                                ))}
+                            </ol>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default FarmingPlanTab;
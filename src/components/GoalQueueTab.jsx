@@ -0,0 +1,116 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { normalizeLuck } from '../lib/luck.js';
+import { useSimulationWorker } from '../hooks/useSimulationWorker.js';
+import Eta from './Eta.jsx';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+const moveButtonClass = 'text-gray-400 hover:text-white disabled:opacity-30 px-1';
+
+const STEP_NOTES = {
+    'unknown-rune': 'Unknown rune, skipped',
+    'special-cost': 'Special cost rune, skipped',
+    'no-max': 'No max count: enter a target',
+    reached: 'Already there by this step',
+};
+
+const StepResult = ({ result, formatTime, formatNumber }) => {
+    if (result.note) return <p className="text-sm text-yellow-300">{STEP_NOTES[result.note]}</p>;
+    const pickups = Object.entries(result.pickups);
+    return (
+        <div className="text-sm">
+            <p className="text-gray-300">
+                {formatNumber(Math.floor(result.fromCount))} → {formatNumber(result.toCount)} in <span className="font-bold text-green-400">{formatTime(BigNum.from(result.time))}</span>
+                <span className="text-gray-500"> · done after {formatTime(BigNum.from(result.elapsed))}</span>
+            </p>
+            <p className="text-gray-400">RPS afterwards: {formatNumber(BigNum.from(result.rpsAfter))}</p>
+            {pickups.length > 0 && <p className="text-xs text-gray-500">Picks up: {pickups.map(([name, count]) => `${name} (${formatNumber(count)})`).join(', ')}</p>}
+        </div>
+    );
+};
+
+// An ordered queue of "farm this rune to this count" steps, each starting from the stats the previous one
+// left behind. Reordering reruns the queue, and the previous total stays up for comparison.
+const GoalQueueTab = ({ runesData, inventory, boosts, goalQueue, setGoalQueue, parseRpsInput, formatTime, formatNumber, syncedState }) => {
+    const { runeSpeed, runeBulk, runeLuck } = syncedState;
+    const farmableRunes = useMemo(() => runesData.filter(r => typeof r.chance === 'number').sort((a, b) => a.chance - b.chance), [runesData]);
+
+    const setStep = (index, field, value) => setGoalQueue(goalQueue.map((step, i) => (i === index ? { ...step, [field]: value } : step)));
+    const moveStep = (index, offset) => {
+        const steps = [...goalQueue];
+        [steps[index], steps[index + offset]] = [steps[index + offset], steps[index]];
+        setGoalQueue(steps);
+    };
+    const addStep = () => setGoalQueue([...goalQueue, { runeName: farmableRunes[0]?.name ?? '', targetCount: '' }]);
+
+    const calculation = useMemo(() => {
+        const speed = parseRpsInput(runeSpeed).value;
+        const bulk = parseRpsInput(runeBulk).value;
+        const luck = normalizeLuck(parseRpsInput(runeLuck).value);
+        if (speed.mul(bulk).lte(0)) return { message: 'Enter your Rune Speed and Bulk on the "Time to Max" tab.' };
+        if (goalQueue.length === 0) return { message: 'Add a step to start the queue.' };
+        const steps = goalQueue.map(({ runeName, targetCount }) => {
+            const count = parseInt(targetCount, 10);
+            return { runeName, targetCount: count > 0 ? count : null };
+        });
+        return { request: { type: 'goalQueue', payload: { runes: runesData, inventory, speed, bulk, luck, steps, boosts } } };
+    }, [goalQueue, runeSpeed, runeBulk, runeLuck, inventory, boosts, runesData, parseRpsInput]);
+
+    const simulation = useSimulationWorker(calculation.request ?? null);
+    const plan = simulation.status === 'done' ? simulation.result : null;
+
+    // The last two totals, so a reordered queue can be compared with the one before.
+    const [totals, setTotals] = useState({ current: null, previous: null });
+    useEffect(() => {
+        if (plan) setTotals(previous => (previous.current === plan.totalTime ? previous : { current: plan.totalTime, previous: previous.current }));
+    }, [plan]);
+    const change = plan && totals.previous !== null ? BigNum.from(plan.totalTime).sub(BigNum.from(totals.previous)) : null;
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Goal Queue</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Line up runes to farm in order, like "Immortality to 500, then Hyper Finality to 26, then Odyssey to max". Each step starts with the bonuses the steps before it earned. Uses your Rune Speed, Bulk and Luck from the "Time to..." tabs and your counts from the Inventory tab; leave a target blank to farm to max.</p>
+
+            <ol className="space-y-2 mb-4">
+                {goalQueue.map((step, index) => (
+                    <li key={index} className="bg-gray-900/50 p-3 rounded-lg space-y-2">
+                        <div className="flex items-center gap-2">
+                            <span className="text-cyan-400 font-bold w-6">{index + 1}.</span>
+                            <select value={step.runeName} onChange={e => setStep(index, 'runeName', e.target.value)} className={inputClassName}>
+                                {!farmableRunes.some(r => r.name === step.runeName) && <option value={step.runeName}>{step.runeName}</option>}
+                                {farmableRunes.map(r => <option key={r.name} value={r.name}>{r.name}</option>)}
+                            </select>
+                            <input type="number" min="1" value={step.targetCount} onChange={e => setStep(index, 'targetCount', e.target.value)} className={`${inputClassName} w-32`} placeholder="max" />
+                            <button onClick={() => moveStep(index, -1)} disabled={index === 0} className={moveButtonClass} title="Move up">↑</button>
+                            <button onClick={() => moveStep(index, 1)} disabled={index === goalQueue.length - 1} className={moveButtonClass} title="Move down">↓</button>
+                            <button onClick={() => setGoalQueue(goalQueue.filter((_, i) => i !== index))} className="text-gray-500 hover:text-red-400 px-1" title="Remove this step">&times;</button>
+                        </div>
+                        {plan?.steps[index] && <StepResult result={plan.steps[index]} formatTime={formatTime} formatNumber={formatNumber} />}
+                    </li>
+                ))}
+            </ol>
+            <button onClick={addStep} className="bg-cyan-600 hover:bg-cyan-500 text-white font-bold px-4 py-2 rounded-lg mb-6">Add step</button>
+
+            <div className="bg-gray-900 p-4 rounded-lg text-center">
+                {calculation.message && <p className="text-gray-400">{calculation.message}</p>}
+                {calculation.request && !plan && (
+                    <p className="text-gray-400">{simulation.status === 'error' ? 'Calculation failed' : `Calculating... ${Math.round(simulation.progress * 100)}%`}</p>
+                )}
+                {calculation.request && plan && (
+                    <>
+                        <p className="text-gray-400">Total Time for the Queue</p>
+                        <p className="text-2xl font-bold text-green-400 mt-1">{formatTime(BigNum.from(plan.totalTime))}</p>
+                        <Eta seconds={plan.totalTime} />
+                        {change && !change.isZero() && (
+                            <p className={`text-sm mt-2 ${change.isNegative() ? 'text-green-400' : 'text-yellow-300'}`}>
+                                {formatTime(change.abs())} {change.isNegative() ? 'faster' : 'slower'} than before your last change ({formatTime(BigNum.from(totals.previous))})
+                            </p>
+                        )}
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default GoalQueueTab;
@@ -0,0 +1,69 @@
+import React, { useEffect, useState } from 'react';
+import { describeGoal, goalProgress } from '../lib/goals.js';
+import { notificationsSupported } from '../hooks/useGoalNotifications.js';
+
+const COUNTDOWN_TICK_MS = 1000;
+
+const NotificationToggle = ({ enabled, setEnabled }) => {
+    const [permission, setPermission] = useState(() => (notificationsSupported() ? Notification.permission : 'unsupported'));
+    if (permission === 'unsupported') return <p className="text-xs text-gray-500">This browser can't show notifications.</p>;
+    if (permission === 'denied') return <p className="text-xs text-gray-500">Notifications are blocked for this site in your browser settings.</p>;
+
+    const handleToggle = async () => {
+        if (enabled) {
+            setEnabled(false);
+            return;
+        }
+        const granted = permission === 'granted' ? permission : await Notification.requestPermission();
+        setPermission(granted);
+        setEnabled(granted === 'granted');
+    };
+
+    return (
+        <label className="flex items-center gap-2 text-sm text-gray-300">
+            <input type="checkbox" checked={enabled && permission === 'granted'} onChange={handleToggle} className="h-4 w-4 rounded bg-gray-700 border-gray-500 text-cyan-500 focus:ring-cyan-600" />
+            Notify me when a goal's time is up, even from a background tab
+        </label>
+    );
+};
+
+// Pinned goals with live countdowns. Pin them from the "Time to..." tabs or a rune card on the main list.
+const GoalsPanel = ({ goals, setGoals, notify, setNotify, formatNumber, formatTime }) => {
+    const [now, setNow] = useState(() => Date.now());
+    useEffect(() => {
+        const timer = setInterval(() => setNow(Date.now()), COUNTDOWN_TICK_MS);
+        return () => clearInterval(timer);
+    }, []);
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-lg mb-4 space-y-3">
+            <NotificationToggle enabled={notify} setEnabled={setNotify} />
+            {goals.length === 0 ? (
+                <p className="text-sm text-gray-400">No goals yet. Use 📌 Pin on a "Time to..." result or a rune card to count down to it here.</p>
+            ) : (
+                <ul className="space-y-2">
+                    {goals.map(goal => {
+                        const { fraction, remaining, isDone } = goalProgress(goal, now);
+                        return (
+                            <li key={goal.id} className="bg-gray-900/50 px-3 py-2 rounded-lg">
+                                <div className="flex justify-between items-center gap-2 text-sm">
+                                    <span className="font-semibold text-white">{describeGoal(goal, formatNumber)}</span>
+                                    <span className={isDone ? 'text-green-400 font-bold' : 'text-cyan-300'}>
+                                        {isDone ? 'Should be done!' : goal.eta === null ? 'Not in this lifetime' : `${formatTime(remaining)} left`}
+                                    </span>
+                                    <button onClick={() => setGoals(goals.filter(other => other.id !== goal.id))} className="text-gray-500 hover:text-red-400" title="Remove this goal">&times;</button>
+                                </div>
+                                <div className="h-2 bg-gray-700 rounded-full mt-2 overflow-hidden">
+                                    <div className={`h-full ${isDone ? 'bg-green-500' : 'bg-cyan-500'}`} style={{ width: `${fraction * 100}%` }} />
+                                </div>
+                                {goal.eta !== null && <p className="text-xs text-gray-500 mt-1">Pinned {new Date(goal.start).toLocaleString()} · due {new Date(goal.eta).toLocaleString()}</p>}
+                            </li>
+                        );
+                    })}
+                </ul>
+            )}
+        </div>
+    );
+};
+
+export default GoalsPanel;
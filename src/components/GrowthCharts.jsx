@@ -0,0 +1,116 @@
+import React, { useMemo, useState } from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { TIME_UNITS } from '../lib/format.js';
+
+// --- Growth Charts ---
+// Log-log plots of the solver's growth series: copies owned and RPS against time elapsed. Straight stretches
+// are steady growth, bends are where compounding kicks in, and flat RPS is where the bonuses have capped.
+
+const WIDTH = 600;
+const HEIGHT = 200;
+const PADDING = { top: 10, right: 12, bottom: 24, left: 64 };
+const MAX_TICKS = 5;
+
+// Short, stable duration labels ("3.2 h", "4.1M y") for axes and tooltips, in the largest unit that fits.
+const formatAxisDuration = (seconds, formatNumber) => {
+    const unit = TIME_UNITS.find(({ s }) => seconds.gte(s)) || TIME_UNITS[TIME_UNITS.length - 1];
+    const value = seconds.div(unit.s);
+    return `${value.lt(1000) ? parseFloat(value.toNumber().toPrecision(3)) : formatNumber(value)} ${unit.l[0]}`;
+};
+
+// Whole decades across [min, max], thinned out to at most MAX_TICKS.
+const decadeTicks = (min, max) => {
+    const first = Math.ceil(min);
+    const step = Math.max(1, Math.ceil((Math.floor(max) - first + 1) / MAX_TICKS));
+    const ticks = [];
+    for (let tick = first; tick <= max; tick += step) ticks.push(tick);
+    return ticks.length > 0 ? ticks : [min];
+};
+
+const domain = (values) => {
+    const min = Math.min(...values);
+    const max = Math.max(...values);
+    return max - min > 1e-9 ? [min, max] : [min - 0.5, max + 0.5];
+};
+
+const LogChart = ({ title, points, yKey, formatY, formatX, hoverIndex, setHoverIndex }) => {
+    const [xMin, xMax] = domain(points.map(point => point.logTime));
+    const [yMin, yMax] = domain(points.map(point => point[yKey]));
+    const toX = logTime => PADDING.left + ((logTime - xMin) / (xMax - xMin)) * (WIDTH - PADDING.left - PADDING.right);
+    const toY = value => HEIGHT - PADDING.bottom - ((value - yMin) / (yMax - yMin)) * (HEIGHT - PADDING.top - PADDING.bottom);
+    const path = points.map((point, index) => `${index === 0 ? 'M' : 'L'}${toX(point.logTime).toFixed(1)},${toY(point[yKey]).toFixed(1)}`).join(' ');
+    const hovered = hoverIndex !== null ? points[hoverIndex] : null;
+
+    const handleMove = (event) => {
+        const box = event.currentTarget.getBoundingClientRect();
+        const x = ((event.clientX - box.left) / box.width) * WIDTH;
+        let nearest = 0;
+        points.forEach((point, index) => {
+            if (Math.abs(toX(point.logTime) - x) < Math.abs(toX(points[nearest].logTime) - x)) nearest = index;
+        });
+        setHoverIndex(nearest);
+    };
+
+    return (
+        <div className="relative">
+            <p className="text-sm text-gray-400 mb-1">{title}</p>
+            <svg viewBox={`0 0 ${WIDTH} ${HEIGHT}`} className="w-full" onMouseMove={handleMove} onMouseLeave={() => setHoverIndex(null)}>
+                {decadeTicks(yMin, yMax).map(tick => (
+                    <g key={`y${tick}`}>
+                        <line x1={PADDING.left} x2={WIDTH - PADDING.right} y1={toY(tick)} y2={toY(tick)} className="stroke-gray-700" />
+                        <text x={PADDING.left - 6} y={toY(tick) + 4} textAnchor="end" className="fill-gray-500 text-[11px]">{formatY(BigNum.fromLog10(tick))}</text>
+                    </g>
+                ))}
+                {decadeTicks(xMin, xMax).map(tick => (
+                    <text key={`x${tick}`} x={toX(tick)} y={HEIGHT - 6} textAnchor="middle" className="fill-gray-500 text-[11px]">{formatX(BigNum.fromLog10(tick))}</text>
+                ))}
+                <path d={path} fill="none" strokeWidth="2" className="stroke-cyan-400" />
+                {hovered && (
+                    <g>
+                        <line x1={toX(hovered.logTime)} x2={toX(hovered.logTime)} y1={PADDING.top} y2={HEIGHT - PADDING.bottom} className="stroke-gray-500" strokeDasharray="4 3" />
+                        <circle cx={toX(hovered.logTime)} cy={toY(hovered[yKey])} r="4" className="fill-cyan-300" />
+                    </g>
+                )}
+            </svg>
+            {hovered && (
+                <div
+                    className="absolute top-6 pointer-events-none bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs text-gray-200 whitespace-nowrap"
+                    style={toX(hovered.logTime) > WIDTH / 2 ? { right: `${100 - (toX(hovered.logTime) / WIDTH) * 100 + 1}%` } : { left: `${(toX(hovered.logTime) / WIDTH) * 100 + 1}%` }}
+                >
+                    {formatX(hovered.time)}: {formatY(BigNum.fromLog10(hovered[yKey]))}
+                </div>
+            )}
+        </div>
+    );
+};
+
+// Charts a compounding result's `series` (as returned by the simulation worker).
+const GrowthCharts = ({ series, formatNumber }) => {
+    const [hoverIndex, setHoverIndex] = useState(null);
+    // Log scales can't show the starting point (no time elapsed yet), so the curves begin at the first copy.
+    const points = useMemo(() => (series || [])
+        .map(point => ({ count: point.count, time: BigNum.from(point.time), speed: BigNum.from(point.speed), bulk: BigNum.from(point.bulk), rps: BigNum.from(point.rps) }))
+        .filter(point => point.count > 0 && point.time.gt(0) && point.time.isFinite() && point.rps.gt(0))
+        .map(point => ({ ...point, logTime: point.time.log10(), logCount: Math.log10(point.count), logRps: point.rps.log10() })), [series]);
+
+    if (points.length < 2) return null;
+    const formatX = time => formatAxisDuration(time, formatNumber);
+    const hovered = hoverIndex !== null ? points[hoverIndex] : null;
+
+    return (
+        <div className="bg-gray-900/50 p-4 rounded-lg mt-4">
+            <h3 className="text-lg font-bold text-white mb-2 text-center">Growth Over Time</h3>
+            <div className="space-y-4">
+                <LogChart title="Copies owned" points={points} yKey="logCount" formatY={formatNumber} formatX={formatX} hoverIndex={hoverIndex} setHoverIndex={setHoverIndex} />
+                <LogChart title="Runes per second" points={points} yKey="logRps" formatY={formatNumber} formatX={formatX} hoverIndex={hoverIndex} setHoverIndex={setHoverIndex} />
+            </div>
+            <p className="text-xs text-gray-400 mt-3 text-center min-h-[1rem]">
+                {hovered
+                    ? `After ${formatX(hovered.time)}: ${formatNumber(hovered.count)} copies · Speed ${formatNumber(hovered.speed)} · Bulk ${formatNumber(hovered.bulk)} · RPS ${formatNumber(hovered.rps)}`
+                    : 'Both axes are logarithmic. Hover a chart for details.'}
+            </p>
+        </div>
+    );
+};
+
+export default GrowthCharts;
@@ -0,0 +1,97 @@
+import React, { useMemo } from 'react';
+import { aggregateInventory, ownedCount, STAT_LABELS } from '../lib/aggregation.js';
+import { getRuneMaxCount } from '../lib/caps.js';
+
+const StatTotal = ({ stat, total, formatNumber }) => {
+    const parts = [];
+    if (!total.multiplier.eq(1)) parts.push(`x${formatNumber(total.multiplier)}`);
+    if (!total.additive.isZero()) parts.push(`+${formatNumber(total.additive)}`);
+    if (!total.subtractive.isZero()) parts.push(`-${formatNumber(total.subtractive)}`);
+    if (!total.power.eq(1)) parts.push(`^${parseFloat(total.power.toNumber().toPrecision(4))}`);
+
+    return (
+        <div className="bg-gray-900 p-3 rounded-lg">
+            <p className="text-gray-400 text-sm">{STAT_LABELS[stat] || stat}</p>
+            <p className="text-lg font-bold text-cyan-300">{parts.length > 0 ? parts.join(' ') : 'No change'}</p>
+            <p className="text-xs text-gray-500">from {total.contributors.length} {total.contributors.length === 1 ? 'rune' : 'runes'}</p>
+        </div>
+    );
+};
+
+const InventoryTab = ({ runesData, inventory, setInventory, formatNumber }) => {
+    const totals = useMemo(() => aggregateInventory(runesData, inventory), [runesData, inventory]);
+
+    const runesBySource = useMemo(() => {
+        const groups = new Map();
+        for (const rune of runesData) {
+            groups.set(rune.source, [...(groups.get(rune.source) || []), rune]);
+        }
+        return [...groups.entries()];
+    }, [runesData]);
+
+    const ownedRunes = runesData.filter(rune => ownedCount(inventory, rune.name) > 0).length;
+    const setCount = (runeName, value) => setInventory(previous => ({ ...previous, [runeName]: value }));
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Rune Inventory</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Record how many of each rune you own. The totals below combine every owned rune's bonuses, and the "Time to..." tabs use your counts for runes picked up along the way.</p>
+
+            <div className="bg-gray-900/50 p-4 rounded-lg mb-6">
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-xl font-bold text-white">Bonuses From Owned Runes</h3>
+                    <span className="text-sm text-gray-400">{ownedRunes} of {runesData.length} runes owned</span>
+                </div>
+                {Object.keys(totals).length === 0 ? (
+                    <p className="text-gray-500 text-center">Enter some rune counts below to see your combined bonuses.</p>
+                ) : (
+                    <div className="grid grid-cols-2 md:grid-cols-3 gap-3">
+                        {Object.entries(totals).map(([stat, total]) => <StatTotal key={stat} stat={stat} total={total} formatNumber={formatNumber} />)}
+                    </div>
+                )}
+            </div>
+
+            <div className="space-y-6">
+                {runesBySource.map(([source, runes]) => (
+                    <div key={source}>
+                        <h3 className="text-lg font-bold text-purple-300 mb-2">{source}</h3>
+                        <div className="space-y-2">
+                            {runes.map(rune => {
+                                const maxCount = getRuneMaxCount(rune);
+                                const count = ownedCount(inventory, rune.name);
+                                const isMaxed = !isNaN(maxCount) && count >= maxCount;
+                                return (
+                                    <div key={rune.name} className="flex items-center gap-3 bg-gray-900/50 p-2 rounded-lg">
+                                        <span className={`flex-1 font-semibold ${isMaxed ? 'text-green-400' : 'text-white'}`}>{rune.name}</span>
+                                        <input
+                                            type="number"
+                                            min="0"
+                                            value={inventory[rune.name] ?? ''}
+                                            onChange={e => setCount(rune.name, e.target.value)}
+                                            className="w-36 bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500"
+                                            placeholder="0"
+                                        />
+                                        <span className="w-28 text-sm text-gray-400">/ {isNaN(maxCount) ? '?' : formatNumber(maxCount)}</span>
+                                        <button
+                                            onClick={() => setCount(rune.name, String(maxCount))}
+                                            disabled={isNaN(maxCount) || isMaxed}
+                                            className="text-xs font-bold px-2 py-1 rounded bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-40"
+                                        >
+                                            Max
+                                        </button>
+                                    </div>
+                                );
+                            })}
+                        </div>
+                    </div>
+                ))}
+            </div>
+
+            <div className="text-center mt-6">
+                <button onClick={() => setInventory({})} className="text-sm text-red-300 underline hover:text-red-200">Clear inventory</button>
+            </div>
+        </div>
+    );
+};
+
+export default InventoryTab;
@@ -0,0 +1,66 @@
+import React, { useMemo } from 'react';
+import { KNOWN_BONUS_TYPES, KNOWN_TAGS } from '../lib/dataSchema.js';
+import { STAT_LABELS } from '../lib/aggregation.js';
+import { parseDuration } from '../lib/format.js';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+
+// A row of toggle chips; selecting none means "any".
+const ChipGroup = ({ label, options, selected, onChange }) => {
+    const toggle = (value) => onChange(selected.includes(value) ? selected.filter(item => item !== value) : [...selected, value]);
+    return (
+        <div>
+            <p className="text-sm font-medium text-gray-300 mb-1">{label}</p>
+            <div className="flex flex-wrap gap-1">
+                {options.map(({ value, label: optionLabel }) => (
+                    <button
+                        key={value}
+                        onClick={() => toggle(value)}
+                        className={`text-xs font-semibold px-2 py-1 rounded-full border ${selected.includes(value) ? 'bg-cyan-600 border-cyan-400 text-white' : 'bg-gray-700 border-gray-600 text-gray-300 hover:bg-gray-600'}`}
+                    >
+                        {optionLabel}
+                    </button>
+                ))}
+            </div>
+        </div>
+    );
+};
+
+const DurationField = ({ label, value, onChange, placeholder }) => (
+    <label className="block">
+        <span className="block text-sm font-medium text-gray-300 mb-1">{label}</span>
+        <input type="text" value={value} onChange={e => onChange(e.target.value)} className={inputClassName} placeholder={placeholder} />
+        {value.trim() && parseDuration(value) === null && <span className="block text-xs text-yellow-300 mt-1">Use a number with s, m, h, d, w or y, e.g. 30m.</span>}
+    </label>
+);
+
+const VALUE_EXTRA_OPTIONS = [{ value: 'runeLuck', label: 'Rune Luck' }, { value: 'tickets', label: 'Tickets' }];
+
+// Tag, source, bonus type and time range filters for the main list, plus which extra gains count towards value. Only options present in the data are offered.
+const ListFilters = ({ runesData, filters, setFilters }) => {
+    const set = (field, value) => setFilters({ ...filters, [field]: value });
+    const tagOptions = useMemo(() => {
+        const present = new Set(runesData.flatMap(rune => rune.tags || []));
+        return KNOWN_TAGS.filter(tag => present.has(tag)).map(tag => ({ value: tag, label: tag }));
+    }, [runesData]);
+    const sourceOptions = useMemo(() => [...new Set(runesData.map(rune => rune.source))].sort().map(source => ({ value: source, label: source })), [runesData]);
+    const bonusOptions = useMemo(() => {
+        const present = new Set(runesData.flatMap(rune => (rune.bonuses || []).map(bonus => bonus.type)));
+        return KNOWN_BONUS_TYPES.filter(type => present.has(type)).map(type => ({ value: type, label: STAT_LABELS[type] || type }));
+    }, [runesData]);
+
+    return (
+        <div className="bg-gray-800/50 p-4 rounded-lg -mt-4 mb-6 space-y-3">
+            <ChipGroup label="Tags" options={tagOptions} selected={filters.tags} onChange={value => set('tags', value)} />
+            <ChipGroup label="Sources" options={sourceOptions} selected={filters.sources} onChange={value => set('sources', value)} />
+            <ChipGroup label="Grants a bonus to" options={bonusOptions} selected={filters.bonusTypes} onChange={value => set('bonusTypes', value)} />
+            <ChipGroup label="Value also counts" options={VALUE_EXTRA_OPTIONS} selected={filters.valueExtras} onChange={value => set('valueExtras', value)} />
+            <div className="grid grid-cols-2 gap-3">
+                <DurationField label="Takes at least" value={filters.minTime} onChange={value => set('minTime', value)} placeholder="e.g., 1m" />
+                <DurationField label="Takes at most" value={filters.maxTime} onChange={value => set('maxTime', value)} placeholder="e.g., 1d" />
+            </div>
+        </div>
+    );
+};
+
+export default ListFilters;
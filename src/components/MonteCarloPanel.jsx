@@ -0,0 +1,86 @@
+import React from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { useSimulationWorker } from '../hooks/useSimulationWorker.js';
+import Eta from './Eta.jsx';
+
+const TRIALS = 1000;
+
+const Histogram = ({ bins, formatTime }) => {
+    const tallest = Math.max(...bins.map(bin => bin.count), 1);
+    return (
+        <div className="mt-3">
+            <div className="flex items-end gap-0.5 h-24">
+                {bins.map((bin, index) => (
+                    <div
+                        key={index}
+                        className="flex-1 bg-cyan-500/60 rounded-t"
+                        style={{ height: `${(bin.count / tallest) * 100}%` }}
+                        title={`${formatTime(BigNum.from(bin.from))} - ${formatTime(BigNum.from(bin.to))}: ${bin.count} trials`}
+                    />
+                ))}
+            </div>
+            <div className="flex justify-between text-xs text-gray-500 mt-1">
+                <span>{formatTime(BigNum.from(bins[0].from))}</span>
+                <span>{formatTime(BigNum.from(bins[bins.length - 1].to))}</span>
+            </div>
+        </div>
+    );
+};
+
+// Seeded random trials of the same compounding run as `request`, shown next to its deterministic estimate.
+const MonteCarloPanel = ({ request, enabled, setEnabled, seed, setSeed, formatTime }) => {
+    const seedValue = parseInt(seed, 10) || 0;
+    const monteCarloRequest = enabled && request ? { type: 'monteCarlo', payload: { ...request.payload, trials: TRIALS, seed: seedValue } } : null;
+    const simulation = useSimulationWorker(monteCarloRequest);
+    const result = simulation.status === 'done' ? simulation.result : null;
+
+    return (
+        <div className="bg-gray-900/50 p-4 rounded-lg mt-4">
+            <div className="flex flex-wrap items-center justify-center gap-4 text-sm text-gray-300">
+                <label className="flex items-center gap-2 cursor-pointer">
+                    <input type="checkbox" checked={enabled} onChange={e => setEnabled(e.target.checked)} className="accent-cyan-500" />
+                    Monte Carlo mode
+                </label>
+                {enabled && (
+                    <label className="flex items-center gap-2">
+                        Seed
+                        <input type="number" value={seed} onChange={e => setSeed(e.target.value)} className="w-24 bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:border-cyan-500 text-center" />
+                    </label>
+                )}
+            </div>
+
+            {enabled && request && (
+                <div className="mt-4 text-center">
+                    {!result && (
+                        <p className="text-gray-400">{simulation.status === 'error' ? 'Simulation failed' : `Running ${TRIALS} trials... ${Math.round(simulation.progress * 100)}%`}</p>
+                    )}
+                    {result && result.trials === 0 && <p className="text-gray-400">Nothing to simulate.</p>}
+                    {result && result.trials > 0 && (
+                        <>
+                            <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                                <div>
+                                    <p className="text-gray-400 text-sm">Mean</p>
+                                    <p className="font-bold text-cyan-300">{formatTime(BigNum.from(result.mean))}</p>
+                                    <Eta seconds={result.mean} />
+                                </div>
+                                <div>
+                                    <p className="text-gray-400 text-sm">Median</p>
+                                    <p className="font-bold text-cyan-300">{formatTime(BigNum.from(result.median))}</p>
+                                    <Eta seconds={result.median} />
+                                </div>
+                                <div className="col-span-2">
+                                    <p className="text-gray-400 text-sm">90% of Trials Between</p>
+                                    <p className="font-bold text-cyan-300">{formatTime(BigNum.from(result.low))} and {formatTime(BigNum.from(result.high))}</p>
+                                </div>
+                            </div>
+                            <Histogram bins={result.histogram} formatTime={formatTime} />
+                            <p className="text-xs text-gray-500 mt-2">{result.trials} trials with seed {result.seed}. Same seed, same results.</p>
+                        </>
+                    )}
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default MonteCarloPanel;
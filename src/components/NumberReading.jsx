@@ -0,0 +1,12 @@
+import React from 'react';
+
+// Shows how a number input was read ("1000 × QnTg (1e+108) = 1e+111"), or why it couldn't be.
+// Nothing is shown for empty input or input that reads as itself.
+const NumberReading = ({ input, parseNumber, className = '' }) => {
+    const { warning, reading } = parseNumber(input);
+    if (warning) return <p className={`text-xs text-yellow-300 mt-1 ${className}`}>{warning}</p>;
+    if (!reading || reading === input.trim()) return null;
+    return <p className={`text-xs text-gray-400 mt-1 ${className}`}>Read as {reading}</p>;
+};
+
+export default NumberReading;
@@ -0,0 +1,92 @@
+import React, { useRef, useState } from 'react';
+import { createProfileId, exportProfiles, getActiveProfile, parseProfileImport, uniqueProfileName, updateProfileData } from '../lib/profiles.js';
+
+const buttonClass = 'text-xs font-bold px-2 py-1 rounded bg-gray-700 text-gray-300 hover:bg-gray-600 disabled:opacity-40';
+
+// Profile switcher. `currentData` is the live inputs of the active profile; `onApply` loads a profile's inputs.
+const ProfileBar = ({ store, setStore, currentData, onApply }) => {
+    const fileInput = useRef(null);
+    const [message, setMessage] = useState(null);
+    const current = updateProfileData(store, store.activeId, currentData);
+    const active = getActiveProfile(current);
+
+    const activate = (nextStore, profile) => {
+        setStore({ ...nextStore, activeId: profile.id });
+        onApply(profile.data);
+        setMessage(null);
+    };
+
+    const addProfile = (name, data) => {
+        const profile = { id: createProfileId(), name: uniqueProfileName(current, name), data };
+        activate({ ...current, profiles: [...current.profiles, profile] }, profile);
+    };
+
+    const handleNew = () => {
+        const name = window.prompt('Name for the new profile:', 'New profile');
+        if (name?.trim()) addProfile(name.trim(), {});
+    };
+
+    const handleRename = () => {
+        const name = window.prompt('Rename this profile to:', active.name)?.trim();
+        if (!name || name === active.name) return;
+        const renamed = uniqueProfileName(current, name);
+        setStore({ ...current, profiles: current.profiles.map(profile => (profile.id === active.id ? { ...profile, name: renamed } : profile)) });
+    };
+
+    const handleDelete = () => {
+        if (!window.confirm(`Delete the profile "${active.name}"? This can't be undone.`)) return;
+        const profiles = current.profiles.filter(profile => profile.id !== active.id);
+        activate({ ...current, profiles }, profiles[0]);
+    };
+
+    const handleExport = () => {
+        const url = URL.createObjectURL(new Blob([exportProfiles(current)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'rune-calculator-profiles.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    const handleImport = async (event) => {
+        const file = event.target.files[0];
+        event.target.value = '';
+        if (!file) return;
+        try {
+            const imported = parseProfileImport(await file.text());
+            let nextStore = current;
+            for (const { name, data } of imported) {
+                nextStore = { ...nextStore, profiles: [...nextStore.profiles, { id: createProfileId(), name: uniqueProfileName(nextStore, name), data }] };
+            }
+            activate(nextStore, nextStore.profiles[current.profiles.length]);
+            setMessage(`Imported ${imported.length} ${imported.length === 1 ? 'profile' : 'profiles'}.`);
+        } catch (error) {
+            setMessage(`Import failed: ${error.message}`);
+        }
+    };
+
+    return (
+        <div className="flex flex-wrap items-center gap-2 text-sm text-gray-300">
+            <label className="flex items-center gap-2">
+                Profile
+                <select
+                    value={active.id}
+                    onChange={e => activate(current, current.profiles.find(profile => profile.id === e.target.value))}
+                    className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 focus:border-cyan-500"
+                >
+                    {current.profiles.map(profile => <option key={profile.id} value={profile.id}>{profile.name}</option>)}
+                </select>
+            </label>
+            <button onClick={handleNew} className={buttonClass}>New</button>
+            <button onClick={() => addProfile(`${active.name} (copy)`, active.data)} className={buttonClass}>Duplicate</button>
+            <button onClick={handleRename} className={buttonClass}>Rename</button>
+            <button onClick={handleDelete} disabled={current.profiles.length < 2} className={buttonClass}>Delete</button>
+            <button onClick={handleExport} className={buttonClass} title="Download every profile as a JSON file">Export</button>
+            <button onClick={() => fileInput.current.click()} className={buttonClass} title="Add the profiles from an exported JSON file">Import</button>
+            <input ref={fileInput} type="file" accept="application/json,.json" onChange={handleImport} className="hidden" />
+            {message && <span className="text-xs text-gray-400">{message}</span>}
+        </div>
+    );
+};
+
+export default ProfileBar;
@@ -0,0 +1,133 @@
+import React, { useMemo } from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { normalizeLuck } from '../lib/luck.js';
+import { calibrateModel, createSnapshot, exportCalibrationReport, MIN_RELIABLE_COPIES } from '../lib/progressLog.js';
+import { useSimulationWorker } from '../hooks/useSimulationWorker.js';
+
+const buttonClass = 'font-bold px-4 py-2 rounded-lg disabled:opacity-40';
+
+const describeError = (error) => {
+    if (!Number.isFinite(error)) return 'way off';
+    const percent = Math.round(Math.abs(error) * 100);
+    if (percent === 0) return 'spot on';
+    return `${percent}% ${error < 0 ? 'too fast' : 'too slow'}`;
+};
+
+// One row of the calibration tables: copies gained, real vs predicted time, and the suggested correction.
+const CalibrationRow = ({ summary, formatTime, formatNumber }) => (
+    <tr className="border-t border-gray-700">
+        <td className="py-2 pr-2 text-white">{summary.name}</td>
+        <td className="py-2 pr-2 text-right">{formatNumber(summary.gained)}</td>
+        <td className="py-2 pr-2 text-right">{formatTime(summary.observed)}</td>
+        <td className="py-2 pr-2 text-right">{formatTime(BigNum.from(summary.predicted))}</td>
+        <td className={`py-2 pr-2 text-right ${!(Math.abs(summary.error) <= 0.25) ? 'text-yellow-300' : 'text-green-400'}`}>{describeError(summary.error)}</td>
+        <td className="py-2 text-right">
+            x{Number.isFinite(summary.factor) ? parseFloat(summary.factor.toPrecision(3)) : '?'}
+            {summary.isRough && <span className="text-gray-500" title={`Fewer than ${MIN_RELIABLE_COPIES} copies: luck dominates`}> *</span>}
+        </td>
+    </tr>
+);
+
+const CalibrationTable = ({ title, summaries, formatTime, formatNumber }) => (
+    <div className="overflow-x-auto">
+        <h4 className="font-semibold text-purple-300 mb-1">{title}</h4>
+        <table className="w-full text-sm text-gray-300">
+            <thead>
+                <tr className="text-gray-400 text-left">
+                    <th className="pr-2 font-medium">Name</th>
+                    <th className="pr-2 font-medium text-right">Copies</th>
+                    <th className="pr-2 font-medium text-right">Real time</th>
+                    <th className="pr-2 font-medium text-right">Model time</th>
+                    <th className="pr-2 font-medium text-right">Model was</th>
+                    <th className="font-medium text-right">Correction</th>
+                </tr>
+            </thead>
+            <tbody>
+                {summaries.map(summary => <CalibrationRow key={summary.name} summary={summary} formatTime={formatTime} formatNumber={formatNumber} />)}
+            </tbody>
+        </table>
+    </div>
+);
+
+const ProgressLogTab = ({ runesData, inventory, progressLog, setProgressLog, version, parseRpsInput, formatTime, formatNumber, syncedState }) => {
+    const { runeSpeed, runeBulk, runeLuck } = syncedState;
+    const speed = parseRpsInput(runeSpeed).value;
+    const bulk = parseRpsInput(runeBulk).value;
+    const canRecord = speed.mul(bulk).gt(0);
+
+    const request = useMemo(() => (progressLog.length >= 2 ? { type: 'calibration', payload: { runes: runesData, log: progressLog } } : null), [runesData, progressLog]);
+    const simulation = useSimulationWorker(request);
+    const calibration = simulation.status === 'done' ? simulation.result : null;
+
+    const handleRecord = () => {
+        const snapshot = createSnapshot({ runes: runesData, inventory, speed, bulk, luck: normalizeLuck(parseRpsInput(runeLuck).value) });
+        setProgressLog([...progressLog, snapshot]);
+    };
+
+    const handleClear = () => {
+        if (window.confirm('Delete every snapshot in this profile\'s progress log? This can\'t be undone.')) setProgressLog([]);
+    };
+
+    const handleExport = () => {
+        const report = exportCalibrationReport(progressLog, calibration ?? calibrateModel({ runes: runesData, log: progressLog }), version);
+        const url = URL.createObjectURL(new Blob([report], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'rune-calculator-calibration.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Progress Log</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Record a snapshot now and then while you play: it saves your counts from the Inventory tab and your Rune Speed, Bulk and Luck from the "Time to..." tabs. Between snapshots, the rarest rune you gained in each source counts as the one you farmed (the others as picked up along the way) and is checked against the calculator's prediction, showing how far off it is for you.</p>
+
+            <div className="flex flex-wrap justify-center gap-2 mb-6">
+                <button onClick={handleRecord} disabled={!canRecord} className={`${buttonClass} bg-cyan-600 hover:bg-cyan-500 text-white`}>Record snapshot</button>
+                <button onClick={handleExport} disabled={progressLog.length === 0} className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-200`}>Download report</button>
+                <button onClick={handleClear} disabled={progressLog.length === 0} className={`${buttonClass} bg-gray-700 hover:bg-gray-600 text-gray-200`}>Clear log</button>
+            </div>
+            {!canRecord && <p className="text-center text-yellow-300 text-sm mb-4">Enter your Rune Speed and Bulk on the "Time to Max" tab first.</p>}
+
+            <div className="bg-gray-900 p-4 rounded-lg mb-6 space-y-4">
+                {progressLog.length < 2 && <p className="text-center text-gray-400">Record at least two snapshots, with some farming in between, to compare against the model.</p>}
+                {request && !calibration && (
+                    <p className="text-center text-gray-400">{simulation.status === 'error' ? 'Calibration failed' : `Comparing... ${Math.round(simulation.progress * 100)}%`}</p>
+                )}
+                {calibration && !calibration.overall && <p className="text-center text-gray-400">No rune gained a copy between snapshots yet.</p>}
+                {calibration?.overall && (
+                    <>
+                        <div className="text-center">
+                            <p className="text-gray-400">Overall, the model was</p>
+                            <p className="text-2xl font-bold text-green-400 mt-1">{describeError(calibration.overall.error)}</p>
+                            <p className="text-xs text-gray-500 mt-1">Multiply its times by the correction to match what you saw. Starred rows have under {MIN_RELIABLE_COPIES} copies, so luck may explain them.</p>
+                        </div>
+                        <CalibrationTable title="By source" summaries={calibration.bySource} formatTime={formatTime} formatNumber={formatNumber} />
+                        <CalibrationTable title="By rune" summaries={calibration.byRune} formatTime={formatTime} formatNumber={formatNumber} />
+                    </>
+                )}
+            </div>
+
+            {progressLog.length > 0 && (
+                <div>
+                    <h3 className="text-lg font-bold text-white mb-2">Snapshots</h3>
+                    <ul className="space-y-1">
+                        {[...progressLog].reverse().map(snapshot => (
+                            <li key={snapshot.at} className="flex justify-between items-center text-sm bg-gray-900/50 px-3 py-2 rounded-lg">
+                                <span className="text-white">{new Date(snapshot.at).toLocaleString()}</span>
+                                <span className="text-gray-400">
+                                    {Object.keys(snapshot.counts).length} runes · Speed {formatNumber(BigNum.from(snapshot.speed))} · Bulk {formatNumber(BigNum.from(snapshot.bulk))}
+                                    {BigNum.from(snapshot.luck).gt(1) && ` · Luck x${formatNumber(BigNum.from(snapshot.luck))}`}
+                                </span>
+                                <button onClick={() => setProgressLog(progressLog.filter(other => other !== snapshot))} className="text-gray-500 hover:text-red-400" title="Remove this snapshot">&times;</button>
+                            </li>
+                        ))}
+                    </ul>
+                </div>
+            )}
+        </div>
+    );
+};
+
+export default ProgressLogTab;
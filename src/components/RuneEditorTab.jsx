@@ -0,0 +1,225 @@
+import React, { useMemo, useState } from 'react';
+import { KNOWN_BONUS_TYPES } from '../lib/dataSchema.js';
+import { SIMULATED_MODIFIERS } from '../lib/formulas.js';
+import { STAT_LABELS } from '../lib/aggregation.js';
+import { buildCustomRune, buildRunesPatch, emptyBonusForm, emptyRuneForm, replacedName, runeToForm, upsertCustomRune } from '../lib/customRunes.js';
+import NumberReading from './NumberReading.jsx';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-2 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+const buttonClassName = 'text-xs font-bold px-2 py-1 rounded bg-gray-700 text-gray-300 hover:bg-gray-600';
+
+const Field = ({ label, children, className = '' }) => (
+    <label className={`block ${className}`}>
+        <span className="block text-sm font-medium text-gray-300 mb-1">{label}</span>
+        {children}
+    </label>
+);
+
+const BonusRow = ({ bonus, index, onChange, onRemove }) => {
+    const set = (field, value) => onChange(index, { ...bonus, [field]: value });
+    return (
+        <div className="bg-gray-900/50 p-3 rounded-lg grid grid-cols-2 md:grid-cols-6 gap-2 items-end">
+            <Field label="Stat">
+                <select value={bonus.type} onChange={e => set('type', e.target.value)} className={inputClassName}>
+                    {KNOWN_BONUS_TYPES.map(type => <option key={type} value={type}>{STAT_LABELS[type] || type}</option>)}
+                </select>
+            </Field>
+            <Field label="Modifier">
+                <select value={bonus.modifier} onChange={e => set('modifier', e.target.value)} className={inputClassName}>
+                    <option value="">None (description only)</option>
+                    {SIMULATED_MODIFIERS.map(modifier => <option key={modifier} value={modifier}>{modifier}</option>)}
+                </select>
+            </Field>
+            <Field label="Value per rune">
+                <input type="text" value={bonus.value} onChange={e => set('value', e.target.value)} className={inputClassName} placeholder="e.g., 1.01" />
+            </Field>
+            <Field label="Cap (max value)">
+                <input type="text" value={bonus.max} onChange={e => set('max', e.target.value)} className={inputClassName} placeholder="optional" />
+            </Field>
+            <Field label="Stops at # runes">
+                <input type="text" value={bonus.maxCount} onChange={e => set('maxCount', e.target.value)} className={inputClassName} placeholder="optional" />
+            </Field>
+            <div className="flex items-center justify-between gap-2 pb-2">
+                <label className="flex items-center gap-1 text-sm text-gray-300 cursor-pointer">
+                    <input type="checkbox" checked={bonus.isExponential} onChange={e => set('isExponential', e.target.checked)} className="accent-cyan-500" />
+                    Exponential
+                </label>
+                <button onClick={() => onRemove(index)} className="text-red-400 hover:text-red-300 text-sm" title="Remove this bonus">✕</button>
+            </div>
+        </div>
+    );
+};
+
+// Adds new runes or corrects listed ones, in the runes.json shape. Saved runes show up in every tab.
+const RuneEditorTab = ({ baseRunes, customRunes, setCustomRunes, parseRpsInput, formatChance }) => {
+    const [form, setForm] = useState(emptyRuneForm);
+    const [editingName, setEditingName] = useState(null);
+    const [loadedRune, setLoadedRune] = useState(null);
+    const [errors, setErrors] = useState([]);
+    const sources = useMemo(() => [...new Set(baseRunes.map(rune => rune.source))].sort(), [baseRunes]);
+    const listedNames = useMemo(() => new Set(baseRunes.map(rune => rune.name)), [baseRunes]);
+
+    const set = (field, value) => setForm(previous => ({ ...previous, [field]: value }));
+    const setBonus = (index, bonus) => setForm(previous => ({ ...previous, bonuses: previous.bonuses.map((existing, i) => (i === index ? bonus : existing)) }));
+    const removeBonus = (index) => setForm(previous => ({ ...previous, bonuses: previous.bonuses.filter((_, i) => i !== index) }));
+
+    const startEditing = (rune, name = null) => {
+        setForm(runeToForm(rune));
+        setEditingName(name);
+        setLoadedRune(rune);
+        setErrors([]);
+    };
+
+    const reset = () => {
+        setForm(emptyRuneForm());
+        setEditingName(null);
+        setLoadedRune(null);
+        setErrors([]);
+    };
+
+    // The rune the form was loaded from, or for a blank form, the one its name matches.
+    const original = useMemo(() => {
+        if (loadedRune) return loadedRune;
+        const name = form.name.trim();
+        return customRunes.find(rune => rune.name === name) || baseRunes.find(rune => rune.name === name) || null;
+    }, [loadedRune, form.name, customRunes, baseRunes]);
+    // A listed rune the form started from and now gives a new name: it can be renamed or kept alongside.
+    const renamedListed = original && listedNames.has(replacedName(original)) && replacedName(original) !== form.name.trim() ? replacedName(original) : null;
+
+    const save = () => {
+        const { rune, errors: formErrors } = buildCustomRune(form, parseRpsInput, original);
+        if (!rune) {
+            setErrors(formErrors);
+            return;
+        }
+        const others = customRunes.filter(existing => existing.name !== editingName);
+        if (others.some(existing => existing.name === rune.name)) {
+            setErrors([`There's already a custom rune called "${rune.name}".`]);
+            return;
+        }
+        if (rune.replaces && others.some(existing => replacedName(existing) === rune.replaces)) {
+            setErrors([`Another custom rune already replaces "${rune.replaces}".`]);
+            return;
+        }
+        setCustomRunes(upsertCustomRune(customRunes, rune, editingName ?? rune.name));
+        reset();
+    };
+
+    const remove = (name) => {
+        if (!window.confirm(`Delete the custom rune "${name}"?`)) return;
+        setCustomRunes(customRunes.filter(rune => rune.name !== name));
+        if (editingName === name) reset();
+    };
+
+    const exportPatch = () => {
+        const patch = JSON.stringify(buildRunesPatch(baseRunes, customRunes), null, 2);
+        const url = URL.createObjectURL(new Blob([patch], { type: 'application/json-patch+json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'runes-patch.json';
+        link.click();
+        URL.revokeObjectURL(url);
+    };
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Custom Runes</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Add a rune that isn't listed yet, or correct one that is. Custom runes are tagged "custom" and used in every tab, including the "Time to..." calculators. They're saved on this device only and aren't part of profile exports, so keep the exported patch if you move to another browser.</p>
+
+            <div className="bg-gray-900/50 p-4 rounded-lg mb-6">
+                <div className="flex justify-between items-center mb-3">
+                    <h3 className="text-xl font-bold text-white">Your Custom Runes</h3>
+                    <button onClick={exportPatch} disabled={customRunes.length === 0} className={`${buttonClassName} disabled:opacity-40`} title="Download a JSON Patch against public/runes.json">Export patch</button>
+                </div>
+                {customRunes.length === 0 ? (
+                    <p className="text-gray-500 text-center">None yet. Fill in the form below to add one.</p>
+                ) : (
+                    <div className="space-y-2">
+                        {customRunes.map(rune => (
+                            <div key={rune.name} className="flex items-center gap-3 bg-gray-900/50 p-2 rounded-lg">
+                                <div className="flex-1 min-w-0">
+                                    <p className="font-semibold text-white">
+                                        {rune.name}{' '}
+                                        {listedNames.has(replacedName(rune)) && <span className="text-xs text-yellow-300">{rune.replaces ? `(replaces ${rune.replaces})` : '(replaces the listed rune)'}</span>}
+                                    </p>
+                                    <p className="text-xs text-gray-400">{rune.source} · {formatChance(rune)} · {rune.bonuses.length} {rune.bonuses.length === 1 ? 'bonus' : 'bonuses'}</p>
+                                </div>
+                                <button onClick={() => startEditing(rune, rune.name)} className={buttonClassName}>Edit</button>
+                                <button onClick={() => remove(rune.name)} className={buttonClassName}>Delete</button>
+                            </div>
+                        ))}
+                    </div>
+                )}
+            </div>
+
+            <div className="bg-gray-900/50 p-4 rounded-lg">
+                <div className="flex flex-wrap justify-between items-center gap-2 mb-3">
+                    <h3 className="text-xl font-bold text-white">{editingName ? `Editing ${editingName}` : 'New Rune'}</h3>
+                    <select
+                        value=""
+                        onChange={e => e.target.value && startEditing(baseRunes.find(rune => rune.name === e.target.value))}
+                        className="bg-gray-700 text-white p-1 rounded-md border border-gray-600 text-sm"
+                    >
+                        <option value="">Start from a listed rune...</option>
+                        {baseRunes.map(rune => <option key={rune.name} value={rune.name}>{rune.name}</option>)}
+                    </select>
+                </div>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-3">
+                    <Field label="Name">
+                        <input type="text" value={form.name} onChange={e => set('name', e.target.value)} className={inputClassName} placeholder="e.g., Nebula" />
+                    </Field>
+                    <Field label="Source">
+                        <input type="text" list="rune-sources" value={form.source} onChange={e => set('source', e.target.value)} className={inputClassName} placeholder="e.g., Cryo Rune" />
+                        <datalist id="rune-sources">
+                            {sources.map(source => <option key={source} value={source} />)}
+                        </datalist>
+                    </Field>
+                    <Field label="Chance (1 in...)">
+                        <input type="text" value={form.chance} onChange={e => set('chance', e.target.value)} className={inputClassName} placeholder={typeof original?.chance === 'object' ? `${formatChance(original)} (kept unless you enter a chance)` : 'e.g., 1e300 or 5QnTg'} />
+                        <NumberReading input={form.chance} parseNumber={parseRpsInput} />
+                    </Field>
+                    <Field label="Max count">
+                        <input type="text" value={form.max} onChange={e => set('max', e.target.value)} className={inputClassName} placeholder="optional, needed for Time to Max" />
+                        <NumberReading input={form.max} parseNumber={parseRpsInput} />
+                    </Field>
+                    <Field label="Stats description" className="md:col-span-2">
+                        <input type="text" value={form.statsDisplay} onChange={e => set('statsDisplay', e.target.value)} className={inputClassName} placeholder="optional, e.g., x1.01 Rune Speed (MAX x50K)" />
+                    </Field>
+                    {renamedListed && (
+                        <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer md:col-span-2">
+                            <input type="checkbox" checked={form.replaces === renamedListed} onChange={e => set('replaces', e.target.checked ? renamedListed : '')} className="accent-cyan-500" />
+                            Rename the listed {renamedListed} (replaces it) instead of adding a new rune
+                        </label>
+                    )}
+                    <label className="flex items-center gap-2 text-sm text-gray-300 cursor-pointer">
+                        <input type="checkbox" checked={form.ignoresLuck} onChange={e => set('ignoresLuck', e.target.checked)} className="accent-cyan-500" />
+                        Rune Luck doesn't affect this rune
+                    </label>
+                </div>
+
+                <div className="space-y-2 mb-3">
+                    <div className="flex justify-between items-center">
+                        <h4 className="font-bold text-purple-300">Bonuses</h4>
+                        <button onClick={() => set('bonuses', [...form.bonuses, emptyBonusForm()])} className={buttonClassName}>+ Add bonus</button>
+                    </div>
+                    {form.bonuses.length === 0 && <p className="text-gray-500 text-sm">No bonuses.</p>}
+                    {form.bonuses.map((bonus, index) => <BonusRow key={index} bonus={bonus} index={index} onChange={setBonus} onRemove={removeBonus} />)}
+                </div>
+
+                {errors.length > 0 && (
+                    <ul className="bg-red-900/50 border border-red-500/30 text-red-300 text-sm p-3 rounded-lg mb-3 list-disc list-inside">
+                        {errors.map(error => <li key={error}>{error}</li>)}
+                    </ul>
+                )}
+
+                <div className="flex justify-end gap-2">
+                    <button onClick={reset} className="px-4 py-2 rounded-lg bg-gray-700 text-gray-300 hover:bg-gray-600">Clear</button>
+                    <button onClick={save} className="px-4 py-2 rounded-lg bg-cyan-600 text-white font-bold hover:bg-cyan-500">{editingName ? 'Save changes' : 'Save rune'}</button>
+                </div>
+            </div>
+        </div>
+    );
+};
+
+export default RuneEditorTab;
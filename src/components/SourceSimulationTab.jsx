@@ -0,0 +1,123 @@
+import React, { useMemo, useState } from 'react';
+import { BigNum } from '../lib/bigNumber.js';
+import { normalizeLuck } from '../lib/luck.js';
+import { useSimulationWorker } from '../hooks/useSimulationWorker.js';
+import Eta from './Eta.jsx';
+
+const inputClassName = 'w-full bg-gray-700 text-white p-3 rounded-lg border-2 border-gray-600 focus:border-cyan-500';
+
+const StatGrowth = ({ label, before, after, formatNumber }) => (
+    <div className="bg-gray-900/50 p-3 rounded-lg text-center">
+        <p className="text-gray-400 text-sm">{label}</p>
+        <p className="text-lg font-bold text-cyan-300">x{formatNumber(after.div(before))}</p>
+        <p className="text-xs text-gray-500">{formatNumber(before)} → {formatNumber(after)}</p>
+    </div>
+);
+
+const SourceSimulationTab = ({ runesData, inventory, parseRpsInput, formatTime, formatNumber, syncedState }) => {
+    const { runeSpeed, runeBulk, runeLuck } = syncedState;
+    const sources = useMemo(() => [...new Set(runesData.map(rune => rune.source))], [runesData]);
+    const [source, setSource] = useState(sources[0] ?? '');
+    const [duration, setDuration] = useState('1');
+    const [durationUnit, setDurationUnit] = useState('86400'); // days
+
+    const calculation = useMemo(() => {
+        const speed = parseRpsInput(runeSpeed).value;
+        const bulk = parseRpsInput(runeBulk).value;
+        const luck = normalizeLuck(parseRpsInput(runeLuck).value);
+        if (speed.mul(bulk).lte(0)) return { message: 'Enter your Rune Speed and Bulk on the "Time to Max" tab.' };
+        const seconds = parseFloat(duration) * parseFloat(durationUnit);
+        if (!(seconds > 0)) return { message: 'Enter how long to simulate' };
+
+        const request = { type: 'source', payload: { runes: runesData, source, inventory, speed, bulk, luck, duration: seconds } };
+        return { request, start: { runeSpeed: speed, runeBulk: bulk, runeLuck: luck } };
+    }, [source, duration, durationUnit, runeSpeed, runeBulk, runeLuck, inventory, runesData, parseRpsInput]);
+
+    const simulation = useSimulationWorker(calculation.request ?? null);
+    const result = simulation.status === 'done' ? simulation.result : null;
+    const stats = result && {
+        runeSpeed: BigNum.from(result.stats.runeSpeed),
+        runeBulk: BigNum.from(result.stats.runeBulk),
+        runeLuck: BigNum.from(result.stats.runeLuck),
+    };
+
+    return (
+        <div className="p-1">
+            <h2 className="text-2xl text-center font-bold text-cyan-400 mb-4">Source Simulator</h2>
+            <p className="text-center text-gray-400 mb-6 -mt-2 text-sm">Every roll in a source can give any of its runes. This advances all of them together, with each rune's bonuses applying as it's gained. Starts from your Inventory counts and your stats on the "Time to..." tabs.</p>
+
+            <div className="grid grid-cols-1 md:grid-cols-3 gap-4 mb-6">
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Source</label>
+                    <select value={source} onChange={e => setSource(e.target.value)} className={inputClassName}>
+                        {sources.map(name => <option key={name} value={name}>{name}</option>)}
+                    </select>
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Farm For</label>
+                    <input type="number" min="0" value={duration} onChange={e => setDuration(e.target.value)} className={inputClassName} placeholder="e.g., 1" />
+                </div>
+                <div>
+                    <label className="block text-sm font-medium text-gray-300 mb-1">Unit</label>
+                    <select value={durationUnit} onChange={e => setDurationUnit(e.target.value)} className={inputClassName}>
+                        <option value="60">Minutes</option>
+                        <option value="3600">Hours</option>
+                        <option value="86400">Days</option>
+                        <option value="31536000">Years</option>
+                    </select>
+                </div>
+            </div>
+
+            <div className="bg-gray-900 p-4 rounded-lg">
+                {calculation.message && <p className="text-center text-gray-400">{calculation.message}</p>}
+                {calculation.request && !result && (
+                    <p className="text-center text-gray-400">
+                        {simulation.status === 'error' ? 'Simulation failed' : `Simulating... ${Math.round(simulation.progress * 100)}%`}
+                    </p>
+                )}
+                {result && (
+                    <>
+                        <h3 className="text-lg font-bold text-white mb-3">Stat Growth</h3>
+                        <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-6">
+                            <StatGrowth label="Rune Speed" before={calculation.start.runeSpeed} after={stats.runeSpeed} formatNumber={formatNumber} />
+                            <StatGrowth label="Rune Bulk" before={calculation.start.runeBulk} after={stats.runeBulk} formatNumber={formatNumber} />
+                            <StatGrowth label="Rune Luck" before={calculation.start.runeLuck} after={stats.runeLuck} formatNumber={formatNumber} />
+                            <StatGrowth label="RPS" before={calculation.start.runeSpeed.mul(calculation.start.runeBulk)} after={BigNum.from(result.finalRps)} formatNumber={formatNumber} />
+                        </div>
+
+                        <h3 className="text-lg font-bold text-white mb-3">Runes</h3>
+                        <table className="w-full text-sm">
+                            <thead>
+                                <tr className="text-gray-400 text-left">
+                                    <th className="py-1">Rune</th>
+                                    <th className="py-1">Expected Count</th>
+                                    <th className="py-1 text-right">Time to Max</th>
+                                </tr>
+                            </thead>
+                            <tbody>
+                                {result.runes.map(rune => {
+                                    const isMaxed = rune.maxCount !== null && rune.count >= rune.maxCount;
+                                    return (
+                                        <tr key={rune.name} className="border-t border-gray-800">
+                                            <td className={`py-2 font-semibold ${isMaxed ? 'text-green-400' : 'text-white'}`}>{rune.name}</td>
+                                            <td className="py-2 text-gray-300">
+                                                {formatNumber(Math.floor(rune.startCount))} → {formatNumber(Math.floor(rune.count))}
+                                                {rune.maxCount !== null && <span className="text-gray-500"> / {formatNumber(rune.maxCount)}</span>}
+                                            </td>
+                                            <td className="py-2 text-right text-gray-300">
+                                                {rune.timeToMax === null ? 'No max' : BigNum.from(rune.timeToMax).isZero() ? 'Maxed' : formatTime(BigNum.from(rune.timeToMax))}
+                                                {rune.timeToMax !== null && <Eta seconds={rune.timeToMax} />}
+                                            </td>
+                                        </tr>
+                                    );
+                                })}
+                            </tbody>
+                        </table>
+                    </>
+                )}
+            </div>
+        </div>
+    );
+};
+
+export default SourceSimulationTab;
@@ -0,0 +1,50 @@
+import { useEffect } from 'react';
+import { dueGoals, goalNotification, notificationSchedule } from '../lib/goals.js';
+
+const CHECK_INTERVAL_MS = 30 * 1000;
+
+export const notificationsSupported = () => typeof window !== 'undefined' && 'Notification' in window;
+
+// Shows a notification through the service worker when one controls the page (so it works from a background
+// tab), or directly otherwise (e.g. on the dev server, which doesn't register one).
+const showNotification = async ({ tag, title, body }) => {
+    const registration = await navigator.serviceWorker?.getRegistration();
+    if (registration) return registration.showNotification(title, { body, tag });
+    return new Notification(title, { body, tag });
+};
+
+const markNotified = (setGoals, ids) => setGoals(previous => previous.map(goal => (ids.has(goal.id) ? { ...goal, notified: true } : goal)));
+
+// Keeps goal notifications on schedule while `enabled` and permission is granted. The service worker gets the
+// schedule for running goals whenever it changes and reports each goal it announces, which is then marked
+// `notified`. Goals already due are announced from the page and marked on a regular check, since the browser
+// stops the worker long before an overnight timer fires (see public/sw.js).
+export function useGoalNotifications(goals, setGoals, { enabled, formatNumber }) {
+    useEffect(() => {
+        const serviceWorker = navigator.serviceWorker;
+        if (!serviceWorker) return undefined;
+        const handleMessage = ({ data }) => {
+            if (data?.type === 'goal-notified') markNotified(setGoals, new Set([data.tag]));
+        };
+        serviceWorker.addEventListener('message', handleMessage);
+        return () => serviceWorker.removeEventListener('message', handleMessage);
+    }, [setGoals]);
+
+    useEffect(() => {
+        if (!enabled || !notificationsSupported() || Notification.permission !== 'granted') return undefined;
+
+        navigator.serviceWorker?.controller?.postMessage({ type: 'goal-schedule', notifications: notificationSchedule(goals, formatNumber) });
+
+        const check = () => {
+            const due = dueGoals(goals);
+            if (due.length === 0) return;
+            for (const goal of due) {
+                showNotification(goalNotification(goal, formatNumber)).catch(error => console.warn('Could not show a goal notification.', error));
+            }
+            markNotified(setGoals, new Set(due.map(goal => goal.id)));
+        };
+        check();
+        const timer = setInterval(check, CHECK_INTERVAL_MS);
+        return () => clearInterval(timer);
+    }, [goals, setGoals, enabled, formatNumber]);
+}
@@ -0,0 +1,77 @@
+import { useEffect, useRef, useState } from 'react';
+import { runSimulationJob } from '../workers/jobs.js';
+
+const DEBOUNCE_MS = 150;
+const IDLE_STATE = { status: 'idle', progress: 0, result: null, error: null };
+
+let nextJobId = 0;
+
+const createWorker = () => new Worker(new URL('../workers/simulationWorker.js', import.meta.url), { type: 'module' });
+
+// Runs `request` ({ type, payload }, or null for nothing to do) on the simulation worker whenever it changes.
+// A job still running when the inputs change is cancelled by terminating the worker, so keystrokes never wait
+// on a stale simulation. Returns { status: 'idle' | 'running' | 'done' | 'error', progress, result, error }.
+export function useSimulationWorker(request) {
+    const [state, setState] = useState(IDLE_STATE);
+    const workerRef = useRef(null);
+    const busyRef = useRef(false);
+    const requestKey = request ? JSON.stringify(request) : null;
+
+    useEffect(() => {
+        if (!requestKey) {
+            // Nothing to run any more: stop a stale job so it neither burns CPU nor reports back later.
+            if (busyRef.current) {
+                workerRef.current?.terminate();
+                workerRef.current = null;
+                busyRef.current = false;
+            }
+            setState(IDLE_STATE);
+            return undefined;
+        }
+        setState(previous => ({ ...previous, status: 'running', progress: 0, error: null }));
+
+        const id = ++nextJobId;
+        const { type, payload } = JSON.parse(requestKey);
+        const timer = setTimeout(() => {
+            if (typeof Worker === 'undefined') {
+                try {
+                    setState({ status: 'done', progress: 1, result: runSimulationJob(type, payload), error: null });
+                } catch (error) {
+                    setState({ status: 'error', progress: 0, result: null, error: error.message });
+                }
+                return;
+            }
+
+            if (busyRef.current && workerRef.current) {
+                workerRef.current.terminate();
+                workerRef.current = null;
+            }
+            if (!workerRef.current) workerRef.current = createWorker();
+
+            const worker = workerRef.current;
+            busyRef.current = true;
+            worker.onmessage = ({ data }) => {
+                if (data.id !== id) return;
+                if (data.type === 'progress') {
+                    setState(previous => ({ ...previous, progress: data.progress }));
+                    return;
+                }
+                busyRef.current = false;
+                setState(data.type === 'result'
+                    ? { status: 'done', progress: 1, result: data.result, error: null }
+                    : { status: 'error', progress: 0, result: null, error: data.error });
+            };
+            worker.onerror = (event) => {
+                busyRef.current = false;
+                setState({ status: 'error', progress: 0, result: null, error: event.message || 'Simulation worker failed' });
+            };
+            worker.postMessage({ id, type, payload });
+        }, DEBOUNCE_MS);
+
+        return () => clearTimeout(timer);
+    }, [requestKey]);
+
+    useEffect(() => () => workerRef.current?.terminate(), []);
+
+    return state;
+}
@@ -0,0 +1,60 @@
+import { BigNum } from './bigNumber.js';
+import { bonusTotalAt, isSimulatedBonus } from './formulas.js';
+
+// --- Account Aggregation ---
+// Combines the bonuses of every owned rune into account-wide totals per stat.
+
+export const STAT_LABELS = {
+    runeSpeed: 'Rune Speed',
+    runeLuck: 'Rune Luck',
+    runeBulk: 'Rune Bulk',
+    tickets: 'Tickets',
+    energy: 'Energy',
+    orbs: 'Orbs',
+    chrome: 'Chrome',
+    walkspeed: 'Walkspeed',
+    chestChance: 'Chest Chance',
+    rTokenCooldown: 'RToken Cooldown',
+    baseChrome: 'Base Chrome',
+    boostSpheres: 'Boost Spheres',
+    hail: 'Hail',
+};
+
+// Owned count for a rune from an inventory of { [runeName]: count | string }.
+export const ownedCount = (inventory, runeName) => {
+    const count = parseFloat(inventory?.[runeName]);
+    return Number.isFinite(count) && count > 0 ? count : 0;
+};
+
+// Other runes rolled from the same source as `rune`, as [{ rune, startCount }] from their owned counts.
+export const sourceCompanions = (runes, rune, inventory) => (runes || [])
+    .filter(other => other.source === rune.source && other.name !== rune.name && typeof other.chance === 'number')
+    .map(other => ({ rune: other, startCount: ownedCount(inventory, other.name) }));
+
+/**
+ * Totals every owned rune's bonuses per stat type. Each entry is
+ * { multiplier, additive, subtractive: BigNum, power: BigNum, contributors: [{ rune, count }] }, where
+ * multipliers and powers combine by product and additive/subtractive bonuses by sum.
+ */
+export const aggregateInventory = (runes, inventory) => {
+    const totals = {};
+    for (const rune of runes || []) {
+        const count = ownedCount(inventory, rune.name);
+        if (count === 0) continue;
+        for (const bonus of rune.bonuses || []) {
+            if (!isSimulatedBonus(bonus)) continue;
+            const total = bonusTotalAt(bonus, count);
+            const entry = totals[bonus.type] ||= {
+                multiplier: BigNum.ONE, additive: BigNum.ZERO, subtractive: BigNum.ZERO, power: BigNum.ONE, contributors: [],
+            };
+            if (bonus.modifier === 'multiplier') entry.multiplier = entry.multiplier.mul(total);
+            else if (bonus.modifier === 'additive') entry.additive = entry.additive.add(total);
+            else if (bonus.modifier === 'subtractive') entry.subtractive = entry.subtractive.add(total);
+            else if (bonus.modifier === 'power') entry.power = entry.power.mul(total);
+            if (!entry.contributors.some(contributor => contributor.rune === rune.name)) {
+                entry.contributors.push({ rune: rune.name, count });
+            }
+        }
+    }
+    return totals;
+};
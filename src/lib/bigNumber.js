@@ -0,0 +1,216 @@
+// --- Big Number Engine ---
+// Values in this game routinely go past what a double can hold (scales.json runs to UCe, Nexus maxes at 1e308
+// and `power` bonuses push stats far beyond that). BigNum stores a number as mantissa * 10^exponent, where the
+// mantissa is kept in [1, 10) and the exponent is an ordinary JS number, so values only become non-finite when
+// the exponent itself overflows.
+
+const MAX_SIGNIFICANT_GAP = 17; // Beyond this many orders of magnitude, the smaller addend can't affect the sum.
+const SCIENTIFIC_PATTERN = /^([+-]?(?:\d+\.?\d*|\.\d+))(?:e([+-]?\d+))?$/i;
+
+const normalize = (mantissa, exponent) => {
+    if (mantissa === 0 || Number.isNaN(mantissa) || !Number.isFinite(mantissa)) {
+        return [mantissa, 0];
+    }
+    if (!Number.isFinite(exponent)) {
+        return exponent > 0 ? [mantissa > 0 ? Infinity : -Infinity, 0] : [0, 0];
+    }
+    const shift = Math.floor(Math.log10(Math.abs(mantissa)));
+    let m = shift < -300 ? (mantissa * 1e300) / Math.pow(10, shift + 300) : mantissa / Math.pow(10, shift);
+    let e = exponent + shift;
+    // Float error in log10 can leave the mantissa just outside [1, 10).
+    if (Math.abs(m) >= 10) { m /= 10; e += 1; }
+    if (Math.abs(m) < 1) { m *= 10; e -= 1; }
+    if (!Number.isFinite(e)) {
+        return e > 0 ? [m > 0 ? Infinity : -Infinity, 0] : [0, 0];
+    }
+    return [m, e];
+};
+
+export class BigNum {
+    constructor(mantissa = 0, exponent = 0) {
+        const [m, e] = normalize(mantissa, exponent);
+        this.mantissa = m;
+        this.exponent = e;
+    }
+
+    static isBigNum(value) {
+        return value instanceof BigNum;
+    }
+
+    // Accepts a BigNum, a JS number or a numeric string such as "2.5e400".
+    static from(value) {
+        if (value instanceof BigNum) return value;
+        if (typeof value === 'number') return new BigNum(value, 0);
+        if (typeof value === 'string') return BigNum.parse(value) ?? new BigNum(NaN, 0);
+        return new BigNum(NaN, 0);
+    }
+
+    // Parses plain decimal or scientific notation without going through a double, so exponents past 308 survive.
+    // Returns null when the string isn't a number.
+    static parse(text) {
+        const trimmed = String(text).trim();
+        if (/^[+-]?infinity$/i.test(trimmed)) return new BigNum(trimmed.startsWith('-') ? -Infinity : Infinity, 0);
+        const match = trimmed.match(SCIENTIFIC_PATTERN);
+        if (!match) return null;
+        const mantissa = parseFloat(match[1]);
+        const exponent = match[2] ? parseInt(match[2], 10) : 0;
+        return new BigNum(mantissa, exponent);
+    }
+
+    static fromLog10(log, sign = 1) {
+        if (Number.isNaN(log)) return new BigNum(NaN, 0);
+        if (log === -Infinity) return new BigNum(0, 0);
+        if (log === Infinity) return new BigNum(sign * Infinity, 0);
+        const exponent = Math.floor(log);
+        return new BigNum(sign * Math.pow(10, log - exponent), exponent);
+    }
+
+    static min(a, b) {
+        return BigNum.from(a).lte(b) ? BigNum.from(a) : BigNum.from(b);
+    }
+
+    static max(a, b) {
+        return BigNum.from(a).gte(b) ? BigNum.from(a) : BigNum.from(b);
+    }
+
+    isNaN() {
+        return Number.isNaN(this.mantissa) || Number.isNaN(this.exponent);
+    }
+
+    isFinite() {
+        return Number.isFinite(this.mantissa) && Number.isFinite(this.exponent);
+    }
+
+    isZero() {
+        return this.mantissa === 0;
+    }
+
+    isNegative() {
+        return this.mantissa < 0;
+    }
+
+    sign() {
+        return Math.sign(this.mantissa);
+    }
+
+    neg() {
+        return new BigNum(-this.mantissa, this.exponent);
+    }
+
+    abs() {
+        return new BigNum(Math.abs(this.mantissa), this.exponent);
+    }
+
+    add(other) {
+        const b = BigNum.from(other);
+        if (!this.isFinite() || !b.isFinite()) {
+            const x = this.isFinite() ? 0 : this.mantissa;
+            const y = b.isFinite() ? 0 : b.mantissa;
+            return new BigNum(x + y, 0);
+        }
+        if (this.isZero()) return b;
+        if (b.isZero()) return this;
+        const gap = this.exponent - b.exponent;
+        if (gap > MAX_SIGNIFICANT_GAP) return this;
+        if (gap < -MAX_SIGNIFICANT_GAP) return b;
+        return new BigNum(this.mantissa + b.mantissa * Math.pow(10, -gap), this.exponent);
+    }
+
+    sub(other) {
+        return this.add(BigNum.from(other).neg());
+    }
+
+    mul(other) {
+        const b = BigNum.from(other);
+        if (!this.isFinite() || !b.isFinite()) return new BigNum(this.mantissa * b.mantissa, 0);
+        return new BigNum(this.mantissa * b.mantissa, this.exponent + b.exponent);
+    }
+
+    div(other) {
+        const b = BigNum.from(other);
+        if (this.isNaN() || b.isNaN()) return new BigNum(NaN, 0);
+        if (!this.isFinite()) return new BigNum(b.isFinite() ? this.mantissa * (b.sign() || 1) : NaN, 0);
+        if (!b.isFinite()) return new BigNum(0, 0);
+        if (b.isZero()) return new BigNum(this.isZero() ? NaN : this.mantissa * Infinity, 0);
+        return new BigNum(this.mantissa / b.mantissa, this.exponent - b.exponent);
+    }
+
+    // Raises to an ordinary (double) power. Works in log space so huge bases don't overflow.
+    pow(power) {
+        const p = typeof power === 'number' ? power : BigNum.from(power).toNumber();
+        if (p === 0 || (this.mantissa === 1 && this.exponent === 0)) return new BigNum(1, 0);
+        if (this.isZero()) return p > 0 ? this : new BigNum(Infinity, 0);
+        if (this.isNegative()) {
+            if (!Number.isInteger(p)) return new BigNum(NaN, 0);
+            return BigNum.fromLog10(this.abs().log10() * p, p % 2 === 0 ? 1 : -1);
+        }
+        return BigNum.fromLog10(this.log10() * p);
+    }
+
+    log10() {
+        if (this.isNegative() || this.isNaN()) return NaN;
+        if (this.isZero()) return -Infinity;
+        if (!this.isFinite()) return Infinity;
+        return Math.log10(this.mantissa) + this.exponent;
+    }
+
+    cmp(other) {
+        const b = BigNum.from(other);
+        if (this.isNaN() || b.isNaN()) return NaN;
+        if (!this.isFinite() || !b.isFinite()) {
+            const x = this.isFinite() ? this.sign() : this.mantissa;
+            const y = b.isFinite() ? b.sign() : b.mantissa;
+            return x === y ? 0 : (x > y ? 1 : -1);
+        }
+        const signA = this.sign();
+        const signB = b.sign();
+        if (signA !== signB) return signA > signB ? 1 : -1;
+        if (signA === 0) return 0;
+        if (this.exponent !== b.exponent) {
+            return (this.exponent > b.exponent ? 1 : -1) * signA;
+        }
+        if (this.mantissa === b.mantissa) return 0;
+        return this.mantissa > b.mantissa ? 1 : -1;
+    }
+
+    eq(other) { return this.cmp(other) === 0; }
+    gt(other) { return this.cmp(other) > 0; }
+    gte(other) { return this.cmp(other) >= 0; }
+    lt(other) { return this.cmp(other) < 0; }
+    lte(other) { return this.cmp(other) <= 0; }
+
+    // May return Infinity for values past the double range; only use where that is acceptable.
+    toNumber() {
+        if (!this.isFinite() || this.isZero()) return this.mantissa;
+        if (this.exponent > 308) return this.mantissa > 0 ? Infinity : -Infinity;
+        if (this.exponent < -324) return 0;
+        return this.mantissa * Math.pow(10, this.exponent);
+    }
+
+    toExponential(digits) {
+        if (!this.isFinite()) return String(this.mantissa);
+        if (this.isZero()) return (0).toExponential(digits);
+        let mantissaText = digits === undefined ? String(this.mantissa) : this.mantissa.toFixed(digits);
+        let exponent = this.exponent;
+        // Rounding can carry the mantissa up to 10 (e.g. 9.99 -> "10.0").
+        if (Math.abs(parseFloat(mantissaText)) >= 10) {
+            mantissaText = digits === undefined ? String(this.mantissa / 10) : (this.mantissa / 10).toFixed(digits);
+            exponent += 1;
+        }
+        return `${mantissaText}e${exponent >= 0 ? '+' : '-'}${Math.abs(exponent)}`;
+    }
+
+    // Serialises losslessly (e.g. for postMessage or localStorage); BigNum.from() reads it back.
+    toJSON() {
+        return this.toExponential();
+    }
+
+    toString() {
+        if (this.isFinite() && Math.abs(this.exponent) < 21) return String(this.toNumber());
+        return this.toExponential();
+    }
+}
+
+BigNum.ZERO = new BigNum(0, 0);
+BigNum.ONE = new BigNum(1, 0);
+BigNum.INFINITY = new BigNum(Infinity, 0);
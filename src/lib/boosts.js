@@ -0,0 +1,85 @@
+import { BigNum } from './bigNumber.js';
+import { effectiveChance, isAffectedByLuck, normalizeLuck } from './luck.js';
+import { createId, loadStoredList } from './storage.js';
+
+// --- Timed Boosts ---
+// Event buffs and potions: a Rune Speed, Rune Bulk or Rune Luck multiplier active between a start and an end
+// time (ms since the epoch). While boosts run, copies come in faster by the product of their factors, so a
+// calculation's time at unboosted rates (its "work") maps to a shorter wall-clock time: walking the boost
+// windows from now, each second inside one does `multiplier` seconds of work. The mapping only stretches time,
+// so it applies as-is to compounding totals, their growth series and every Monte Carlo trial. Boosts are kept
+// in localStorage, shared by every profile.
+
+export const BOOST_STATS = ['runeSpeed', 'runeBulk', 'runeLuck'];
+
+const STORAGE_KEY = 'runeCalc_boosts';
+
+const isBoost = (boost) => Boolean(boost) && BOOST_STATS.includes(boost.stat) && boost.factor > 0
+    && Number.isFinite(boost.start) && Number.isFinite(boost.end) && boost.end > boost.start;
+
+export const loadBoosts = (storage) => loadStoredList(storage, STORAGE_KEY, isBoost);
+
+export const saveBoosts = (storage, boosts) => storage.setItem(STORAGE_KEY, JSON.stringify(boosts));
+
+// Boosts that haven't ended by `now`.
+export const pendingBoosts = (boosts, now = Date.now()) => boosts.filter(boost => boost.end > now);
+
+/**
+ * Reads the scheduler form: `factor` through `parseNumber` (createNumberFormat's), and `startsIn` (blank for
+ * now) and `lasts` as seconds (parseDuration's result, null when unreadable). Returns { boost, error }.
+ */
+export const buildBoost = ({ stat, factor, startsIn, lasts }, parseNumber, now = Date.now()) => {
+    if (!BOOST_STATS.includes(stat)) return { boost: null, error: 'Pick a stat to boost.' };
+    const { value, warning } = parseNumber(factor);
+    const multiplier = value.toNumber();
+    if (warning || !(multiplier > 0) || !Number.isFinite(multiplier)) return { boost: null, error: warning || 'Enter a factor above zero, e.g. 2.' };
+    if (startsIn === null) return { boost: null, error: 'Starts in: use a number with s, m, h, d, w or y, e.g. 10m.' };
+    if (!(lasts > 0)) return { boost: null, error: 'Lasts: use a number with s, m, h, d, w or y, e.g. 40m.' };
+    const start = now + startsIn * 1000;
+    return { boost: { id: createId('b'), stat, factor: multiplier, start, end: start + lasts * 1000 }, error: null };
+};
+
+// How much faster copies of `rune` come in with stats boosted by `factors` ({ runeSpeed, runeBulk, runeLuck }).
+// Luck only counts for runes it affects, and only down to a 1/1 chance; without a rune it counts in full.
+const rateMultiplier = (factors, rune, luck) => {
+    const rpsFactor = factors.runeSpeed * factors.runeBulk;
+    if (factors.runeLuck === 1) return rpsFactor;
+    if (!rune) return rpsFactor * factors.runeLuck;
+    if (!isAffectedByLuck(rune)) return rpsFactor;
+    const base = normalizeLuck(luck);
+    return rpsFactor * effectiveChance(rune, base).div(effectiveChance(rune, base.mul(factors.runeLuck))).toNumber();
+};
+
+/**
+ * The rate multiplier over time from `now`, as back-to-back [{ start, end, multiplier }] segments in seconds,
+ * ending when the last boost does (empty without pending boosts). `rune` and `luck` (the unboosted in-game
+ * Rune Luck) decide what Luck boosts are worth; see rateMultiplier.
+ */
+export const boostSegments = (boosts, { now = Date.now(), rune = null, luck = 1 } = {}) => {
+    const windows = pendingBoosts(boosts, now).map(boost => ({ ...boost, from: Math.max(0, (boost.start - now) / 1000), to: (boost.end - now) / 1000 }));
+    const edges = [...new Set([0, ...windows.flatMap(window => [window.from, window.to])])].sort((a, b) => a - b);
+    const segments = [];
+    for (let i = 1; i < edges.length; i++) {
+        const [start, end] = [edges[i - 1], edges[i]];
+        const factors = { runeSpeed: 1, runeBulk: 1, runeLuck: 1 };
+        for (const window of windows) {
+            if (window.from <= start && window.to >= end) factors[window.stat] *= window.factor;
+        }
+        segments.push({ start, end, multiplier: rateMultiplier(factors, rune, luck) });
+    }
+    return segments;
+};
+
+/**
+ * Wall-clock seconds (a BigNum) for `work` seconds of farming at unboosted rates, starting now, with the rate
+ * multiplied as `segments` (boostSegments) say.
+ */
+export const boostedTime = (work, segments = []) => {
+    let remaining = BigNum.from(work);
+    for (const { start, end, multiplier } of segments) {
+        const capacity = BigNum.from(multiplier * (end - start));
+        if (remaining.lte(capacity)) return remaining.div(multiplier).add(start);
+        remaining = remaining.sub(capacity);
+    }
+    return segments.length > 0 ? remaining.add(segments[segments.length - 1].end) : remaining;
+};
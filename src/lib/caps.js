@@ -0,0 +1,53 @@
+import { BigNum } from './bigNumber.js';
+
+// --- Bonus Caps ---
+// Each bonus can be capped two ways:
+//   `max`      - the highest total the bonus can reach (x1B, +100M, ^1.3).
+//   `maxCount` - the owned count past which the bonus stops growing, for runes whose bonuses max out at
+//                different counts (e.g. Rocket: Rune Speed at 5.8M, Tickets at 2Sx).
+// A rune's own `max` is the count at which all of its bonuses are done.
+
+export const hasValueCap = (bonus) => typeof bonus?.max === 'number';
+
+export const hasCountCap = (bonus) => typeof bonus?.maxCount === 'number';
+
+export const effectiveCount = (bonus, count) => (hasCountCap(bonus) ? Math.min(count, bonus.maxCount) : count);
+
+export const clampToCap = (bonus, total) => (hasValueCap(bonus) ? BigNum.min(total, bonus.max) : total);
+
+// Numeric max copies of a rune, or NaN when the data doesn't give one.
+export const getRuneMaxCount = (rune) => {
+    if (typeof rune?.max === 'number') return rune.max;
+    if (typeof rune?.max === 'string' && /^\d[\d,]*$/.test(rune.max.trim())) return parseInt(rune.max.replace(/,/g, ''), 10);
+    return NaN;
+};
+
+// Copies needed for a bonus growing by `step` (in log space for multiplicative growth) to reach its cap.
+const countToReach = (start, target, step) => (step > 0 ? Math.max(0, Math.ceil((target - start) / step)) : 0);
+
+// The owned count after which a bonus's total no longer changes, or Infinity if it grows forever.
+export const bonusGrowthEndCount = (bonus) => {
+    const countLimit = hasCountCap(bonus) ? bonus.maxCount : Infinity;
+    const { formula } = bonus;
+    let capCount = Infinity;
+
+    if (formula?.type === 'constant') {
+        capCount = 0;
+    } else if (formula?.type === 'exponential') {
+        if (formula.base <= 1) capCount = 0;
+        else if (hasValueCap(bonus)) capCount = countToReach(0, Math.log(bonus.max), Math.log(formula.base));
+    } else if (formula?.type === 'linear') {
+        if (formula.perCount <= 0) capCount = 0;
+        else if (hasValueCap(bonus)) capCount = countToReach(formula.base ?? 0, bonus.max, formula.perCount);
+    } else if (typeof bonus.value === 'number') {
+        const isAdditive = bonus.modifier === 'additive' || bonus.modifier === 'subtractive';
+        if (isAdditive ? bonus.value === 0 : bonus.value === 1) capCount = 0;
+        else if (hasValueCap(bonus)) {
+            capCount = isAdditive
+                ? countToReach(0, bonus.max, bonus.value)
+                : countToReach(0, Math.log(bonus.max), Math.log(bonus.value));
+        }
+    }
+
+    return Math.min(countLimit, capCount);
+};
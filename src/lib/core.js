@@ -0,0 +1,154 @@
+import { BigNum } from './bigNumber.js';
+import { bonusGrowthEndCount, getRuneMaxCount } from './caps.js';
+import { bonusTotalAt, isSimulatedBonus } from './formulas.js';
+import { effectiveChance, normalizeLuck } from './luck.js';
+import { requiredRpsFor } from './probability.js';
+import { sourceCompanions } from './aggregation.js';
+import { runeValue } from './roi.js';
+import { boostedTime, boostSegments } from './boosts.js';
+
+// --- Calculation Core ---
+// The calculator's queries as plain functions of the rune data, shared by the app and the command-line tool.
+// Inputs are already-parsed numbers (BigNums or plain numbers); use createNumberFormat from format.js to read
+// and write suffixed values.
+
+export const findRune = (runes, name) => {
+    const lowerName = String(name).toLowerCase();
+    return runes.find(rune => rune.name === name) || runes.find(rune => rune.name.toLowerCase() === lowerName) || null;
+};
+
+// The chance a rune actually rolls at with the given Rune Luck; special-cost runes never roll.
+const numericChance = (rune, luck) => (typeof rune.chance === 'number' ? effectiveChance(rune, luck) : BigNum.INFINITY);
+
+export const SORT_KEYS = ['value', 'chance', 'time', 'bonus', 'max', 'name'];
+
+const NO_VALUE = BigNum.from(-Infinity);
+
+/**
+ * A rune's biggest bonus once maxed (or, for runes with no max, once the bonus stops growing, else at one
+ * copy), counting only `bonusTypes` if any are given. Totals of different modifiers (x50K vs +100M) aren't
+ * comparable, so this is most useful with a single bonus type. Zero for runes without a numeric bonus.
+ */
+export const bonusMagnitude = (rune, bonusTypes = []) => {
+    const maxCount = getRuneMaxCount(rune);
+    let largest = BigNum.ZERO;
+    for (const bonus of rune.bonuses || []) {
+        if (!isSimulatedBonus(bonus) || (bonusTypes.length > 0 && !bonusTypes.includes(bonus.type))) continue;
+        const growthEnd = bonusGrowthEndCount(bonus);
+        const count = Number.isNaN(maxCount) ? (Number.isFinite(growthEnd) ? growthEnd : 1) : maxCount;
+        largest = BigNum.max(largest, bonusTotalAt(bonus, count));
+    }
+    return largest;
+};
+
+const compareNames = (a, b) => a.name.localeCompare(b.name);
+
+// Ascending comparators per sort key; ties fall back to name order.
+const SORT_COMPARATORS = {
+    value: (a, b) => (a.value ?? NO_VALUE).cmp(b.value ?? NO_VALUE) || 0,
+    chance: (a, b, luck) => numericChance(a, luck).cmp(numericChance(b, luck)) || 0,
+    time: (a, b) => a.time.cmp(b.time) || 0,
+    bonus: (a, b) => a.bonusMagnitude.cmp(b.bonusMagnitude) || 0,
+    max: (a, b) => {
+        const maxA = getRuneMaxCount(a);
+        const maxB = getRuneMaxCount(b);
+        return (Number.isNaN(maxA) ? Infinity : maxA) - (Number.isNaN(maxB) ? Infinity : maxB) || 0;
+    },
+    name: compareNames,
+};
+
+/**
+ * The main list: every rune with its average `time` per copy at `rps`, its `bonusMagnitude`, and the `gain` and
+ * `value` of its next copy (see roi.js), filtered and sorted. Value uses `speed` and `bulk` (the in-game stats
+ * behind `rps`; without them all of `rps` counts as speed), the owned counts in `inventory`, and any
+ * `valueExtras` (VALUE_EXTRAS) on top of RPS. Filters, all optional and combined:
+ * - `filter` text in the name or source, and `hideInstant` to drop runes under a second;
+ * - `tags`, `sources` and `bonusTypes`: keep runes with any of the listed tags, from any of the sources, or
+ *   with a bonus of any of the types;
+ * - `minTime` / `maxTime` in seconds.
+ * Timed `boosts` (see boosts.js) shorten each time by however much of it they cover from `now`.
+ * `sortBy` is one of SORT_KEYS and `sortOrder` 'asc' or 'desc'. Returns { runes, bestValueName }, the listed
+ * rune whose next copy is worth the most right now (undefined if none gains anything).
+ */
+export const listRunes = (runes, {
+    rps, luck = 1, speed, bulk, inventory = {}, valueExtras = [], filter = '', hideInstant = false, sortBy = 'chance', sortOrder = 'asc',
+    tags = [], sources = [], bonusTypes = [], minTime = null, maxTime = null, boosts = [], now = Date.now(),
+}) => {
+    const rate = BigNum.from(rps);
+    const hasStats = speed !== undefined && bulk !== undefined && BigNum.from(speed).mul(bulk).gt(0);
+    const stats = hasStats ? { speed, bulk, luck } : { speed: rate.gt(0) ? rate : BigNum.ONE, bulk: BigNum.ONE, luck };
+    const lowerFilter = filter.toLowerCase();
+    const compare = SORT_COMPARATORS[sortBy] || SORT_COMPARATORS.chance;
+    const listed = runes
+        .filter(rune => {
+            const matchesFilter = rune.name.toLowerCase().includes(lowerFilter) || rune.source.toLowerCase().includes(lowerFilter);
+            const matchesTags = tags.length === 0 || (rune.tags || []).some(tag => tags.includes(tag));
+            const matchesSource = sources.length === 0 || sources.includes(rune.source);
+            const matchesBonus = bonusTypes.length === 0 || (rune.bonuses || []).some(bonus => bonusTypes.includes(bonus.type));
+            return matchesFilter && matchesTags && matchesSource && matchesBonus;
+        })
+        .map(rune => {
+            const work = rate.gt(0) ? numericChance(rune, luck).div(rate) : BigNum.INFINITY;
+            const time = boosts.length > 0 ? boostedTime(work, boostSegments(boosts, { now, rune, luck })) : work;
+            return {
+                ...rune,
+                time,
+                bonusMagnitude: bonusMagnitude(rune, bonusTypes),
+                ...runeValue(rune, { time, stats, inventory, extras: valueExtras }),
+            };
+        })
+        .filter(rune => {
+            const isInstant = rune.time.lt(1);
+            const inRange = (minTime === null || rune.time.gte(minTime)) && (maxTime === null || rune.time.lte(maxTime));
+            return (!hideInstant || !isInstant) && inRange;
+        })
+        .sort((a, b) => {
+            const order = sortOrder === 'asc' ? compare(a, b, luck) : compare(b, a, luck);
+            return order || compareNames(a, b);
+        });
+
+    const bestValue = listed.reduce((best, rune) => (rune.value?.gt(best?.value ?? 0) ? rune : best), null);
+    return { runes: listed, bestValueName: bestValue?.name };
+};
+
+/**
+ * Sets up a "Time to Max" (`targetCount` omitted) or "Time to X" query. Returns { rps, runesNeeded } plus
+ * either `payload`, the arguments for the compounding solver (the `compounding` simulation job), or `reason`
+ * when there's nothing to solve: 'unknown-rune', 'no-max', 'reached' or 'invalid-stats'. Timed `boosts` go into
+ * the payload as scheduled; turn them into rate segments (boostSegments, with Luck boosts valued at the starting
+ * Rune Luck) when the solver starts.
+ */
+export const planCompounding = (runes, { runeName, currentCount, targetCount, speed, bulk, luck = 1, inventory = {}, includePickups = true, boosts = [] }) => {
+    const rune = findRune(runes, runeName);
+    if (!rune) return { rps: BigNum.ZERO, runesNeeded: 0, reason: 'unknown-rune' };
+
+    const initialSpeed = BigNum.from(speed);
+    const initialBulk = BigNum.from(bulk);
+    const initialRps = initialSpeed.mul(initialBulk);
+
+    const endCount = targetCount ?? getRuneMaxCount(rune);
+    if (isNaN(endCount)) return { rps: initialRps, runesNeeded: 'N/A', reason: 'no-max' };
+
+    const startCount = currentCount;
+    const runesNeeded = endCount - startCount;
+    if (runesNeeded <= 0) return { rps: initialRps, runesNeeded: 0, reason: 'reached' };
+    if (initialRps.lte(0)) return { rps: BigNum.ZERO, runesNeeded, reason: 'invalid-stats' };
+
+    const companions = includePickups ? sourceCompanions(runes, rune, inventory) : [];
+    const payload = {
+        rune, startCount, endCount, initialSpeed, initialBulk, initialLuck: normalizeLuck(luck), companions, boosts,
+    };
+    return { rps: initialRps, runesNeeded, payload };
+};
+
+/**
+ * RPS needed to get `copies` of a rune within `duration` seconds: on average (`confidence` 'mean') or with the
+ * given probability (e.g. 0.9).
+ */
+export const rpsForTarget = (rune, { duration, copies = 1, confidence = 'mean', luck = 1 }) => {
+    if (!rune || typeof rune.chance !== 'number') return BigNum.ZERO;
+    if (duration <= 0) return BigNum.INFINITY;
+    const chance = effectiveChance(rune, luck);
+    if (confidence === 'mean') return chance.mul(copies).div(duration);
+    return requiredRpsFor(chance, duration, confidence, copies);
+};
@@ -0,0 +1,158 @@
+import { validateRunes } from './validation.js';
+import { loadStoredList } from './storage.js';
+
+// --- Custom Runes ---
+// Runes added or corrected in the in-app editor. They're kept in the runes.json shape in localStorage, merged
+// over the shared data with a "custom" tag (a custom rune with a listed rune's name replaces it), and exported
+// as an RFC 6902 JSON Patch against public/runes.json so they can be submitted upstream. A corrected rune that
+// also renames the listed one names it in `replaces`, which never leaves this module.
+
+export const CUSTOM_TAG = 'custom';
+
+const STORAGE_KEY = 'runeCalc_customRunes';
+
+export const loadCustomRunes = (storage) => loadStoredList(storage, STORAGE_KEY, rune => rune && typeof rune.name === 'string');
+
+export const saveCustomRunes = (storage, customRunes) => storage.setItem(STORAGE_KEY, JSON.stringify(customRunes));
+
+export const isCustomRune = (rune) => Boolean(rune?.tags?.includes(CUSTOM_TAG));
+
+// The listed rune a custom rune replaces, if there's one by that name.
+export const replacedName = (rune) => rune.replaces ?? rune.name;
+
+const withoutReplaces = (rune) => {
+    const copy = { ...rune };
+    delete copy.replaces;
+    return copy;
+};
+
+const withCustomTag = (rune) => ({ ...withoutReplaces(rune), tags: [...(rune.tags || []).filter(tag => tag !== CUSTOM_TAG), CUSTOM_TAG] });
+
+// The shared runes with custom ones merged in: replacements keep their listed rune's place, new runes go last.
+export const mergeCustomRunes = (runes, customRunes) => {
+    const byName = new Map(customRunes.map(rune => [replacedName(rune), rune]));
+    const merged = runes.map(rune => (byName.has(rune.name) ? withCustomTag(byName.get(rune.name)) : rune));
+    const listed = new Set(runes.map(rune => rune.name));
+    return [...merged, ...customRunes.filter(rune => !listed.has(replacedName(rune))).map(withCustomTag)];
+};
+
+// Adds or replaces (by name, or by `previousName` when renaming) a custom rune.
+export const upsertCustomRune = (customRunes, rune, previousName = rune.name) => [
+    ...customRunes.filter(existing => existing.name !== previousName && existing.name !== rune.name),
+    rune,
+];
+
+/**
+ * JSON Patch turning the shared runes.json into the merged list: a "replace" for each custom rune that corrects
+ * a listed one and an "add" for each new one. Patch values carry no "custom" tag.
+ */
+export const buildRunesPatch = (runes, customRunes) => customRunes.map(rune => {
+    const index = runes.findIndex(listed => listed.name === replacedName(rune));
+    const value = withoutReplaces(rune);
+    return index === -1 ? { op: 'add', path: '/-', value } : { op: 'replace', path: `/${index}`, value };
+});
+
+// --- Editor Form ---
+// The editor works on strings so inputs can be half-typed; buildCustomRune turns them into a rune. Special costs
+// ({ value, unit } chances) and free-text caps like "1/6k" can't be typed as numbers, so they're kept as they
+// were unless the field is changed.
+
+// Bonus fields the form edits; any others (description, formula...) are carried over from the original.
+const BONUS_FORM_FIELDS = ['type', 'modifier', 'value', 'max', 'maxCount', 'isExponential'];
+
+export const emptyBonusForm = () => ({ type: 'runeSpeed', modifier: 'multiplier', value: '', max: '', maxCount: '', isExponential: false });
+
+export const emptyRuneForm = () => ({ name: '', source: '', chance: '', max: '', ignoresLuck: false, statsDisplay: '', replaces: '', bonuses: [] });
+
+// Whether a form field still holds a non-numeric original value as runeToForm wrote it.
+const isUnchangedText = (input, originalValue) => originalValue !== undefined && typeof originalValue !== 'number'
+    && String(input).trim() === (typeof originalValue === 'string' ? originalValue : '');
+
+export const runeToForm = (rune) => ({
+    name: rune.name,
+    source: rune.source,
+    chance: typeof rune.chance === 'number' ? String(rune.chance) : '',
+    max: rune.max === undefined ? '' : String(rune.max),
+    ignoresLuck: Boolean(rune.ignoresLuck),
+    statsDisplay: rune.statsDisplay ?? '',
+    replaces: rune.replaces ?? '',
+    bonuses: (rune.bonuses || []).map(bonus => ({
+        type: bonus.type,
+        modifier: bonus.modifier ?? '',
+        value: bonus.value === undefined ? '' : String(bonus.value),
+        max: bonus.max === undefined ? '' : String(bonus.max),
+        maxCount: bonus.maxCount === undefined ? '' : String(bonus.maxCount),
+        isExponential: Boolean(bonus.isExponential),
+    })),
+});
+
+/**
+ * Turns editor form values into a runes.json entry. `parseNumber` reads suffixed input (createNumberFormat's
+ * parseNumber). Returns { rune, errors }, where errors are readable messages (the rune is null if there are any).
+ * Fields of `original` the form doesn't cover (tags, notes, bonus formulas and descriptions) are kept, and so
+ * are its special cost and free-text caps while their fields are unchanged. `form.replaces` names a listed rune
+ * this one renames.
+ */
+export const buildCustomRune = (form, parseNumber, original = null) => {
+    const errors = [];
+    const readNumber = (input, label, { required = false } = {}) => {
+        const text = String(input).trim();
+        if (!text) {
+            if (required) errors.push(`${label} is required.`);
+            return undefined;
+        }
+        const { value, warning } = parseNumber(text);
+        const number = value.toNumber();
+        if (warning) errors.push(`${label}: ${warning}`);
+        else if (!Number.isFinite(number)) errors.push(`${label} is too large to store in runes.json.`);
+        return number;
+    };
+
+    const name = form.name.trim();
+    const source = form.source.trim();
+    if (!name) errors.push('Name is required.');
+    if (!source) errors.push('Source is required.');
+    const chance = isUnchangedText(form.chance, original?.chance) ? original.chance : readNumber(form.chance, 'Chance', { required: true });
+    const max = isUnchangedText(form.max, original?.max) ? original.max : readNumber(form.max, 'Max');
+
+    const bonuses = form.bonuses.map((bonusForm, index) => {
+        const label = `Bonus ${index + 1}`;
+        const originalBonus = original?.bonuses?.[index]?.type === bonusForm.type ? original.bonuses[index] : null;
+        const bonus = { type: bonusForm.type };
+        if (originalBonus) {
+            for (const [field, value] of Object.entries(originalBonus)) {
+                if (!BONUS_FORM_FIELDS.includes(field)) bonus[field] = value;
+            }
+        }
+        if (bonusForm.modifier) bonus.modifier = bonusForm.modifier;
+        const value = readNumber(bonusForm.value, `${label} value`, { required: Boolean(bonusForm.modifier) });
+        if (value !== undefined) bonus.value = value;
+        const cap = isUnchangedText(bonusForm.max, originalBonus?.max) ? originalBonus.max : readNumber(bonusForm.max, `${label} cap`);
+        if (cap !== undefined) bonus.max = cap;
+        const maxCount = readNumber(bonusForm.maxCount, `${label} max count`);
+        if (maxCount !== undefined) bonus.maxCount = maxCount;
+        if (bonusForm.isExponential) bonus.isExponential = true;
+        return bonus;
+    });
+
+    const rest = { ...(original || {}) };
+    for (const field of ['name', 'source', 'chance', 'max', 'ignoresLuck', 'statsDisplay', 'replaces', 'bonuses']) delete rest[field];
+    if (rest.tags) rest.tags = rest.tags.filter(tag => tag !== CUSTOM_TAG);
+    if (rest.tags?.length === 0) delete rest.tags;
+
+    const rune = { name, source, ...rest, chance };
+    if (max !== undefined) rune.max = max;
+    if (form.ignoresLuck) rune.ignoresLuck = true;
+    if (form.statsDisplay.trim()) rune.statsDisplay = form.statsDisplay.trim();
+    rune.bonuses = bonuses;
+
+    if (errors.length === 0) {
+        // The same schema checks as the shared data file, so an exported patch validates upstream.
+        for (const issue of validateRunes([rune])) {
+            if (issue.level === 'error') errors.push(`${issue.path.replace(/^runes\[0\]\.?/, '') || 'Rune'} ${issue.message}.`);
+        }
+    }
+    const replaces = form.replaces?.trim();
+    if (replaces && replaces !== name) rune.replaces = replaces;
+    return { rune: errors.length === 0 ? rune : null, errors };
+};
@@ -0,0 +1,62 @@
+import { idbGet, idbSet } from './idbCache.js';
+
+// --- Data Loader ---
+// Loads runes.json and scales.json from the first source that works:
+//   1. 'remote'  - the latest files on GitHub (cache-busted so edits show up immediately).
+//   2. 'cache'   - the last good remote copy, kept in IndexedDB.
+//   3. 'bundled' - the copies shipped in public/ with this build.
+// Resolves to { runes, scales, source, updatedAt, remoteError }, where updatedAt is when that copy was fetched
+// (null for bundled data) and remoteError says why GitHub wasn't used.
+
+const REMOTE_BASE_URL = 'https://raw.githubusercontent.com/truthuntold/ai-rune-calc/refs/heads/main/public';
+const CACHE_KEY = 'lastGoodData';
+
+export const DATA_SOURCE_LABELS = {
+    remote: 'Live data from GitHub',
+    cache: 'Offline copy of GitHub data',
+    bundled: 'Data bundled with the app',
+};
+
+// "Good" means usable at all; finer-grained problems are left to the validator.
+const isUsableData = (runes, scales) => Array.isArray(runes) && runes.length > 0 && scales !== null && typeof scales === 'object' && !Array.isArray(scales);
+
+const fetchPair = async (fetchImpl, baseUrl, query, options) => {
+    const [runesResponse, scalesResponse] = await Promise.all([
+        fetchImpl(`${baseUrl}/runes.json${query}`, options),
+        fetchImpl(`${baseUrl}/scales.json${query}`, options),
+    ]);
+    if (!runesResponse.ok || !scalesResponse.ok) {
+        throw new Error('Network response was not ok');
+    }
+    const runes = await runesResponse.json();
+    const scales = await scalesResponse.json();
+    if (!isUsableData(runes, scales)) throw new Error('Data files are empty or malformed');
+    return { runes, scales };
+};
+
+export const loadAppData = async ({
+    fetchImpl = globalThis.fetch,
+    cacheGet = idbGet,
+    cacheSet = idbSet,
+    bundledBaseUrl = `${import.meta.env?.BASE_URL ?? '/'}`.replace(/\/$/, ''),
+} = {}) => {
+    let remoteError = null;
+    try {
+        // Disable caching and add a unique query so every visit sees the latest data.
+        const { runes, scales } = await fetchPair(fetchImpl, REMOTE_BASE_URL, `?v=${Date.now()}`, { cache: 'no-store' });
+        const updatedAt = Date.now();
+        await cacheSet(CACHE_KEY, { runes, scales, updatedAt });
+        return { runes, scales, source: 'remote', updatedAt, remoteError };
+    } catch (error) {
+        remoteError = error.message;
+        console.error('Failed to fetch data from GitHub.', error);
+    }
+
+    const cached = await cacheGet(CACHE_KEY);
+    if (cached && isUsableData(cached.runes, cached.scales)) {
+        return { runes: cached.runes, scales: cached.scales, source: 'cache', updatedAt: cached.updatedAt ?? null, remoteError };
+    }
+
+    const { runes, scales } = await fetchPair(fetchImpl, bundledBaseUrl, '', {});
+    return { runes, scales, source: 'bundled', updatedAt: null, remoteError };
+};
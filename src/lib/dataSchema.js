@@ -0,0 +1,85 @@
+// --- Data Schemas ---
+// JSON Schema (draft 2020-12) descriptions of public/runes.json and public/scales.json. The validator in
+// validation.js checks data against these and then applies the semantic checks a schema can't express.
+
+export const KNOWN_BONUS_TYPES = [
+    'runeSpeed', 'runeLuck', 'runeBulk', 'tickets', 'energy', 'orbs', 'chrome', 'walkspeed', 'chestChance',
+    'rTokenCooldown', 'baseChrome', 'boostSpheres', 'hail', 'newTalent', 'talentUpgrade', 'ticketPerk',
+];
+
+export const KNOWN_TAGS = ['limited', 'hidden', 'exponential', 'custom'];
+
+const positiveNumber = { type: 'number', exclusiveMinimum: 0 };
+
+export const formulaSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { enum: ['exponential', 'linear', 'constant'] },
+        base: { type: 'number' },
+        perCount: { type: 'number' },
+        value: { type: 'number' },
+    },
+    additionalProperties: false,
+};
+
+export const bonusSchema = {
+    type: 'object',
+    required: ['type'],
+    properties: {
+        type: { type: 'string', minLength: 1 },
+        modifier: { enum: ['multiplier', 'additive', 'subtractive', 'power'] },
+        value: { type: 'number' },
+        max: { anyOf: [{ type: 'number' }, { type: 'string' }] },
+        maxCount: positiveNumber,
+        isExponential: { type: 'boolean' },
+        isDualExponential: { type: 'boolean' },
+        description: { type: 'string' },
+        formula: formulaSchema,
+    },
+    additionalProperties: false,
+};
+
+export const runeSchema = {
+    type: 'object',
+    required: ['name', 'source', 'chance', 'bonuses'],
+    properties: {
+        name: { type: 'string', minLength: 1 },
+        source: { type: 'string', minLength: 1 },
+        tags: { type: 'array', items: { type: 'string' } },
+        chance: {
+            anyOf: [
+                positiveNumber,
+                {
+                    type: 'object',
+                    required: ['value', 'unit'],
+                    properties: { value: positiveNumber, unit: { type: 'string' } },
+                },
+            ],
+        },
+        max: { anyOf: [positiveNumber, { type: 'string' }] },
+        formula: { type: 'string' },
+        ignoresLuck: { type: 'boolean' },
+        note: { type: 'string' },
+        statsDisplay: { type: 'string' },
+        bonuses: { type: 'array', items: bonusSchema },
+    },
+    additionalProperties: false,
+};
+
+export const runesSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Rune data (public/runes.json)',
+    type: 'array',
+    items: runeSchema,
+};
+
+export const scalesSchema = {
+    $schema: 'https://json-schema.org/draft/2020-12/schema',
+    title: 'Number suffixes (public/scales.json)',
+    type: 'object',
+    propertyNames: { pattern: '^[A-Za-z]*$' },
+    additionalProperties: {
+        anyOf: [positiveNumber, { type: 'string', pattern: '^\\d+(\\.\\d+)?e\\+?\\d+$' }],
+    },
+};
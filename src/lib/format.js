@@ -0,0 +1,241 @@
+import { BigNum } from './bigNumber.js';
+
+// --- Number & Time Formatting ---
+// Reading and writing the game's suffixed numbers ("1.5 QnTg") depends on the loaded scales.json, so those
+// helpers come from createNumberFormat(scales); the time helpers don't depend on any data.
+
+// How formatNumber writes values of 1000 and up. Smaller values are always written out.
+export const NOTATIONS = [
+    { id: 'suffix', label: 'Suffixes (1.5 QnTg)' },
+    { id: 'scientific', label: 'Scientific (1.50e+108)' },
+    { id: 'engineering', label: 'Engineering (15.0e+108)' },
+    { id: 'log', label: 'Logarithm (e108.18)' },
+];
+
+// A number with optional thousands separators (1,000 / 1_000 / 1 000), then an optional power of ten
+// (e45, x10^45) and an optional suffix. "e45" and "10^45.3" on their own are powers of ten.
+const NUMBER_PATTERN = /^([+-])?\s*(\d{1,3}(?:[,_ ]\d{3})+(?:\.\d*)?|\d+\.?\d*|\.\d+)(?:\s*e\s*([+-]?\d+)|\s*[x×*]\s*10\s*\^\s*([+-]?\d+))?\s*([a-z]*)$/i;
+const POWER_PATTERN = /^([+-])?\s*(?:e|10\s*\^)\s*([+-]?\d*\.?\d+)$/i;
+
+// Full precision (up to 15 digits), plain below 1e21 and scientific above, for explaining what was read.
+const writeExact = (value) => {
+    if (!value.isFinite() || value.isZero()) return String(value.toNumber());
+    if (Math.abs(value.exponent) < 21) return String(parseFloat(value.toNumber().toPrecision(15)));
+    return `${parseFloat(value.mantissa.toPrecision(15))}e${value.exponent >= 0 ? '+' : '-'}${Math.abs(value.exponent)}`;
+};
+
+export const FOREVER_QUOTES = [
+    "Heat death of the universe",
+    "Basically forever",
+    "Just don't even try",
+    "An eternity or two",
+    "Beyond comprehension"
+];
+
+const YEAR = 31536000;
+export const TIME_UNITS = [{ l: 'year', s: YEAR }, { l: 'day', s: 86400 }, { l: 'hour', s: 3600 }, { l: 'minute', s: 60 }, { l: 'second', s: 1 }];
+export const LATEST_DATE = 8.64e15; // The last moment a JS Date can hold, in ms.
+
+// Options for createNumberFormat's formatDuration.
+export const DEFAULT_TIME_FORMAT = { precise: false, units: 3 };
+export const TIME_UNIT_COUNTS = TIME_UNITS.map((_, index) => index + 1);
+
+// Up to `units` non-zero units, largest first ("1 day, 2 hours, 5 minutes"). With `fraction`, the last unit
+// shown keeps two decimals of what's left ("1 hour, 1.5 minutes"); otherwise every unit is whole.
+const writeUnits = (seconds, units, fraction) => {
+    let remaining = seconds;
+    const parts = [];
+    for (const { l, s } of TIME_UNITS) {
+        if (parts.length === units) break;
+        if (remaining < s) continue;
+        const isLast = parts.length === units - 1 || s === 1;
+        const count = fraction && isLast ? Math.floor((remaining / s) * 100) / 100 : Math.floor(remaining / s);
+        parts.push(`${count} ${l}${count === 1 ? '' : 's'}`);
+        remaining %= s;
+    }
+    return parts.join(', ');
+};
+
+// Up to three units by default. Under a second is "Instant"; past 100 years, a random quote says it's not
+// worth waiting. createNumberFormat's formatDuration has a precise mode for comparing long times.
+export function formatTime(seconds, random = Math.random, units = 3) {
+    const value = BigNum.from(seconds);
+    if (value.isNegative() || !value.isFinite()) return '...';
+    if (value.lt(1)) return 'Instant';
+
+    if (value.gt(100 * YEAR)) {
+        return FOREVER_QUOTES[Math.floor(random() * FOREVER_QUOTES.length)];
+    }
+
+    return writeUnits(value.toNumber(), units, false);
+}
+
+const DURATION_UNITS = {
+    '': 1, s: 1, sec: 1, second: 1, m: 60, min: 60, minute: 60, h: 3600, hr: 3600, hour: 3600,
+    d: 86400, day: 86400, w: 604800, week: 604800, y: YEAR, yr: YEAR, year: YEAR,
+};
+
+// Reads a duration like "90s", "30m", "1.5 hours" or "2 days" (a bare number is seconds) into seconds, or null.
+export const parseDuration = (input) => {
+    const match = String(input).trim().toLowerCase().match(/^(\d*\.?\d+)\s*([a-z]*?)s?$/);
+    if (!match || !(match[2] in DURATION_UNITS)) return null;
+    return parseFloat(match[1]) * DURATION_UNITS[match[2]];
+};
+
+/**
+ * When a duration started now would finish, as "done Tue 21 Oct, 14:30" in local time (the year is added when
+ * it isn't this year). `locale` and `timeZone` default to the user's. Returns null under a second, and past
+ * the dates JS can represent (about 270,000 years out).
+ */
+export const formatEta = (seconds, { now = Date.now(), locale, timeZone } = {}) => {
+    const value = BigNum.from(seconds);
+    if (!value.isFinite() || value.lt(1)) return null;
+    const end = now + value.toNumber() * 1000;
+    if (!(end <= LATEST_DATE)) return null;
+    const yearOf = (time) => new Intl.DateTimeFormat(locale, { year: 'numeric', timeZone }).format(time);
+    const options = { weekday: 'short', day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit', timeZone };
+    if (yearOf(end) !== yearOf(now)) options.year = 'numeric';
+    return `done ${new Intl.DateTimeFormat(locale, options).format(end)}`;
+};
+
+/**
+ * Builds the scale-dependent helpers for a scales.json object (suffix -> value, as numbers or numeric strings):
+ * - parseNumber(input) reads "1.5M", "1,000 QnTg", "1.2e45", "-5", "e400" or "1.5 x 10^45" into
+ *   { value: BigNum, warning, reading }. `reading` spells out how the input was read ("1000 × QnTg (1e+48) =
+ *   1e+51"); `warning` explains input that couldn't be read, such as an unknown or ambiguous suffix (value is
+ *   then zero). Empty input is zero with neither.
+ * - formatNumber(num) writes a number or BigNum in the chosen `notation` (one of NOTATIONS' ids). Suffix
+ *   notation uses the largest fitting suffix, falling back to scientific notation past the largest one.
+ * - formatChance(rune) describes a rune's chance ("1 / 25 B (3e+10)", or a special cost like "5 Tokens").
+ * - formatDuration(seconds, { precise, units }) is formatTime with up to `units` units. `precise` drops the
+ *   jokes: sub-second times keep their digits ("0.25 seconds"), the last unit keeps two decimals, and from
+ *   1000 years on the years are written in the chosen notation ("3.2 Qd years").
+ */
+export const createNumberFormat = (scales, { notation = 'suffix' } = {}) => {
+    const scaleValues = Object.keys(scales).reduce((acc, key) => {
+        acc[key] = BigNum.from(scales[key]);
+        return acc;
+    }, {});
+    const scaleEntries = Object.entries(scaleValues).sort(([, a], [, b]) => b.cmp(a));
+    const lowerCaseScaleKeys = Object.keys(scales).reduce((acc, key) => {
+        acc[key.toLowerCase()] = key;
+        return acc;
+    }, {});
+    const seenLowerCase = new Set();
+    const conflictingLowerCaseSuffixes = new Set();
+    for (const key of Object.keys(scales)) {
+        const lowerKey = key.toLowerCase();
+        if (seenLowerCase.has(lowerKey)) {
+            conflictingLowerCaseSuffixes.add(lowerKey);
+        } else {
+            seenLowerCase.add(lowerKey);
+        }
+    }
+
+    const writeSuffix = (value) => {
+        for (const [suffix, scaleValue] of scaleEntries) {
+            if (scaleValue.gt(0) && value.gte(scaleValue)) {
+                const scaled = value.div(scaleValue);
+                if (scaled.gte(1000) && scaleValue.eq(scaleEntries[0][1])) break;
+                return `${parseFloat(scaled.toNumber().toPrecision(3))} ${suffix}`;
+            }
+        }
+        return null;
+    };
+
+    // Like scientific, but the exponent is a multiple of 3 (so it lines up with K, M, B...).
+    const writeEngineering = (value) => {
+        let exponent = Math.floor(value.exponent / 3) * 3;
+        const mantissa = value.mantissa * Math.pow(10, value.exponent - exponent);
+        let text = mantissa.toPrecision(3);
+        if (Math.abs(parseFloat(text)) >= 1000) {
+            text = (mantissa / 1000).toPrecision(3);
+            exponent += 3;
+        }
+        return `${text}e${exponent >= 0 ? '+' : '-'}${Math.abs(exponent)}`;
+    };
+
+    const writeLog = (value) => `${value.isNegative() ? '-' : ''}e${value.abs().log10().toFixed(2)}`;
+
+    const formatNumber = (num) => {
+        if (typeof num !== 'number' && !BigNum.isBigNum(num)) return '0';
+        const value = BigNum.from(num);
+        if (!value.isFinite()) return value.isNaN() ? '0' : '...';
+        if (value.isNegative()) return `-${formatNumber(value.abs())}`;
+        const small = value.abs().lt(1e15) ? parseFloat(value.toNumber().toPrecision(12)) : null;
+        if (small !== null && small < 1000 && Number.isInteger(small)) return small.toString();
+        if (notation !== 'suffix' && value.abs().gte(1000)) {
+            if (notation === 'engineering') return writeEngineering(value);
+            if (notation === 'log') return writeLog(value);
+            return value.toExponential(2);
+        }
+        return writeSuffix(value) ?? (small !== null ? small.toPrecision(3) : value.toExponential(2));
+    };
+    // Mantissas and exponents are read exactly rather than through parseFloat, so "2e400" survives.
+    const parseNumber = (input) => {
+        if (typeof input !== 'string' || !input.trim()) return { value: BigNum.ZERO, warning: null, reading: null };
+        const text = input.trim();
+        const unreadable = (warning) => ({ value: BigNum.ZERO, warning, reading: null });
+
+        const power = text.match(POWER_PATTERN);
+        if (power) {
+            const log = parseFloat(power[2]);
+            const value = BigNum.fromLog10(log, power[1] === '-' ? -1 : 1);
+            return { value, warning: null, reading: `${power[1] === '-' ? '-' : ''}10^${log} = ${writeExact(value)}` };
+        }
+
+        const match = text.match(NUMBER_PATTERN);
+        if (!match) return unreadable(`Couldn't read "${text}" as a number. Try 1.5M, 1,000 QnTg, 2.5e400 or e400.`);
+        const [, sign = '', digits, eExponent, caretExponent, suffix] = match;
+        const exponent = eExponent ?? caretExponent;
+        const mantissa = BigNum.parse(`${sign}${digits.replace(/[,_ ]/g, '')}`);
+        const parts = [writeExact(mantissa)];
+        let value = mantissa;
+        if (exponent !== undefined) {
+            value = value.mul(BigNum.fromLog10(parseInt(exponent, 10)));
+            parts.push(`10^${parseInt(exponent, 10)}`);
+        }
+
+        if (suffix) {
+            const lowerSuffix = suffix.toLowerCase();
+            if (!scaleValues[suffix] && conflictingLowerCaseSuffixes.has(lowerSuffix)) {
+                const options = Object.keys(scales).filter(k => k.toLowerCase() === lowerSuffix).join(', ');
+                return unreadable(`Warning: '${suffix}' is ambiguous. Use one of these case-sensitive options: ${options}.`);
+            }
+            const key = scaleValues[suffix] ? suffix : lowerCaseScaleKeys[lowerSuffix];
+            if (key === undefined) return unreadable(`Warning: '${suffix}' isn't a known suffix (see scales.json).`);
+            value = value.mul(scaleValues[key]);
+            parts.push(`${key} (${writeExact(scaleValues[key])})`);
+        }
+
+        const result = writeExact(value);
+        const description = parts.join(' × ');
+        return { value, warning: null, reading: description === result ? result : `${description} = ${result}` };
+    };
+
+    const formatChance = (rune) => {
+        const { chance } = rune;
+        if (typeof chance === 'object' && chance.unit) {
+            return `${formatNumber(chance.value)} ${chance.unit}`;
+        }
+        if (typeof chance === 'number') {
+            // Other notations are already scientific, so the aside would repeat the main figure.
+            if (notation !== 'suffix') return `1 / ${formatNumber(chance)}`;
+            const scientific = `(${BigNum.from(chance).toExponential(0)})`;
+            return `1 / ${formatNumber(chance)} ${scientific}`;
+        }
+        return 'N/A';
+    };
+
+    const formatDuration = (seconds, { precise = false, units = 3 } = {}) => {
+        if (!precise) return formatTime(seconds, Math.random, units);
+        const value = BigNum.from(seconds);
+        if (value.isNegative() || !value.isFinite()) return '...';
+        if (value.isZero()) return '0 seconds';
+        if (value.lt(1)) return `${parseFloat(value.toNumber().toPrecision(3))} seconds`;
+        if (value.gte(1000 * YEAR)) return `${formatNumber(value.div(YEAR))} years`;
+        return writeUnits(value.toNumber(), units, true);
+    };
+
+    return { parseNumber, formatNumber, formatChance, formatDuration };
+};
@@ -0,0 +1,95 @@
+import { BigNum } from './bigNumber.js';
+import { bonusGrowthEndCount, clampToCap, effectiveCount } from './caps.js';
+
+// --- Bonus Formulas ---
+// A bonus may carry a structured `formula` giving its total value at a given owned count:
+//   { "type": "exponential", "base": 1.0005 }          -> base ^ count
+//   { "type": "linear", "base": 1, "perCount": 0.25 }   -> base + perCount * count
+//   { "type": "constant", "value": 1000 }               -> value, whatever the count
+// Bonuses without a formula compound their `value` once per copy, which is how the calculators have always
+// treated them (x1.01 per copy, +24 per copy, ^1.2 per copy).
+
+export const FORMULA_TYPES = ['exponential', 'linear', 'constant'];
+export const SIMULATED_MODIFIERS = ['multiplier', 'additive', 'subtractive', 'power'];
+
+export const hasFormula = (bonus) => Boolean(bonus?.formula && typeof bonus.formula === 'object' && FORMULA_TYPES.includes(bonus.formula.type));
+
+// True for bonuses the simulations know how to apply to a stat.
+export const isSimulatedBonus = (bonus) => SIMULATED_MODIFIERS.includes(bonus?.modifier) && (typeof bonus.value === 'number' || hasFormula(bonus));
+
+export const evaluateFormula = (formula, count) => {
+    switch (formula.type) {
+        case 'exponential':
+            return BigNum.from(formula.base).pow(count);
+        case 'linear':
+            return BigNum.from(formula.perCount).mul(count).add(formula.base ?? 0);
+        case 'constant':
+            return BigNum.from(formula.value);
+        default:
+            return BigNum.from(NaN);
+    }
+};
+
+const rawBonusTotalAt = (bonus, count) => {
+    if (hasFormula(bonus)) return evaluateFormula(bonus.formula, count);
+    const value = BigNum.from(bonus.value);
+    if (bonus.modifier === 'additive' || bonus.modifier === 'subtractive') return value.mul(count);
+    return value.pow(count);
+};
+
+// The total effect of a bonus when `count` copies of its rune are owned, after its count and value caps.
+export const bonusTotalAt = (bonus, count) => clampToCap(bonus, rawBonusTotalAt(bonus, effectiveCount(bonus, count)));
+
+export const describeFormula = (formula) => {
+    switch (formula?.type) {
+        case 'exponential':
+            return `${formula.base}^n`;
+        case 'linear':
+            return `${formula.base ?? 0} + ${formula.perCount}n`;
+        case 'constant':
+            return `${formula.value}`;
+        default:
+            return '';
+    }
+};
+
+// A rune is fully modelled when every exponential bonus it has comes with a formula, so the
+// "Time to..." tabs don't need to warn about it.
+export const isFullyModelled = (rune) => {
+    const bonuses = rune?.bonuses || [];
+    return bonuses.some(hasFormula) && bonuses.every(bonus => !(bonus.isExponential || bonus.isDualExponential) || hasFormula(bonus));
+};
+
+const applyModifier = (stat, modifier, before, after) => {
+    switch (modifier) {
+        case 'multiplier':
+            return before.isZero() ? stat : stat.mul(after.div(before));
+        case 'additive':
+            return stat.add(after.sub(before));
+        case 'subtractive':
+            return stat.sub(after.sub(before));
+        case 'power':
+            return before.isZero() ? stat : stat.pow(after.div(before).toNumber());
+        default:
+            return stat;
+    }
+};
+
+// The owned count after which none of the rune's bonuses on `statTypes` change any more. Past it, every
+// further copy takes the same time, which lets the simulations skip straight to the end.
+export const statGrowthEndCount = (rune, statTypes) => (rune?.bonuses || [])
+    .filter(bonus => statTypes.includes(bonus.type) && isSimulatedBonus(bonus))
+    .reduce((end, bonus) => Math.max(end, bonusGrowthEndCount(bonus)), 0);
+
+// Projects in-game stats measured at `fromCount` copies of a rune to what they'd be at `toCount` copies.
+// `baseStats` maps stat type (e.g. runeSpeed) to a BigNum; stats the rune doesn't touch pass through unchanged.
+export const projectStats = (rune, baseStats, fromCount, toCount) => {
+    const stats = { ...baseStats };
+    for (const bonus of rune?.bonuses || []) {
+        if (!(bonus.type in stats) || !isSimulatedBonus(bonus)) continue;
+        const before = bonusTotalAt(bonus, fromCount);
+        const after = bonusTotalAt(bonus, toCount);
+        stats[bonus.type] = applyModifier(stats[bonus.type], bonus.modifier, before, after);
+    }
+    return stats;
+};
@@ -0,0 +1,69 @@
+import { BigNum } from './bigNumber.js';
+import { LATEST_DATE } from './format.js';
+import { createId, loadStoredList } from './storage.js';
+
+// --- Goals ---
+// Pinned targets with a countdown: a rune and target count from "Time to Max" / "Time to X", or the next copy of
+// a rune on the main list. Each keeps when it was pinned (`start`) and its ETA, both in ms since the epoch; the
+// ETA is null when the estimate is too long for a date. Goals are kept in localStorage, shared by every
+// profile, and the service worker (public/sw.js) is sent a notification schedule for the ones still running.
+
+const STORAGE_KEY = 'runeCalc_goals';
+
+const isGoal = (goal) => Boolean(goal) && typeof goal.id === 'string' && typeof goal.runeName === 'string'
+    && Number.isFinite(goal.start) && (goal.eta === null || Number.isFinite(goal.eta));
+
+export const loadGoals = (storage) => loadStoredList(storage, STORAGE_KEY, isGoal);
+
+export const saveGoals = (storage, goals) => storage.setItem(STORAGE_KEY, JSON.stringify(goals));
+
+/**
+ * Pins a goal `seconds` (a BigNum or number) from `now`: `runeName` from `fromCount` to `targetCount` copies,
+ * or with no counts, its next copy.
+ */
+export const createGoal = ({ runeName, fromCount = null, targetCount = null, seconds, now = Date.now() }) => {
+    const end = now + BigNum.from(seconds).toNumber() * 1000;
+    return {
+        id: createId('g'),
+        runeName,
+        fromCount,
+        targetCount,
+        start: now,
+        eta: end <= LATEST_DATE ? end : null,
+        notified: false,
+    };
+};
+
+// How far along a goal is at `now`: { fraction (0-1, by time), remaining (seconds), isDone }.
+export const goalProgress = (goal, now = Date.now()) => {
+    if (goal.eta === null) return { fraction: 0, remaining: Infinity, isDone: false };
+    const span = goal.eta - goal.start;
+    return {
+        fraction: span > 0 ? Math.min(1, Math.max(0, (now - goal.start) / span)) : 1,
+        remaining: Math.max(0, (goal.eta - now) / 1000),
+        isDone: now >= goal.eta,
+    };
+};
+
+// Goals whose ETA has passed but haven't been announced yet.
+export const dueGoals = (goals, now = Date.now()) => goals.filter(goal => !goal.notified && goal.eta !== null && goal.eta <= now);
+
+export const describeGoal = (goal, formatNumber) => (goal.targetCount === null
+    ? `Next ${goal.runeName}`
+    : `${goal.runeName} ${formatNumber(goal.fromCount)} → ${formatNumber(goal.targetCount)}`);
+
+// The notification for a goal, as { tag, at, title, body }. The tag is the goal's id, so if the page and the
+// service worker both announce a goal before it's marked `notified`, the second replaces the first.
+export const goalNotification = (goal, formatNumber) => ({
+    tag: goal.id,
+    at: goal.eta,
+    title: 'Rune goal reached',
+    body: goal.targetCount === null
+        ? `You should have another ${goal.runeName} by now.`
+        : `${goal.runeName} should be at ${formatNumber(goal.targetCount)} by now.`,
+});
+
+// What the service worker should announce, and when: every goal still running.
+export const notificationSchedule = (goals, formatNumber, now = Date.now()) => goals
+    .filter(goal => !goal.notified && goal.eta !== null && goal.eta > now)
+    .map(goal => goalNotification(goal, formatNumber));
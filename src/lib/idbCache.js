@@ -0,0 +1,42 @@
+// --- IndexedDB Cache ---
+// A minimal promise-based key/value store on IndexedDB, used to keep the last good copy of the rune data.
+// Every call resolves to undefined (rather than rejecting) when IndexedDB isn't available, e.g. in private
+// browsing or Node.
+
+const DB_NAME = 'runeCalc';
+const DB_VERSION = 1;
+const STORE_NAME = 'keyval';
+
+let dbPromise = null;
+
+const openDatabase = () => {
+    if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+    if (!dbPromise) {
+        dbPromise = new Promise((resolve) => {
+            const request = indexedDB.open(DB_NAME, DB_VERSION);
+            request.onupgradeneeded = () => request.result.createObjectStore(STORE_NAME);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(null);
+            request.onblocked = () => resolve(null);
+        });
+    }
+    return dbPromise;
+};
+
+const runRequest = async (mode, operation) => {
+    const db = await openDatabase();
+    if (!db) return undefined;
+    return new Promise((resolve) => {
+        try {
+            const request = operation(db.transaction(STORE_NAME, mode).objectStore(STORE_NAME));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => resolve(undefined);
+        } catch {
+            resolve(undefined);
+        }
+    });
+};
+
+export const idbGet = (key) => runRequest('readonly', store => store.get(key));
+
+export const idbSet = (key, value) => runRequest('readwrite', store => store.put(value, key));
@@ -0,0 +1,21 @@
+import { BigNum } from './bigNumber.js';
+
+// --- Rune Luck ---
+// Rune Luck divides the chance of the runes it applies to: with x1,000 luck, a 1/1B rune rolls like a 1/1M one.
+// Runes marked `ignoresLuck` (the Galactic runes) always roll at their listed chance, and no rune gets easier
+// than 1/1.
+
+export const isAffectedByLuck = (rune) => !rune?.ignoresLuck;
+
+// Entered luck as a BigNum, treating missing or invalid values as no luck (x1).
+export const normalizeLuck = (luck) => {
+    const value = BigNum.from(luck ?? 1);
+    return value.isFinite() && value.gt(0) ? value : BigNum.ONE;
+};
+
+// The "1 in N" chance a rune actually rolls at with `luck`.
+export const effectiveChance = (rune, luck) => {
+    const chance = BigNum.from(rune.chance);
+    if (!isAffectedByLuck(rune)) return chance;
+    return BigNum.max(BigNum.min(chance, BigNum.ONE), chance.div(normalizeLuck(luck)));
+};
@@ -0,0 +1,115 @@
+import { BigNum } from './bigNumber.js';
+import { calculateCompoundingTime, logGeometricSum } from './simulation.js';
+import { boostedTime } from './boosts.js';
+
+// --- Monte Carlo Mode ---
+// The compounding solver gives the mean time, treating every copy as taking exactly its average. In a real run
+// each copy's time is random: exponential around that average, since every roll is independent. A trial sums
+// those random times over the same chunks the solver walks. Within a chunk the copy times are independent
+// exponentials with geometrically changing means, and their sum is sampled as the Gamma distribution with the
+// same mean and variance (exact for chunks of one copy and for the constant tail past the last cap).
+// Companions still follow their expected counts rather than their own random drops. Timed boosts stretch each
+// trial's total like the solver's (boostedTime), which is exact for random drops too.
+
+const HISTOGRAM_BINS = 20;
+const PROGRESS_INTERVAL = 25; // Trials between progress callbacks.
+
+// Small, fast, seedable PRNG (mulberry32) returning floats in [0, 1).
+const createRandom = (seed) => {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const sampleNormal = (random) => {
+    const u = 1 - random();
+    return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * random());
+};
+
+// Gamma(shape, 1) for shape >= 1 (Marsaglia & Tsang).
+const sampleGamma = (random, shape) => {
+    if (shape === 1) return -Math.log(1 - random());
+    const d = shape - 1 / 3;
+    const c = 1 / Math.sqrt(9 * d);
+    for (;;) {
+        const x = sampleNormal(random);
+        const v = (1 + c * x) ** 3;
+        if (v <= 0) continue;
+        const u = random();
+        if (Math.log(u) < 0.5 * x * x + d - d * v + d * Math.log(v)) return d * v;
+    }
+};
+
+// Turns a solver chunk into the Gamma distribution matching its total's mean and variance, in log10 terms.
+const toGammaChunk = (logTime, lnRatio, length) => {
+    if (lnRatio === 0) return { shape: length, logScale: logTime };
+    const logMean = logTime + logGeometricSum(lnRatio, length);
+    const logSquares = 2 * logTime + logGeometricSum(2 * lnRatio, length);
+    const shape = 10 ** (2 * logMean - logSquares);
+    return { shape: Number.isFinite(shape) ? Math.max(1, shape) : 1, logScale: logSquares - logMean };
+};
+
+const percentileOf = (sorted, p) => sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+
+// Bins completion times on a log scale, which keeps runs spanning many orders of magnitude readable.
+const buildHistogram = (sorted) => {
+    const logMin = sorted[0].log10();
+    const logMax = sorted[sorted.length - 1].log10();
+    const width = (logMax - logMin) / HISTOGRAM_BINS || 1;
+    const counts = new Array(HISTOGRAM_BINS).fill(0);
+    for (const time of sorted) counts[Math.min(HISTOGRAM_BINS - 1, Math.floor((time.log10() - logMin) / width))]++;
+    return counts.map((count, index) => ({
+        from: BigNum.fromLog10(logMin + index * width),
+        to: BigNum.fromLog10(logMin + (index + 1) * width),
+        count,
+    }));
+};
+
+/**
+ * Runs `trials` seeded random runs of the compounding process (same arguments as calculateCompoundingTime).
+ * Returns { expected, mean, median, low, high, histogram, trials, seed }, where `expected` is the deterministic
+ * estimate and low/high bound the middle 90% of trials.
+ */
+export const runMonteCarlo = (rune, startCount, endCount, initialSpeed, initialBulk, { trials = 1000, seed = 1, luck, companions, boosts = [], onProgress } = {}) => {
+    const chunks = [];
+    const { totalTime: expected } = calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk, {
+        luck,
+        companions,
+        boosts,
+        seriesPoints: 0,
+        onChunk: (logTime, lnRatio, length) => chunks.push(toGammaChunk(logTime, lnRatio, length)),
+        onProgress: fraction => onProgress?.(fraction * 0.1),
+    });
+    if (!expected.isFinite() || chunks.length === 0) {
+        return { expected, mean: expected, median: expected, low: expected, high: expected, histogram: [], trials: 0, seed };
+    }
+
+    const random = createRandom(seed);
+    const times = [];
+    for (let trial = 0; trial < trials; trial++) {
+        let time = BigNum.ZERO;
+        for (const { shape, logScale } of chunks) {
+            time = time.add(BigNum.fromLog10(logScale + Math.log10(sampleGamma(random, shape))));
+        }
+        times.push(boostedTime(time, boosts));
+        if ((trial + 1) % PROGRESS_INTERVAL === 0) onProgress?.(0.1 + 0.9 * ((trial + 1) / trials));
+    }
+
+    times.sort((a, b) => a.cmp(b));
+    onProgress?.(1);
+    return {
+        expected,
+        mean: times.reduce((sum, time) => sum.add(time), BigNum.ZERO).div(trials),
+        median: percentileOf(times, 0.5),
+        low: percentileOf(times, 0.05),
+        high: percentileOf(times, 0.95),
+        histogram: buildHistogram(times),
+        trials,
+        seed,
+    };
+};
@@ -0,0 +1,183 @@
+import { BigNum } from './bigNumber.js';
+import { isSimulatedBonus, projectStats, statGrowthEndCount } from './formulas.js';
+import { getRuneMaxCount } from './caps.js';
+import { ownedCount, sourceCompanions } from './aggregation.js';
+import { calculateCompoundingTime, expectedPickups } from './simulation.js';
+import { normalizeLuck } from './luck.js';
+import { boostedTime } from './boosts.js';
+
+// --- Farming Path Optimizer ---
+// Plans which runes to farm, in order, to reach a goal as fast as possible under the compounding bonus model.
+// Every step farms one rune up to a count; other runes from its source are picked up along the way.
+//   { type: 'own', runeName, count } - lookahead: a detour is taken when farming it and then the goal rune is
+//                                      quicker than farming the goal rune straight away.
+//   { type: 'rps', value }           - greedy: each step is the one with the best RPS growth per second,
+//                                      cut short at the count where RPS reaches the goal.
+// Candidate steps farm a rune to 10x its owned count or to where its speed/bulk/luck bonuses stop growing.
+
+const SIMULATED_STATS = ['runeSpeed', 'runeBulk', 'runeLuck'];
+const MAX_STEPS = 12;
+const STEP_GROWTH = 10;
+
+const logRpsOf = (stats) => stats.runeSpeed.mul(stats.runeBulk).log10();
+
+const maxCountOf = (rune) => {
+    const maxCount = getRuneMaxCount(rune);
+    return Number.isNaN(maxCount) ? Infinity : maxCount;
+};
+
+// The account after gaining copies of `rune` up to `toCount`: new inventory and projected speed/bulk/luck.
+const stateAfter = (runes, state, rune, toCount) => {
+    const fromCount = ownedCount(state.inventory, rune.name);
+    const inventory = { ...state.inventory, [rune.name]: toCount };
+    let stats = projectStats(rune, state.stats, fromCount, toCount);
+    for (const { rune: other, startCount } of sourceCompanions(runes, rune, state.inventory)) {
+        const count = Math.min(maxCountOf(other), startCount + expectedPickups(rune, other, toCount - fromCount, state.stats.runeLuck));
+        if (!(count > startCount)) continue;
+        inventory[other.name] = count;
+        stats = projectStats(other, stats, startCount, count);
+    }
+    return { inventory, stats };
+};
+
+const farm = (runes, state, rune, toCount) => {
+    const fromCount = ownedCount(state.inventory, rune.name);
+    const { totalTime } = calculateCompoundingTime(rune, fromCount, toCount, state.stats.runeSpeed, state.stats.runeBulk, {
+        luck: state.stats.runeLuck,
+        companions: sourceCompanions(runes, rune, state.inventory),
+        seriesPoints: 0,
+    });
+    const next = stateAfter(runes, state, rune, toCount);
+    const pickups = Object.fromEntries(Object.entries(next.inventory)
+        .filter(([name, count]) => name !== rune.name && count - ownedCount(state.inventory, name) >= 1)
+        .map(([name, count]) => [name, Math.floor(count)]));
+    return { step: { runeName: rune.name, fromCount, toCount, time: totalTime, rpsAfter: BigNum.fromLog10(logRpsOf(next.stats)), pickups }, state: next };
+};
+
+// Runes worth farming for their speed/bulk/luck bonuses, each with the counts a step could farm it to.
+const candidateSteps = (runes, state, excludeName) => runes
+    .filter(rune => rune.name !== excludeName && typeof rune.chance === 'number')
+    .filter(rune => (rune.bonuses || []).some(bonus => SIMULATED_STATS.includes(bonus.type) && isSimulatedBonus(bonus)))
+    .flatMap(rune => {
+        const owned = ownedCount(state.inventory, rune.name);
+        const cap = Math.min(maxCountOf(rune), statGrowthEndCount(rune, SIMULATED_STATS));
+        const counts = [Math.min(cap, Math.max(1, Math.ceil(owned * STEP_GROWTH))), cap];
+        return [...new Set(counts)].filter(count => Number.isFinite(count) && count > owned).map(count => ({ rune, count }));
+    });
+
+const planOwnGoal = (runes, state, goal, onProgress) => {
+    const goalRune = runes.find(rune => rune.name === goal.runeName);
+    if (!goalRune || typeof goalRune.chance !== 'number') return { reached: false, steps: [], reason: 'That rune can\'t be farmed directly.' };
+    const steps = [];
+    const farmGoal = (current) => farm(runes, current, goalRune, goal.count);
+
+    while (ownedCount(state.inventory, goalRune.name) < goal.count) {
+        const direct = farmGoal(state);
+        let best = null;
+        if (steps.length < MAX_STEPS - 1) {
+            for (const { rune, count } of candidateSteps(runes, state, goalRune.name)) {
+                const detour = farm(runes, state, rune, count);
+                if (ownedCount(detour.state.inventory, goalRune.name) >= goal.count) continue;
+                const total = detour.step.time.add(farmGoal(detour.state).step.time);
+                if (!best || total.lt(best.total)) best = { ...detour, total };
+            }
+        }
+        if (!best || !best.total.lt(direct.step.time)) {
+            steps.push(direct.step);
+            break;
+        }
+        steps.push(best.step);
+        state = best.state;
+        onProgress(steps.length / MAX_STEPS);
+    }
+    return { reached: true, steps };
+};
+
+const planRpsGoal = (runes, state, goal, onProgress) => {
+    const targetLog = BigNum.from(goal.value).log10();
+    const steps = [];
+
+    while (logRpsOf(state.stats) < targetLog) {
+        if (steps.length >= MAX_STEPS) return { reached: false, steps, reason: `The goal needs more than ${MAX_STEPS} steps.` };
+        const currentLog = logRpsOf(state.stats);
+        let best = null;
+        for (const { rune, count } of candidateSteps(runes, state, null)) {
+            const gain = logRpsOf(stateAfter(runes, state, rune, count).stats) - currentLog;
+            if (!(gain > 0)) continue;
+            const result = farm(runes, state, rune, count);
+            const efficiency = Math.log10(gain) - result.step.time.log10();
+            if (!best || efficiency > best.efficiency) best = { rune, count, efficiency, result };
+        }
+        if (!best) return { reached: false, steps, reason: 'No rune can raise your RPS any further.' };
+
+        let { result } = best;
+        if (logRpsOf(result.state.stats) >= targetLog) {
+            // Stop at the first count that reaches the goal.
+            let low = ownedCount(state.inventory, best.rune.name);
+            let high = best.count;
+            while (high - low > 1) {
+                const mid = Math.floor((low + high) / 2);
+                if (logRpsOf(stateAfter(runes, state, best.rune, mid).stats) >= targetLog) high = mid;
+                else low = mid;
+            }
+            result = farm(runes, state, best.rune, high);
+        }
+        steps.push(result.step);
+        state = result.state;
+        onProgress(steps.length / MAX_STEPS);
+    }
+    return { reached: true, steps };
+};
+
+/**
+ * Plans the fastest way to a goal from the given inventory and in-game stats.
+ * Returns { reached, steps, totalTime, reason? }, where each step is
+ * { runeName, fromCount, toCount, time, rpsAfter, pickups } and pickups maps other runes to their new counts.
+ */
+export const planFarmingPath = ({ runes, inventory, speed, bulk, luck, goal }, onProgress = () => {}) => {
+    const state = { inventory: inventory || {}, stats: { runeSpeed: BigNum.from(speed), runeBulk: BigNum.from(bulk), runeLuck: normalizeLuck(luck) } };
+    const plan = goal?.type === 'rps'
+        ? planRpsGoal(runes, state, goal, onProgress)
+        : planOwnGoal(runes, state, goal, onProgress);
+    onProgress(1);
+    return { ...plan, totalTime: plan.steps.reduce((total, step) => total.add(step.time), BigNum.ZERO) };
+};
+
+// --- Goal Queue ---
+// A hand-made plan rather than an optimised one: farm each queued rune to its target in order, every step starting
+// from the counts and speed/bulk/luck the previous steps left behind (runes picked up along the way included).
+
+/**
+ * Runs an ordered queue of `steps` ([{ runeName, targetCount }], where a null targetCount means max) from the
+ * given inventory and in-game stats. Returns { steps, totalTime }, each step being
+ * { runeName, fromCount, toCount, time, elapsed, rpsAfter, pickups, note }: `elapsed` is the time from the
+ * start of the queue to the end of the step, and `note` explains steps that were skipped ('unknown-rune',
+ * 'special-cost', 'no-max' or 'reached'), which take no time and change nothing. Timed `boosts` (rate segments
+ * from boostSegments) apply to the queue as a whole.
+ */
+export const runGoalQueue = ({ runes, inventory, speed, bulk, luck, steps, boosts = [] }, onProgress = () => {}) => {
+    let state = { inventory: inventory || {}, stats: { runeSpeed: BigNum.from(speed), runeBulk: BigNum.from(bulk), runeLuck: normalizeLuck(luck) } };
+    let work = BigNum.ZERO;
+    let elapsed = BigNum.ZERO;
+    const results = steps.map(({ runeName, targetCount }, index) => {
+        const rune = runes.find(candidate => candidate.name === runeName);
+        const fromCount = rune ? ownedCount(state.inventory, rune.name) : 0;
+        const toCount = targetCount ?? (rune ? getRuneMaxCount(rune) : NaN);
+        const skip = (note) => ({ runeName, fromCount, toCount, time: BigNum.ZERO, elapsed, rpsAfter: BigNum.fromLog10(logRpsOf(state.stats)), pickups: {}, note });
+        onProgress(index / steps.length);
+        if (!rune) return skip('unknown-rune');
+        if (typeof rune.chance !== 'number') return skip('special-cost');
+        if (Number.isNaN(toCount)) return skip('no-max');
+        if (toCount <= fromCount) return skip('reached');
+
+        const result = farm(runes, state, rune, toCount);
+        state = result.state;
+        work = work.add(result.step.time);
+        const stepEnd = boostedTime(work, boosts);
+        const time = stepEnd.sub(elapsed);
+        elapsed = stepEnd;
+        return { ...result.step, time, elapsed, note: null };
+    });
+    onProgress(1);
+    return { steps: results, totalTime: elapsed };
+};
@@ -0,0 +1,112 @@
+import { BigNum } from './bigNumber.js';
+
+// --- Drop Probability ---
+// Each roll is independent, so copies of a rune arrive as a Poisson process: with an average of `t` seconds
+// per copy, the copies gained in `T` seconds are Poisson(T / t) and the time to gain N copies is Gamma(N, t).
+// "1 hour" on a card is that distribution's mean; a single copy only has a 63% chance of arriving by then.
+
+export const PERCENTILES = [0.5, 0.9, 0.99];
+
+const LANCZOS = [
+    676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+    12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7,
+];
+
+const logGamma = (x) => {
+    if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+    const z = x - 1;
+    let sum = 0.99999999999980993;
+    LANCZOS.forEach((coefficient, index) => { sum += coefficient / (z + index + 1); });
+    const t = z + LANCZOS.length - 0.5;
+    return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+};
+
+// Past this shape, the series and continued fraction below would need more than MAX_TERMS terms (they need on
+// the order of sqrt(a)), so P comes from the Wilson-Hilferty normal approximation, accurate to ~1/a there.
+const LARGE_SHAPE = 1e5;
+const MAX_TERMS = 10000;
+
+// Complementary error function, to a relative error under 1.2e-7 (Numerical Recipes' erfcc).
+const erfc = (x) => {
+    const z = Math.abs(x);
+    const t = 1 / (1 + 0.5 * z);
+    const poly = -z * z - 1.26551223 + t * (1.00002368 + t * (0.37409196 + t * (0.09678418 + t * (-0.18628806
+        + t * (0.27886807 + t * (-1.13520398 + t * (1.48851587 + t * (-0.82215223 + t * 0.17087277))))))));
+    const value = t * Math.exp(poly);
+    return x >= 0 ? value : 2 - value;
+};
+
+const normalCdf = (z) => 0.5 * erfc(-z / Math.SQRT2);
+
+// Regularized lower incomplete gamma P(a, x): the chance a Gamma(a, 1) variable is at most x, which is also
+// the chance of at least `a` events when `x` are expected.
+export const regularizedGammaP = (a, x) => {
+    if (!(x > 0)) return 0;
+    if (!Number.isFinite(x)) return 1;
+    if (a > LARGE_SHAPE) {
+        const spread = 1 / (9 * a);
+        return normalCdf((Math.cbrt(x / a) - (1 - spread)) / Math.sqrt(spread));
+    }
+    const logPrefix = a * Math.log(x) - x - logGamma(a);
+    if (x < a + 1) {
+        // Series expansion.
+        let term = 1 / a;
+        let sum = term;
+        for (let n = 1; n < MAX_TERMS && Math.abs(term) > Math.abs(sum) * 1e-15; n++) {
+            term *= x / (a + n);
+            sum += term;
+        }
+        return Math.min(1, sum * Math.exp(logPrefix));
+    }
+    // Continued fraction for the upper tail (Lentz's method).
+    const tiny = 1e-300;
+    let b = x + 1 - a;
+    let c = 1 / tiny;
+    let d = 1 / b;
+    let h = d;
+    for (let n = 1; n < MAX_TERMS; n++) {
+        const an = -n * (n - a);
+        b += 2;
+        d = an * d + b;
+        if (Math.abs(d) < tiny) d = tiny;
+        c = b + an / c;
+        if (Math.abs(c) < tiny) c = tiny;
+        d = 1 / d;
+        const delta = d * c;
+        h *= delta;
+        if (Math.abs(delta - 1) < 1e-15) break;
+    }
+    return Math.max(0, 1 - Math.exp(logPrefix) * h);
+};
+
+// The x with P(shape, x) = p: the p-th percentile of Gamma(shape, 1).
+export const gammaQuantile = (shape, p) => {
+    if (!(p > 0)) return 0;
+    if (p >= 1) return Infinity;
+    if (shape === 1) return -Math.log1p(-p);
+    let low = 0;
+    let high = Math.max(1, shape);
+    while (regularizedGammaP(shape, high) < p) {
+        low = high;
+        high *= 2;
+    }
+    for (let i = 0; i < 100 && high - low > high * 1e-12; i++) {
+        const mid = (low + high) / 2;
+        if (regularizedGammaP(shape, mid) < p) low = mid;
+        else high = mid;
+    }
+    return (low + high) / 2;
+};
+
+// Time within which `copies` copies arrive with probability `p`, given the mean time per copy.
+export const timePercentile = (timePerCopy, p, copies = 1) => BigNum.from(timePerCopy).mul(gammaQuantile(copies, p));
+
+// Chance of at least `copies` copies within `duration` seconds, given the mean time per copy.
+export const chanceWithin = (timePerCopy, duration, copies = 1) => {
+    const expected = BigNum.from(duration).div(timePerCopy);
+    if (expected.isNaN()) return 0;
+    return regularizedGammaP(copies, expected.gt(Number.MAX_VALUE) ? Infinity : expected.toNumber());
+};
+
+// RPS needed for a `p` chance of at least `copies` copies of a 1 in `chance` rune within `duration` seconds.
+export const requiredRpsFor = (chance, duration, p, copies = 1) => BigNum.from(chance).mul(gammaQuantile(copies, p)).div(duration);
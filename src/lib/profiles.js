@@ -0,0 +1,225 @@
+import { sanitizeProgressLog } from './progressLog.js';
+import { createId } from './storage.js';
+
+// --- Profiles ---
+// Every saved input lives in a named profile, so alt accounts and before/after scenarios don't overwrite each
+// other. All profiles are stored together under one localStorage key:
+//   { version, activeId, profiles: [{ id, name, data }] }
+// and exported in the same shape (minus ids) as a versioned JSON file. `version` is the layout of `data`; older
+// layouts are brought up to date by MIGRATIONS on load and on import.
+
+export const PROFILE_FORMAT_VERSION = 2;
+export const EXPORT_FORMAT = 'rune-calculator-profiles';
+
+const STORE_KEY = 'runeCalc_profiles';
+const LEGACY_PREFIX = 'runeCalc_';
+
+// The main list's extra filters and sort key (see listRunes in core.js). Times are duration text like "1m".
+export const DEFAULT_LIST_FILTERS = { sortBy: 'chance', tags: [], sources: [], bonusTypes: [], minTime: '', maxTime: '', valueExtras: [] };
+
+export const DEFAULT_PROFILE_DATA = {
+    rawRpsInput: '1M',
+    selectedRuneName: 'Superstar',
+    currentCount: '18',
+    targetCount: '19',
+    runeSpeed: '11.9QnTg',
+    runeBulk: '57.62Qdqg',
+    runeLuck: '1',
+    includePickups: true,
+    monteCarlo: false,
+    monteCarloSeed: '1',
+    inventory: {},
+    runeFilter: '',
+    hideInstant: true,
+    sortOrder: 'asc',
+    listFilters: DEFAULT_LIST_FILTERS,
+    progressLog: [],
+    goalQueue: [],
+};
+
+const FIELD_TYPES = {
+    rawRpsInput: 'string',
+    selectedRuneName: 'string',
+    currentCount: 'string',
+    targetCount: 'string',
+    runeSpeed: 'string',
+    runeBulk: 'string',
+    runeLuck: 'string',
+    includePickups: 'boolean',
+    monteCarlo: 'boolean',
+    monteCarloSeed: 'string',
+    inventory: 'object',
+    runeFilter: 'string',
+    hideInstant: 'boolean',
+    sortOrder: 'string',
+    listFilters: 'object',
+    progressLog: 'array',
+    goalQueue: 'array',
+};
+
+// Layout 0 is the flat runeCalc_* keys used before profiles existed, where every value is a string.
+const LEGACY_FIELDS = [
+    'rawRpsInput', 'selectedRuneName', 'currentCount', 'targetCount', 'runeSpeed', 'runeBulk', 'runeLuck',
+    'includePickups', 'monteCarlo', 'monteCarloSeed', 'inventory',
+];
+
+const MIGRATIONS = {
+    // 0 -> 1: { runeCalc_runeSpeed: '1M', runeCalc_includePickups: 'true', runeCalc_inventory: '{...}' }
+    // becomes { runeSpeed: '1M', includePickups: true, inventory: {...} }.
+    0: (legacy) => {
+        const data = {};
+        for (const field of LEGACY_FIELDS) {
+            const value = legacy[`${LEGACY_PREFIX}${field}`];
+            if (typeof value !== 'string') continue;
+            if (FIELD_TYPES[field] === 'boolean') data[field] = value === 'true';
+            else if (FIELD_TYPES[field] === 'object') {
+                try {
+                    data[field] = JSON.parse(value);
+                } catch {
+                    // Unreadable inventories are dropped rather than failing the whole profile.
+                }
+            } else data[field] = value;
+        }
+        return data;
+    },
+    // 1 -> 2: same fields, plus listFilters, progressLog and goalQueue. The bump only keeps version 1 builds,
+    // which would drop those fields on their next save, from writing over a version 2 store.
+    1: (data) => data,
+};
+
+// List filters keep each setting that has the default's type (lists must hold strings); others are reset.
+export const sanitizeListFilters = (filters) => {
+    const clean = {};
+    for (const [key, fallback] of Object.entries(DEFAULT_LIST_FILTERS)) {
+        const value = filters[key];
+        const isValid = Array.isArray(fallback) ? Array.isArray(value) && value.every(item => typeof item === 'string') : typeof value === typeof fallback;
+        clean[key] = isValid ? value : fallback;
+    }
+    return clean;
+};
+
+// Goal queue steps are { runeName, targetCount } with the target as typed (blank for max).
+const sanitizeGoalQueue = (steps) => steps
+    .filter(step => typeof step?.runeName === 'string' && typeof step.targetCount === 'string')
+    .map(({ runeName, targetCount }) => ({ runeName, targetCount }));
+
+// Keeps known fields of the right type, so a hand-edited or corrupted file can't put bad values into state.
+const sanitizeData = (data) => {
+    const clean = {};
+    for (const [field, type] of Object.entries(FIELD_TYPES)) {
+        const value = data?.[field];
+        const isObject = value && typeof value === 'object' && !Array.isArray(value);
+        if (type === 'object' ? isObject : type === 'array' ? Array.isArray(value) : typeof value === type) clean[field] = value;
+    }
+    if (clean.listFilters) clean.listFilters = sanitizeListFilters(clean.listFilters);
+    if (clean.progressLog) clean.progressLog = sanitizeProgressLog(clean.progressLog);
+    if (clean.goalQueue) clean.goalQueue = sanitizeGoalQueue(clean.goalQueue);
+    return clean;
+};
+
+export const migrateProfileData = (data, fromVersion) => {
+    let current = data;
+    for (let version = fromVersion; version < PROFILE_FORMAT_VERSION; version++) current = MIGRATIONS[version](current);
+    return sanitizeData(current);
+};
+
+export const createProfileId = () => createId('p');
+
+const readLegacyKeys = (storage) => {
+    const legacy = {};
+    for (const field of LEGACY_FIELDS) {
+        const value = storage.getItem(`${LEGACY_PREFIX}${field}`);
+        if (value !== null) legacy[`${LEGACY_PREFIX}${field}`] = value;
+    }
+    return legacy;
+};
+
+// Stores and exports always carry a whole-number `version`; anything else can't be placed in the migration chain.
+const isFormatVersion = (version) => Number.isInteger(version) && version >= 0;
+
+// Loads the saved profiles, turning the pre-profile keys into a "Default" profile on first run.
+// Saved profiles this version can't read (unparsable or without a version, or from a newer version, e.g. after a
+// rollback) are never overwritten: the fallback store comes back with `readOnly` set to 'unreadable' or 'newer',
+// and saveProfileStore leaves them alone.
+export const loadProfileStore = (storage) => {
+    let readOnly = null;
+    try {
+        const saved = JSON.parse(storage.getItem(STORE_KEY));
+        const hasProfiles = saved && Array.isArray(saved.profiles) && saved.profiles.length > 0;
+        if (hasProfiles && !isFormatVersion(saved.version)) {
+            console.warn('Ignoring saved profiles without a format version.');
+            readOnly = 'unreadable';
+        } else if (hasProfiles && saved.version > PROFILE_FORMAT_VERSION) readOnly = 'newer';
+        else if (hasProfiles) {
+            const profiles = saved.profiles.map(profile => ({
+                id: typeof profile.id === 'string' ? profile.id : createProfileId(),
+                name: typeof profile.name === 'string' && profile.name ? profile.name : 'Unnamed',
+                data: migrateProfileData(profile.data, saved.version),
+            }));
+            const activeId = profiles.some(profile => profile.id === saved.activeId) ? saved.activeId : profiles[0].id;
+            return { version: PROFILE_FORMAT_VERSION, activeId, profiles };
+        }
+    } catch (error) {
+        console.warn('Ignoring unreadable saved profiles.', error);
+        readOnly = 'unreadable';
+    }
+    const id = createProfileId();
+    const store = { version: PROFILE_FORMAT_VERSION, activeId: id, profiles: [{ id, name: 'Default', data: migrateProfileData(readLegacyKeys(storage), 0) }] };
+    return readOnly ? { ...store, readOnly } : store;
+};
+
+export const saveProfileStore = (storage, store) => {
+    if (!store.readOnly) storage.setItem(STORE_KEY, JSON.stringify(store));
+};
+
+export const getActiveProfile = (store) => store.profiles.find(profile => profile.id === store.activeId) || store.profiles[0];
+
+// `name`, or `name (2)`, `name (3)`... if another profile already uses it.
+export const uniqueProfileName = (store, name) => {
+    const taken = new Set(store.profiles.map(profile => profile.name));
+    if (!taken.has(name)) return name;
+    let suffix = 2;
+    while (taken.has(`${name} (${suffix})`)) suffix++;
+    return `${name} (${suffix})`;
+};
+
+export const updateProfileData = (store, id, data) => ({
+    ...store,
+    profiles: store.profiles.map(profile => (profile.id === id ? { ...profile, data: sanitizeData(data) } : profile)),
+});
+
+export const exportProfiles = (store) => JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: PROFILE_FORMAT_VERSION,
+    exportedAt: new Date().toISOString(),
+    profiles: store.profiles.map(({ name, data }) => ({ name, data })),
+}, null, 2);
+
+/**
+ * Reads an exported profiles file into [{ name, data }], migrating older layouts. Also accepts a plain object of
+ * the pre-profile runeCalc_* keys (e.g. copied out of another browser's localStorage) as a single profile.
+ * Throws an Error with a readable message when the file can't be used.
+ */
+export const parseProfileImport = (text) => {
+    let parsed;
+    try {
+        parsed = JSON.parse(text);
+    } catch {
+        throw new Error('The file isn\'t valid JSON.');
+    }
+    if (parsed?.format === EXPORT_FORMAT) {
+        if (!isFormatVersion(parsed.version)) throw new Error('The file doesn\'t say which profile format it uses.');
+        if (parsed.version > PROFILE_FORMAT_VERSION) {
+            throw new Error(`The file was made by a newer version of the calculator (profile format ${parsed.version}).`);
+        }
+        if (!Array.isArray(parsed.profiles) || parsed.profiles.length === 0) throw new Error('The file has no profiles.');
+        return parsed.profiles.map((profile, index) => ({
+            name: typeof profile?.name === 'string' && profile.name ? profile.name : `Imported ${index + 1}`,
+            data: migrateProfileData(profile?.data, parsed.version),
+        }));
+    }
+    if (parsed && typeof parsed === 'object' && Object.keys(parsed).some(key => key.startsWith(LEGACY_PREFIX))) {
+        return [{ name: 'Imported', data: migrateProfileData(parsed, 0) }];
+    }
+    throw new Error('The file isn\'t a Rune Calculator profile export.');
+};
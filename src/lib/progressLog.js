@@ -0,0 +1,132 @@
+import { BigNum } from './bigNumber.js';
+import { ownedCount } from './aggregation.js';
+import { effectiveChance } from './luck.js';
+import { planCompounding } from './core.js';
+import { calculateCompoundingTime } from './simulation.js';
+
+// --- Progress Log & Calibration ---
+// Timestamped snapshots of the owned rune counts and in-game Rune Speed, Bulk and Luck, recorded while playing.
+// Between two snapshots, the rarest rune gained in each source is taken as the one farmed, and the others gained
+// there as the runes picked up alongside it, as the "Time to..." tabs model them. The compounding solver, started
+// from the first snapshot, predicts how long the farmed copies should have taken; comparing that with the time
+// in between across the log measures the model's error per rune and per source. When several sources gained
+// copies in one window, its time is split between them in proportion to their predictions, since the log can't
+// tell how it was divided, so every window's time counts once.
+
+export const REPORT_FORMAT = 'rune-calculator-calibration';
+
+// Below this many copies, random drops swamp the model's error, so results are flagged as rough.
+export const MIN_RELIABLE_COPIES = 10;
+
+const isStat = (value) => typeof value === 'string' && BigNum.parse(value) !== null;
+
+const isSnapshot = (snapshot) => Boolean(snapshot) && Number.isFinite(snapshot.at)
+    && Boolean(snapshot.counts) && typeof snapshot.counts === 'object' && !Array.isArray(snapshot.counts)
+    && Object.values(snapshot.counts).every(count => Number.isFinite(count) && count >= 0)
+    && isStat(snapshot.speed) && isStat(snapshot.bulk) && isStat(snapshot.luck);
+
+// Keeps well-formed snapshots, oldest first, so a hand-edited profile can't break the calibration.
+export const sanitizeProgressLog = (log) => (Array.isArray(log) ? log.filter(isSnapshot).sort((a, b) => a.at - b.at) : []);
+
+/**
+ * A snapshot of the current state: owned counts from `inventory` (runes with none are left out) and the
+ * in-game `speed`, `bulk` and `luck` (BigNums or numbers), stored as strings so they survive JSON.
+ */
+export const createSnapshot = ({ runes, inventory, speed, bulk, luck, at = Date.now() }) => ({
+    at,
+    counts: Object.fromEntries(runes.map(rune => [rune.name, ownedCount(inventory, rune.name)]).filter(([, count]) => count > 0)),
+    speed: BigNum.from(speed).toString(),
+    bulk: BigNum.from(bulk).toString(),
+    luck: BigNum.from(luck).toString(),
+});
+
+// Totals a group of observations: `error` is how far off the model's time was ((predicted - observed) /
+// observed, so -0.2 means it promised 20% less time than it took) and `factor` what to multiply its times by.
+const summarize = (observations) => {
+    const observed = observations.reduce((sum, entry) => sum + entry.observed, 0);
+    const predicted = observations.reduce((sum, entry) => sum.add(entry.predicted), BigNum.ZERO);
+    const gained = observations.reduce((sum, entry) => sum + entry.gained, 0);
+    return {
+        windows: observations.length,
+        gained,
+        observed,
+        predicted,
+        error: predicted.sub(observed).div(observed).toNumber(),
+        factor: BigNum.from(observed).div(predicted).toNumber(),
+        isRough: gained < MIN_RELIABLE_COPIES,
+    };
+};
+
+const groupBy = (observations, key) => {
+    const groups = new Map();
+    for (const entry of observations) groups.set(entry[key], [...(groups.get(entry[key]) || []), entry]);
+    return [...groups.entries()].map(([name, entries]) => ({ name, ...summarize(entries) }));
+};
+
+// The rune farmed in each source between two snapshots (the rarest one gained), with the others gained there.
+const farmedRunes = (runes, before, after) => {
+    const bySource = new Map();
+    for (const rune of runes) {
+        if (typeof rune.chance !== 'number' || ownedCount(after.counts, rune.name) - ownedCount(before.counts, rune.name) < 1) continue;
+        bySource.set(rune.source, [...(bySource.get(rune.source) || []), rune]);
+    }
+    const luck = BigNum.from(before.luck);
+    // Rarer at the luck rolled with, or among runes luck has floored at 1/1, by listed chance.
+    const isRarer = (rune, other) => {
+        const order = effectiveChance(rune, luck).cmp(effectiveChance(other, luck));
+        return order > 0 || (order === 0 && rune.chance > other.chance);
+    };
+    return [...bySource.values()].map(gained => {
+        const target = gained.reduce((rarest, rune) => (isRarer(rune, rarest) ? rune : rarest));
+        return { target, pickups: gained.filter(rune => rune !== target) };
+    });
+};
+
+/**
+ * Compares the `log` (snapshots, see createSnapshot) against the compounding solver for `runes`. Returns
+ * { observations, byRune, bySource, overall }: one observation { rune, source, pickups, from, to, fromCount,
+ * toCount, gained, observed, predicted } per source and pair of consecutive snapshots in which it gained copies
+ * (`rune` being the one farmed and `pickups` the names of the others gained, times in seconds), and their
+ * summaries (see summarize) per rune, per source and overall (null without observations).
+ */
+export const calibrateModel = ({ runes, log }, onProgress = () => {}) => {
+    const snapshots = sanitizeProgressLog(log);
+    const observations = [];
+    for (let i = 1; i < snapshots.length; i++) {
+        const [before, after] = [snapshots[i - 1], snapshots[i]];
+        const observed = (after.at - before.at) / 1000;
+        if (observed <= 0) continue;
+        const windowObservations = [];
+        for (const { target, pickups } of farmedRunes(runes, before, after)) {
+            const fromCount = ownedCount(before.counts, target.name);
+            const toCount = ownedCount(after.counts, target.name);
+            const { payload } = planCompounding(runes, {
+                runeName: target.name, currentCount: fromCount, targetCount: toCount,
+                speed: BigNum.from(before.speed), bulk: BigNum.from(before.bulk), luck: BigNum.from(before.luck), inventory: before.counts,
+            });
+            if (!payload) continue;
+            const { startCount, endCount, initialSpeed, initialBulk, initialLuck, companions } = payload;
+            const { totalTime } = calculateCompoundingTime(payload.rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, companions, seriesPoints: 0 });
+            if (!totalTime.isFinite() || totalTime.lte(0)) continue;
+            windowObservations.push({
+                rune: target.name, source: target.source, pickups: pickups.map(rune => rune.name), from: before.at, to: after.at,
+                fromCount, toCount, gained: toCount - fromCount, predicted: totalTime,
+            });
+        }
+        const predictedTotal = windowObservations.reduce((sum, entry) => sum.add(entry.predicted), BigNum.ZERO);
+        for (const entry of windowObservations) {
+            const share = windowObservations.length === 1 ? 1 : entry.predicted.div(predictedTotal).toNumber();
+            observations.push({ ...entry, observed: observed * share });
+        }
+        onProgress(i / (snapshots.length - 1));
+    }
+    return {
+        observations,
+        byRune: groupBy(observations, 'rune'),
+        bySource: groupBy(observations, 'source'),
+        overall: observations.length > 0 ? summarize(observations) : null,
+    };
+};
+
+// The log and its calibration as a JSON file, ready to attach to feedback.
+export const exportCalibrationReport = (log, calibration, version) => JSON.stringify({ format: REPORT_FORMAT, appVersion: version, log, calibration }, null, 2);
@@ -0,0 +1,49 @@
+import { BigNum } from './bigNumber.js';
+import { ownedCount } from './aggregation.js';
+import { getRuneMaxCount } from './caps.js';
+import { projectStats } from './formulas.js';
+
+// --- Return on Investment ---
+// How much one more copy of a rune speeds farming up, per second it takes to get. Gains use the same modifier
+// semantics as the compounding solver (projectStats), so a x1.5 Rune Speed rune is worth 50% more RPS, while a
+// rune that only grants Walkspeed is worth nothing.
+
+// Stats besides RPS whose gain can optionally count towards a rune's value.
+export const VALUE_EXTRAS = ['runeLuck', 'tickets'];
+
+/**
+ * The relative gain from one more copy of `rune` with `count` owned, as { rps, runeLuck, tickets } ratios minus
+ * one (0.5 is 50% more). `speed`, `bulk` and `luck` are the current in-game stats, which additive bonuses are
+ * measured against. The account's tickets aren't known, so only ticket multipliers register. A maxed rune
+ * gains nothing.
+ */
+export const nextCopyGain = (rune, count, { speed, bulk, luck = 1 }) => {
+    const maxCount = getRuneMaxCount(rune);
+    if (!Number.isNaN(maxCount) && count >= maxCount) return { rps: BigNum.ZERO, runeLuck: BigNum.ZERO, tickets: BigNum.ZERO };
+
+    const before = { runeSpeed: BigNum.from(speed), runeBulk: BigNum.from(bulk), runeLuck: BigNum.from(luck) };
+    const after = projectStats(rune, before, count, count + 1);
+    const ticketBonuses = (rune.bonuses || []).filter(bonus => bonus.type === 'tickets' && bonus.modifier === 'multiplier');
+    const tickets = projectStats({ bonuses: ticketBonuses }, { tickets: BigNum.ONE }, count, count + 1).tickets;
+    return {
+        rps: after.runeSpeed.mul(after.runeBulk).div(before.runeSpeed.mul(before.runeBulk)).sub(1),
+        runeLuck: after.runeLuck.div(before.runeLuck).sub(1),
+        tickets: tickets.sub(1),
+    };
+};
+
+/**
+ * A rune's value: the combined gain of its next copy per second it takes (`time`), or null for runes that
+ * can't be rolled. Gains combine by product, so +10% RPS and +10% Rune Luck with `extras` ['runeLuck'] is
+ * +21%. Returns { gain, value }, where `gain` is that combined ratio minus one.
+ */
+export const runeValue = (rune, { time, stats, inventory = {}, extras = [] }) => {
+    if (typeof rune.chance !== 'number') return { gain: null, value: null };
+    const gains = nextCopyGain(rune, ownedCount(inventory, rune.name), stats);
+    const gain = extras
+        .filter(extra => VALUE_EXTRAS.includes(extra))
+        .reduce((total, extra) => total.mul(gains[extra].add(1)), gains.rps.add(1))
+        .sub(1);
+    const seconds = BigNum.from(time);
+    return { gain, value: seconds.gt(0) && seconds.isFinite() ? gain.div(seconds) : BigNum.ZERO };
+};
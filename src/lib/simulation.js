@@ -0,0 +1,191 @@
+import { BigNum } from './bigNumber.js';
+import { isSimulatedBonus, projectStats, statGrowthEndCount } from './formulas.js';
+import { bonusGrowthEndCount, getRuneMaxCount } from './caps.js';
+import { effectiveChance, isAffectedByLuck, normalizeLuck } from './luck.js';
+import { boostedTime } from './boosts.js';
+
+// --- Compounding Solver ---
+// Time to go from `startCount` to `endCount` copies of a rune is the sum of chance / RPS over every copy, with
+// RPS re-evaluated after each one. Instead of visiting millions of copies one by one, the solver walks the range
+// in chunks: across a chunk RPS is treated as growing geometrically (exact for multiplicative and formula
+// bonuses), which turns the chunk's time into a closed-form geometric series. Chunk sizes double while a
+// midpoint check confirms the geometric assumption holds and shrink when it doesn't (e.g. additive bonuses),
+// and chunks never straddle a bonus hitting its cap. Past the last cap, RPS is constant and the rest is a
+// single multiplication.
+// Rune Luck counts towards the rate for runes it applies to, divided into their chance (down to 1/1).
+// The chunk boundaries double as the growth timeline: they're dense where RPS changes pace and sparse where it
+// doesn't, so a downsampled pick of them (plus a few points across the constant tail) traces the whole run.
+// Timed boosts don't change any of this: the run is solved at unboosted rates and its times are then mapped to
+// wall-clock time (boostedTime in boosts.js).
+
+const SIMULATED_STATS = ['runeSpeed', 'runeBulk', 'runeLuck'];
+const LOG_TOLERANCE = 1e-6; // Allowed error (in log10 of RPS) at a chunk's midpoint.
+const PROGRESS_INTERVAL = 64; // Chunks between progress callbacks.
+const SERIES_POINTS = 100; // Default size of the returned growth series.
+const TAIL_POINTS = 20; // Timeline points spread (geometrically) over the constant tail.
+
+// log10 of sum_{j=0}^{length-1} q^-j, where ln(q) = lnRatio.
+export const logGeometricSum = (lnRatio, length) => {
+    if (Math.abs(lnRatio) < 1e-15) return Math.log10(length);
+    if (lnRatio > 0) return Math.log10(Math.expm1(-lnRatio * length) / Math.expm1(-lnRatio));
+    // Shrinking RPS: the sum is dominated by its last term, so work in log space to avoid overflow.
+    const ln = -lnRatio * (length - 1) + Math.log(-Math.expm1(lnRatio * length)) - Math.log(-Math.expm1(lnRatio));
+    return ln / Math.LN10;
+};
+
+const simulatedBonuses = (rune) => (rune.bonuses || []).filter(bonus => SIMULATED_STATS.includes(bonus.type) && isSimulatedBonus(bonus));
+
+// Other runes rolled alongside the target. Getting one copy of the target takes `chance` rolls on average, so
+// every target copy also brings chance(target) / chance(other) copies of each companion; their counts are
+// therefore a fixed function of the target's count, up to each companion's max. Both chances are the ones rolled
+// at `luck`: luck divides them alike until one hits its 1/1 floor (or a rune ignores luck), which shifts the ratio.
+export const expectedPickups = (rune, other, gained, luck = 1) => effectiveChance(rune, luck).div(effectiveChance(other, luck)).toNumber() * gained;
+
+const buildCompanions = (rune, startCount, companions, luck) => companions
+    .filter(companion => companion.rune && companion.rune.name !== rune.name && simulatedBonuses(companion.rune).length > 0)
+    .map(({ rune: other, startCount: otherStart = 0 }) => {
+        const maxCount = getRuneMaxCount(other);
+        const perTarget = expectedPickups(rune, other, 1, luck);
+        return { rune: other, startCount: otherStart, perTarget, maxCount: Number.isNaN(maxCount) ? Infinity : maxCount };
+    })
+    .filter(companion => companion.perTarget > 0 && companion.startCount < companion.maxCount);
+
+const companionCountAt = (companion, startCount, count) => {
+    const expected = Math.min(companion.maxCount, companion.startCount + (count - startCount) * companion.perTarget);
+    return Number.isFinite(expected) ? expected : Number.MAX_VALUE;
+};
+
+// Target count at which a companion reaches `companionCount`.
+const targetCountFor = (companion, startCount, companionCount) => startCount + Math.ceil((companionCount - companion.startCount) / companion.perTarget);
+
+// Target counts at which some speed/bulk/luck bonus (of the target or a companion) stops growing, i.e. where RPS
+// growth changes pace, plus the count after which nothing grows any more.
+const growthSchedule = (rune, startCount, endCount, companions) => {
+    const points = simulatedBonuses(rune).map(bonusGrowthEndCount);
+    let growthEnd = statGrowthEndCount(rune, SIMULATED_STATS);
+    for (const companion of companions) {
+        const bonusEnds = simulatedBonuses(companion.rune).map(bonusGrowthEndCount);
+        const toTargetCount = end => (Number.isFinite(end) ? targetCountFor(companion, startCount, end) : Infinity);
+        points.push(...[...bonusEnds, companion.maxCount].filter(end => end > companion.startCount).map(toTargetCount));
+        const companionEnd = Math.min(companion.maxCount, Math.max(...bonusEnds));
+        if (companionEnd > companion.startCount) growthEnd = Math.max(growthEnd, toTargetCount(companionEnd));
+    }
+    const breakpoints = [...new Set(points.filter(count => count > startCount && count < endCount))].sort((a, b) => a - b);
+    return { breakpoints, growthEnd };
+};
+
+// Evenly picks up to `points` timeline entries (always keeping the first and last) and adds the stats at each.
+const buildSeries = (timeline, points, statsAt) => {
+    if (points <= 0 || timeline.length === 0) return [];
+    const picked = new Set();
+    const last = timeline.length - 1;
+    for (let i = 0; i < points; i++) picked.add(points === 1 ? last : Math.round((i * last) / (points - 1)));
+    return [...picked].sort((a, b) => a - b).map(index => {
+        const { count, time } = timeline[index];
+        const stats = statsAt(count);
+        return { count, time, speed: stats.runeSpeed, bulk: stats.runeBulk, rps: stats.runeSpeed.mul(stats.runeBulk) };
+    });
+};
+
+/**
+ * Solves the compounding time for a single rune.
+ * `luck` is the in-game Rune Luck at `startCount`, and grows with the rune's luck bonuses like speed and bulk.
+ * `companions` ([{ rune, startCount }]) are other runes picked up along the way, whose bonuses also count.
+ * `onProgress(fraction)` is called periodically. `onChunk(logTime, lnRatio, length)` receives every chunk the total is built from:
+ * `length` copies, the first taking 10^logTime seconds and each next one taking e^-lnRatio times as long.
+ * Returns { totalTime, finalRps, companionCounts, series }, where companionCounts maps each companion to its
+ * expected final count and series is up to `seriesPoints` samples of { count, time, speed, bulk, rps } from
+ * `startCount` to `endCount` (`time` being the time elapsed to reach `count`). Pass `seriesPoints: 0` to skip it.
+ * `boosts` are rate segments from boostSegments; they apply to totalTime and the series, but not to chunks.
+ */
+export const calculateCompoundingTime = (rune, startCount, endCount, initialSpeed, initialBulk, { luck = 1, companions = [], boosts = [], seriesPoints = SERIES_POINTS, onProgress, onChunk } = {}) => {
+    if (!rune || !rune.bonuses) return { totalTime: BigNum.INFINITY, finalRps: BigNum.ZERO, companionCounts: {}, series: [] };
+
+    const logChance = BigNum.from(rune.chance).log10();
+    const baseStats = { runeSpeed: BigNum.from(initialSpeed), runeBulk: BigNum.from(initialBulk), runeLuck: normalizeLuck(luck) };
+    const activeCompanions = buildCompanions(rune, startCount, companions, baseStats.runeLuck);
+    const statsAt = (count) => {
+        if (count === startCount) return baseStats;
+        return activeCompanions.reduce(
+            (current, companion) => projectStats(companion.rune, current, companion.startCount, companionCountAt(companion, startCount, count)),
+            projectStats(rune, baseStats, startCount, count)
+        );
+    };
+    // log10 of the rate in listed-chance rolls per second: RPS, scaled up by however much luck eases the chance.
+    const logRateAt = (count) => {
+        const stats = statsAt(count);
+        const logRps = stats.runeSpeed.mul(stats.runeBulk).log10();
+        if (!isAffectedByLuck(rune)) return logRps;
+        return logRps + logChance - Math.max(logChance - stats.runeLuck.log10(), Math.min(logChance, 0));
+    };
+    const rpsAt = (count) => {
+        const stats = statsAt(count);
+        return stats.runeSpeed.mul(stats.runeBulk);
+    };
+    const companionCountsAt = (count) => Object.fromEntries(activeCompanions.map(companion => [companion.rune.name, companionCountAt(companion, startCount, count)]));
+
+    const { breakpoints, growthEnd } = growthSchedule(rune, startCount, endCount, activeCompanions);
+    const span = endCount - startCount;
+    let totalTime = BigNum.ZERO;
+    let count = startCount;
+    let logRate = logRateAt(count);
+    let chunk = 1;
+    let chunks = 0;
+    const timeline = seriesPoints > 0 ? [{ count, time: totalTime }] : null;
+
+    while (count < endCount) {
+        if (!(logRate > -Infinity)) return { totalTime: BigNum.INFINITY, finalRps: BigNum.ZERO, companionCounts: companionCountsAt(count), series: [] };
+        if (!Number.isFinite(logRate)) break;
+
+        // Every speed/bulk/luck bonus has capped, so the remaining copies all take the same time.
+        if (count >= growthEnd) {
+            const timePerCopy = BigNum.fromLog10(logChance - logRate);
+            if (timeline) {
+                const from = Math.max(count, 1);
+                for (let i = 1; i < TAIL_POINTS; i++) {
+                    const point = Math.round(from * (endCount / from) ** (i / TAIL_POINTS));
+                    if (point > timeline[timeline.length - 1].count && point < endCount) timeline.push({ count: point, time: totalTime.add(timePerCopy.mul(point - count)) });
+                }
+            }
+            totalTime = totalTime.add(timePerCopy.mul(endCount - count));
+            onChunk?.(logChance - logRate, 0, endCount - count);
+            timeline?.push({ count: endCount, time: totalTime });
+            count = endCount;
+            break;
+        }
+        const limit = Math.min(endCount, breakpoints.find(point => point > count) ?? endCount);
+        let length = Math.max(1, Math.min(chunk, limit - count));
+        let logRateEnd = logRateAt(count + length);
+        let shrunk = false;
+        while (length > 1) {
+            const half = Math.floor(length / 2);
+            const expected = logRate + (logRateEnd - logRate) * (half / length);
+            if (Math.abs(logRateAt(count + half) - expected) <= LOG_TOLERANCE) break;
+            length = half;
+            logRateEnd = logRateAt(count + length);
+            shrunk = true;
+        }
+
+        const lnRatio = ((logRateEnd - logRate) * Math.LN10) / length;
+        const logChunkTime = logChance - logRate + (length === 1 ? 0 : logGeometricSum(lnRatio, length));
+        totalTime = totalTime.add(BigNum.fromLog10(logChunkTime));
+        onChunk?.(logChance - logRate, lnRatio, length);
+
+        count += length;
+        logRate = logRateEnd;
+        timeline?.push({ count, time: totalTime });
+        chunk = shrunk ? length : chunk * 2;
+
+        chunks++;
+        if (chunks % PROGRESS_INTERVAL === 0) onProgress?.((count - startCount) / span);
+    }
+
+    onProgress?.(1);
+    const series = timeline ? buildSeries(timeline, seriesPoints, statsAt) : [];
+    return {
+        totalTime: boostedTime(totalTime, boosts),
+        finalRps: rpsAt(count),
+        companionCounts: companionCountsAt(endCount),
+        series: series.map(point => ({ ...point, time: boostedTime(point.time, boosts) })),
+    };
+};
@@ -0,0 +1,86 @@
+import { BigNum } from './bigNumber.js';
+import { projectStats } from './formulas.js';
+import { getRuneMaxCount } from './caps.js';
+import { ownedCount } from './aggregation.js';
+import { normalizeLuck } from './luck.js';
+import { calculateCompoundingTime, expectedPickups } from './simulation.js';
+
+// --- Source Simulation ---
+// Every roll in a source can produce any of its runes, so after `rolls` rolls each rune has gained
+// rolls / chance copies (up to its max). The whole source therefore advances along a single axis: the solver runs
+// on a virtual rune with the source's commonest chance, and every real rune rides along as a companion. Times
+// come from the solver directly; the state after a duration is found by searching for the roll count whose
+// time matches it.
+
+const SEARCH_STEPS = 40;
+const MAX_LOG_ROLLS = 308;
+
+// Rolls are counted in copies of the commonest rune, so luck eases (and caps) them just like that rune.
+const rollCounterFor = (source, runes) => ({
+    name: `${source} rolls`,
+    source,
+    chance: Math.min(...runes.map(rune => rune.chance)),
+    ignoresLuck: runes.every(rune => rune.ignoresLuck),
+    bonuses: [],
+});
+
+/**
+ * Advances every rune of `source` together for `duration` seconds from the given inventory and stats.
+ * Returns { runes, inventory, stats, finalRps }:
+ *   runes     - [{ name, startCount, count, maxCount, timeToMax }], timeToMax null for runes with no max.
+ *   inventory - the inventory afterwards.
+ *   stats     - { runeSpeed, runeBulk, runeLuck } afterwards, from everything gained along the way.
+ */
+export const simulateSource = ({ runes, source, inventory, speed, bulk, luck, duration }, onProgress = () => {}) => {
+    const sourceRunes = (runes || []).filter(rune => rune.source === source && typeof rune.chance === 'number');
+    const baseStats = { runeSpeed: BigNum.from(speed), runeBulk: BigNum.from(bulk), runeLuck: normalizeLuck(luck) };
+    const empty = { runes: [], inventory: { ...inventory }, stats: baseStats, finalRps: baseStats.runeSpeed.mul(baseStats.runeBulk) };
+    if (sourceRunes.length === 0) return empty;
+
+    const counter = rollCounterFor(source, sourceRunes);
+    const companions = sourceRunes.map(rune => ({ rune, startCount: ownedCount(inventory, rune.name) }));
+    const timeForRolls = (rolls) => (!Number.isFinite(rolls) ? BigNum.INFINITY : calculateCompoundingTime(counter, 0, rolls, baseStats.runeSpeed, baseStats.runeBulk, { luck: baseStats.runeLuck, companions, seriesPoints: 0 }).totalTime);
+    const countAfter = ({ rune, startCount }, rolls) => {
+        const maxCount = getRuneMaxCount(rune);
+        const count = startCount + expectedPickups(counter, rune, rolls, baseStats.runeLuck);
+        return Number.isNaN(maxCount) ? count : Math.min(maxCount, count);
+    };
+
+    // Largest roll count reached within the duration, searched in log space.
+    const target = BigNum.from(duration);
+    let low = -Infinity;
+    let high = 0;
+    while (high < MAX_LOG_ROLLS && timeForRolls(10 ** high).lt(target)) {
+        low = high;
+        high = Math.min(MAX_LOG_ROLLS, high + 16);
+    }
+    for (let step = 0; step < SEARCH_STEPS && low !== -Infinity; step++) {
+        const mid = (low + high) / 2;
+        if (timeForRolls(10 ** mid).lt(target)) low = mid;
+        else high = mid;
+        onProgress((step + 1) / (SEARCH_STEPS + companions.length));
+    }
+    const rolls = low === -Infinity ? 0 : 10 ** low;
+
+    const results = companions.map((companion, index) => {
+        const maxCount = getRuneMaxCount(companion.rune);
+        const rollsToMax = (maxCount - companion.startCount) / expectedPickups(counter, companion.rune, 1, baseStats.runeLuck);
+        onProgress((SEARCH_STEPS + index + 1) / (SEARCH_STEPS + companions.length));
+        return {
+            name: companion.rune.name,
+            startCount: companion.startCount,
+            count: countAfter(companion, rolls),
+            maxCount: Number.isNaN(maxCount) ? null : maxCount,
+            timeToMax: Number.isNaN(maxCount) ? null : rollsToMax > 0 ? timeForRolls(rollsToMax) : BigNum.ZERO,
+        };
+    });
+
+    const stats = companions.reduce((current, { rune, startCount }, index) => projectStats(rune, current, startCount, results[index].count), baseStats);
+    onProgress(1);
+    return {
+        runes: results,
+        inventory: { ...inventory, ...Object.fromEntries(results.map(result => [result.name, result.count])) },
+        stats,
+        finalRps: stats.runeSpeed.mul(stats.runeBulk),
+    };
+};
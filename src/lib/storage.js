@@ -0,0 +1,16 @@
+// --- Device Storage ---
+// Helpers for what the app keeps in localStorage on this device: custom runes, boosts, goals and profiles.
+
+/** Reads the JSON array under `key`, keeping the items `isValid` accepts. Missing or unreadable data reads as []. */
+export const loadStoredList = (storage, key, isValid) => {
+    try {
+        const saved = JSON.parse(storage.getItem(key));
+        return Array.isArray(saved) ? saved.filter(isValid) : [];
+    } catch (error) {
+        console.warn(`Ignoring unreadable ${key}.`, error);
+        return [];
+    }
+};
+
+// Short ids that are unique enough per device, e.g. "b" + time + random for a boost.
+export const createId = (prefix) => `${prefix}${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
@@ -0,0 +1,105 @@
+// --- Shareable URL State ---
+// The calculator's inputs are encoded into the URL hash so a link reproduces them exactly:
+//   #s=1.<base64url JSON>&rune=<rune name>
+// The leading number versions the format; links in an unknown version are ignored rather than misread.
+// `rune` optionally points at a single card on the main list.
+
+const STATE_VERSION = 1;
+
+// Short keys keep links compact. Append new fields here; never reuse or rename a key within a version.
+const FIELD_KEYS = {
+    activeTab: 't',
+    rawRpsInput: 'r',
+    runeSpeed: 'sp',
+    runeBulk: 'b',
+    runeLuck: 'l',
+    selectedRuneName: 'n',
+    currentCount: 'c',
+    targetCount: 'g',
+    runeFilter: 'f',
+    sortOrder: 'o',
+    hideInstant: 'h',
+    listFilters: 'lf',
+};
+
+// The main list's filters and sort key (DEFAULT_LIST_FILTERS in profiles.js), nested under `lf`.
+const LIST_FILTER_KEYS = {
+    sortBy: 's',
+    tags: 't',
+    sources: 'so',
+    bonusTypes: 'bt',
+    minTime: 'mn',
+    maxTime: 'mx',
+    valueExtras: 'v',
+};
+
+const isEmpty = (value) => value === undefined || value === null || value === '' || (Array.isArray(value) && value.length === 0);
+
+const compactFields = (values, keys) => {
+    const compact = {};
+    for (const [field, key] of Object.entries(keys)) {
+        if (!isEmpty(values[field])) compact[key] = values[field];
+    }
+    return compact;
+};
+
+const expandFields = (compact, keys) => {
+    const values = {};
+    for (const [field, key] of Object.entries(keys)) {
+        if (key in compact) values[field] = compact[key];
+    }
+    return values;
+};
+
+const toBase64Url = (text) => {
+    const bytes = new TextEncoder().encode(text);
+    const binary = Array.from(bytes, byte => String.fromCharCode(byte)).join('');
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (encoded) => {
+    const binary = atob(encoded.replace(/-/g, '+').replace(/_/g, '/'));
+    return new TextDecoder().decode(Uint8Array.from(binary, char => char.charCodeAt(0)));
+};
+
+export const encodeAppState = (state) => {
+    const compact = compactFields({ ...state, listFilters: state.listFilters && compactFields(state.listFilters, LIST_FILTER_KEYS) }, FIELD_KEYS);
+    return `${STATE_VERSION}.${toBase64Url(JSON.stringify(compact))}`;
+};
+
+// Returns the fields encoded in a state string, or null if it's malformed or from an unknown version.
+export const decodeAppState = (encoded) => {
+    const match = typeof encoded === 'string' && encoded.match(/^(\d+)\.([A-Za-z0-9_-]*)$/);
+    if (!match || Number(match[1]) !== STATE_VERSION) return null;
+    try {
+        const compact = JSON.parse(fromBase64Url(match[2]));
+        if (!compact || typeof compact !== 'object') return null;
+        const state = expandFields(compact, FIELD_KEYS);
+        if (state.listFilters && typeof state.listFilters === 'object') state.listFilters = expandFields(state.listFilters, LIST_FILTER_KEYS);
+        else delete state.listFilters;
+        return state;
+    } catch {
+        return null;
+    }
+};
+
+// Reads { state, runeName } from a location's hash; either may be null.
+export const readUrlState = (location) => {
+    const params = new URLSearchParams((location?.hash || '').replace(/^#/, ''));
+    return { state: decodeAppState(params.get('s')), runeName: params.get('rune') };
+};
+
+export const buildShareUrl = (location, state, { runeName } = {}) => {
+    const params = new URLSearchParams({ s: encodeAppState(state) });
+    if (runeName) params.set('rune', runeName);
+    return `${location.origin}${location.pathname}${location.search}#${params.toString()}`;
+};
+
+// Keeps the address bar in step with the inputs without adding history entries.
+export const writeUrlState = (state) => {
+    const url = buildShareUrl(window.location, state);
+    if (url !== window.location.href) window.history.replaceState(null, '', url);
+};
+
+// DOM id of a rune's card on the main list.
+export const runeCardId = (runeName) => `rune-${runeName.toLowerCase().replace(/[^a-z0-9]+/g, '-')}`;
@@ -0,0 +1,203 @@
+import { KNOWN_BONUS_TYPES, KNOWN_TAGS, runesSchema, scalesSchema } from './dataSchema.js';
+import { SIMULATED_MODIFIERS, hasFormula } from './formulas.js';
+
+// --- Data Validation ---
+// Checks runes.json and scales.json against the schemas in dataSchema.js, then looks for entries that are
+// well-formed but that the calculators can't use as-is. Every issue is { level, path, message, rune? }:
+//   'error'   - malformed data the app will misread or ignore.
+//   'warning' - unsupported or ambiguous data the calculators only approximate.
+
+// Stats the "Time to..." simulations apply bonuses to.
+const SIMULATED_STATS = ['runeSpeed', 'runeBulk', 'runeLuck'];
+
+const typeOf = (value) => {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+    return typeof value;
+};
+
+const matchesType = (value, type) => {
+    const actual = typeOf(value);
+    return actual === type || (type === 'number' && actual === 'integer');
+};
+
+// Checks a value against the subset of JSON Schema used in dataSchema.js.
+const checkSchema = (value, schema, path, issues) => {
+    if (schema.anyOf) {
+        const branchIssues = schema.anyOf.map(branch => {
+            const found = [];
+            checkSchema(value, branch, path, found);
+            return found;
+        });
+        if (!branchIssues.some(found => found.length === 0)) {
+            issues.push(...branchIssues.reduce((best, found) => (found.length < best.length ? found : best)));
+        }
+        return;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        issues.push({ level: 'error', path, message: `must be one of ${schema.enum.join(', ')} (got ${JSON.stringify(value)})` });
+        return;
+    }
+    if (schema.type && !matchesType(value, schema.type)) {
+        issues.push({ level: 'error', path, message: `must be ${schema.type === 'array' || schema.type === 'object' ? 'an' : 'a'} ${schema.type} (got ${typeOf(value)})` });
+        return;
+    }
+    if (typeof value === 'number') {
+        if (!Number.isFinite(value)) issues.push({ level: 'error', path, message: 'must be a finite number' });
+        if (schema.exclusiveMinimum !== undefined && !(value > schema.exclusiveMinimum)) {
+            issues.push({ level: 'error', path, message: `must be greater than ${schema.exclusiveMinimum}` });
+        }
+    }
+    if (typeof value === 'string') {
+        if (schema.minLength && value.length < schema.minLength) issues.push({ level: 'error', path, message: 'must not be empty' });
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) issues.push({ level: 'error', path, message: `must match ${schema.pattern}` });
+    }
+    if (Array.isArray(value) && schema.items) {
+        value.forEach((item, index) => checkSchema(item, schema.items, `${path}[${index}]`, issues));
+    }
+    if (typeOf(value) === 'object') {
+        for (const key of schema.required || []) {
+            if (!(key in value)) issues.push({ level: 'error', path, message: `is missing required field "${key}"` });
+        }
+        for (const [key, child] of Object.entries(value)) {
+            const childPath = `${path}.${key}`;
+            if (schema.propertyNames?.pattern && !new RegExp(schema.propertyNames.pattern).test(key)) {
+                issues.push({ level: 'error', path: childPath, message: `key must match ${schema.propertyNames.pattern}` });
+            }
+            if (schema.properties?.[key]) {
+                checkSchema(child, schema.properties[key], childPath, issues);
+            } else if (typeof schema.additionalProperties === 'object') {
+                checkSchema(child, schema.additionalProperties, childPath, issues);
+            } else if (schema.additionalProperties === false) {
+                issues.push({ level: 'warning', path: childPath, message: 'is not a known field and will be ignored' });
+            }
+        }
+    }
+};
+
+const checkBonus = (rune, bonus, path, issues) => {
+    const warn = (message, bonusPath = path) => issues.push({ level: 'warning', path: bonusPath, message });
+    if (!bonus || typeof bonus !== 'object') return;
+
+    if (typeof bonus.type === 'string' && !KNOWN_BONUS_TYPES.includes(bonus.type)) {
+        warn(`has unknown bonus type "${bonus.type}"`);
+    }
+    const hasModifier = 'modifier' in bonus;
+    const hasValue = typeof bonus.value === 'number' || hasFormula(bonus);
+    if (hasModifier && !hasValue) {
+        issues.push({ level: 'error', path, message: 'has a modifier but no value or formula, so it can\'t be simulated' });
+    } else if (!hasModifier && hasValue) {
+        warn('has a value but no modifier, so it can\'t be simulated');
+    } else if (!hasModifier && !hasValue && !bonus.description) {
+        warn('has no modifier, value or description');
+    }
+    if (typeof bonus.max === 'string') {
+        warn(`has a free-text cap "${bonus.max}"; caps should be numbers`, `${path}.max`);
+    }
+    if (bonus.formula && !hasFormula(bonus)) {
+        issues.push({ level: 'error', path: `${path}.formula`, message: 'is not a recognised formula' });
+    }
+    if (bonus.isDualExponential) {
+        warn('is dual exponential, which the simulations can\'t model yet');
+    } else if (bonus.isExponential && !hasFormula(bonus) && SIMULATED_MODIFIERS.includes(bonus.modifier) && SIMULATED_STATS.includes(bonus.type)) {
+        warn('is exponential but has no formula; simulations treat it as a flat per-rune step');
+    }
+    if (typeof bonus.maxCount === 'number' && typeof rune.max === 'number' && bonus.maxCount > rune.max) {
+        warn(`caps at ${bonus.maxCount} runes, beyond the rune's max of ${rune.max}`, `${path}.maxCount`);
+    }
+};
+
+const checkRune = (rune, path, issues) => {
+    if (!rune || typeof rune !== 'object') return;
+    const warn = (message, warnPath = path) => issues.push({ level: 'warning', path: warnPath, message });
+
+    if (typeof rune.max === 'string') {
+        warn(`has a free-text max "${rune.max}"; use a numeric max and per-bonus maxCount`, `${path}.max`);
+    } else if (rune.max === undefined) {
+        warn('has no max count, so it isn\'t available in "Time to Max"');
+    }
+    if (typeof rune.formula === 'string') {
+        warn(`has a free-text formula "${rune.formula}"; move it to a structured bonus formula`, `${path}.formula`);
+    }
+    if (typeof rune.note === 'string' && /chance/i.test(rune.note)) {
+        warn(`has a note about its chance ("${rune.note}"), so the listed chance may not be reliable`, `${path}.note`);
+    }
+    for (const tag of rune.tags || []) {
+        if (typeof tag === 'string' && !KNOWN_TAGS.includes(tag.toLowerCase())) warn(`has unknown tag "${tag}"`, `${path}.tags`);
+    }
+    (Array.isArray(rune.bonuses) ? rune.bonuses : []).forEach((bonus, index) => checkBonus(rune, bonus, `${path}.bonuses[${index}]`, issues));
+};
+
+export const validateRunes = (runes) => {
+    const issues = [];
+    checkSchema(runes, runesSchema, 'runes', issues);
+    if (!Array.isArray(runes)) return issues;
+
+    const seenNames = new Map();
+    runes.forEach((rune, index) => {
+        const path = `runes[${index}]`;
+        const runeIssues = [];
+        checkRune(rune, path, runeIssues);
+        if (typeof rune?.name === 'string') {
+            if (seenNames.has(rune.name)) {
+                runeIssues.push({ level: 'error', path: `${path}.name`, message: `duplicates the name of runes[${seenNames.get(rune.name)}]` });
+            } else {
+                seenNames.set(rune.name, index);
+            }
+        }
+        issues.push(...runeIssues);
+    });
+
+    // Attach rune names so issues can be grouped per rune.
+    return issues.map(issue => {
+        const match = issue.path.match(/^runes\[(\d+)\]/);
+        const rune = match ? runes[Number(match[1])] : null;
+        return typeof rune?.name === 'string' ? { ...issue, rune: rune.name } : issue;
+    });
+};
+
+export const validateScales = (scales) => {
+    const issues = [];
+    checkSchema(scales, scalesSchema, 'scales', issues);
+    if (!scales || typeof scales !== 'object' || Array.isArray(scales)) return issues;
+
+    const byLowerCase = new Map();
+    for (const key of Object.keys(scales)) {
+        const lower = key.toLowerCase();
+        byLowerCase.set(lower, [...(byLowerCase.get(lower) || []), key]);
+    }
+    for (const keys of byLowerCase.values()) {
+        if (keys.length > 1) {
+            issues.push({ level: 'warning', path: 'scales', message: `suffixes ${keys.join(' and ')} differ only by case, so lowercase input is ambiguous` });
+        }
+    }
+
+    const byValue = new Map();
+    for (const [key, value] of Object.entries(scales)) {
+        const normalized = String(Number(value));
+        if (byValue.has(normalized)) {
+            issues.push({ level: 'warning', path: `scales.${key}`, message: `has the same value as "${byValue.get(normalized)}"` });
+        } else {
+            byValue.set(normalized, key);
+        }
+    }
+    return issues;
+};
+
+// Validates both files. `byRune` maps rune names to their issues for per-rune display.
+export const validateData = ({ runes, scales }) => {
+    const runeIssues = validateRunes(runes);
+    const scaleIssues = validateScales(scales);
+    const byRune = {};
+    for (const issue of runeIssues) {
+        if (issue.rune) (byRune[issue.rune] ||= []).push(issue);
+    }
+    const issues = [...runeIssues, ...scaleIssues];
+    return {
+        issues,
+        byRune,
+        errorCount: issues.filter(issue => issue.level === 'error').length,
+        warningCount: issues.filter(issue => issue.level === 'warning').length,
+    };
+};
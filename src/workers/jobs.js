@@ -0,0 +1,28 @@
+import { calculateCompoundingTime } from '../lib/simulation.js';
+import { planFarmingPath, runGoalQueue } from '../lib/optimizer.js';
+import { simulateSource } from '../lib/sourceSimulation.js';
+import { runMonteCarlo } from '../lib/monteCarlo.js';
+import { calibrateModel } from '../lib/progressLog.js';
+import { boostSegments } from '../lib/boosts.js';
+
+// --- Simulation Jobs ---
+// Every long-running calculation the UI hands to the simulation worker. Each job takes a JSON payload and a
+// progress callback and returns a JSON-serialisable result (BigNums serialise to strings; read them back with
+// BigNum.from). Timed boosts come in as scheduled (see boosts.js) and are turned into rate segments from when the
+// job starts, so payloads never carry the page's clock and a ticking clock never restarts a job.
+const jobs = {
+    compounding: ({ rune, startCount, endCount, initialSpeed, initialBulk, initialLuck, companions, boosts = [] }, onProgress) =>
+        calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, companions, boosts: boostSegments(boosts, { rune, luck: initialLuck }), onProgress }),
+    monteCarlo: ({ rune, startCount, endCount, initialSpeed, initialBulk, initialLuck, companions, boosts = [], trials, seed }, onProgress) =>
+        runMonteCarlo(rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, companions, boosts: boostSegments(boosts, { rune, luck: initialLuck }), trials, seed, onProgress }),
+    farmingPlan: (payload, onProgress) => planFarmingPath(payload, onProgress),
+    goalQueue: ({ boosts = [], ...payload }, onProgress) => runGoalQueue({ ...payload, boosts: boostSegments(boosts, { luck: payload.luck }) }, onProgress),
+    source: (payload, onProgress) => simulateSource(payload, onProgress),
+    calibration: (payload, onProgress) => calibrateModel(payload, onProgress),
+};
+
+export const runSimulationJob = (type, payload, onProgress = () => {}) => {
+    const job = jobs[type];
+    if (!job) throw new Error(`Unknown simulation job: ${type}`);
+    return JSON.parse(JSON.stringify(job(payload, onProgress)));
+};
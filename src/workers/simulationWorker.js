@@ -0,0 +1,25 @@
+import { runSimulationJob } from './jobs.js';
+
+// --- Simulation Worker ---
+// Runs simulation jobs off the UI thread. Messages in are { id, type, payload }; for each one the worker posts
+// throttled { id, type: 'progress' } updates, then a single 'result' or 'error'. Jobs are cancelled by
+// terminating the worker.
+
+const PROGRESS_THROTTLE_MS = 100;
+
+self.onmessage = ({ data: { id, type, payload } }) => {
+    let lastProgressAt = 0;
+    const onProgress = (progress) => {
+        const now = Date.now();
+        if (progress < 1 && now - lastProgressAt < PROGRESS_THROTTLE_MS) return;
+        lastProgressAt = now;
+        self.postMessage({ id, type: 'progress', progress });
+    };
+
+    try {
+        const result = runSimulationJob(type, payload, onProgress);
+        self.postMessage({ id, type: 'result', result });
+    } catch (error) {
+        self.postMessage({ id, type: 'error', error: error.message });
+    }
+};
@@ -0,0 +1,83 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { boostedTime, boostSegments, buildBoost, loadBoosts, pendingBoosts } from '../src/lib/boosts.js';
+import { listRunes, planCompounding } from '../src/lib/core.js';
+import { createNumberFormat } from '../src/lib/format.js';
+import { runMonteCarlo } from '../src/lib/monteCarlo.js';
+import { calculateCompoundingTime } from '../src/lib/simulation.js';
+import { runSimulationJob } from '../src/workers/jobs.js';
+import { assertClose, runes, scales } from './helpers.js';
+
+const now = Date.UTC(2026, 9, 19, 12);
+const minutes = (count) => count * 60 * 1000;
+const boost = (stat, factor, from, to) => ({ id: stat, stat, factor, start: now + minutes(from), end: now + minutes(to) });
+
+test('boostSegments multiplies overlapping boosts and ends with the last one', () => {
+    const segments = boostSegments([boost('runeSpeed', 2, 0, 10), boost('runeBulk', 3, 5, 20), boost('runeSpeed', 5, -20, -10)], { now });
+    assert.deepEqual(segments, [
+        { start: 0, end: 300, multiplier: 2 },
+        { start: 300, end: 600, multiplier: 6 },
+        { start: 600, end: 1200, multiplier: 3 },
+    ]);
+    assert.deepEqual(boostSegments([], { now }), []);
+    assert.deepEqual(pendingBoosts([boost('runeSpeed', 5, -20, -10)], now), []);
+});
+
+test('boostSegments values Luck boosts per rune, down to a 1/1 chance', () => {
+    const luckBoost = [boost('runeLuck', 10, 0, 10)];
+    assert.equal(boostSegments(luckBoost, { now, rune: { chance: 1e6 } })[0].multiplier, 10);
+    assert.equal(boostSegments(luckBoost, { now, rune: { chance: 1e6, ignoresLuck: true } })[0].multiplier, 1);
+    assertClose(boostSegments(luckBoost, { now, rune: { chance: 1000 }, luck: 500 })[0].multiplier, 2);
+});
+
+test('boostedTime integrates the rate over each window', () => {
+    const segments = boostSegments([boost('runeSpeed', 2, 1, 2)], { now });
+    // 60s at x1, then 60s at x2 covers 180s of work; the rest runs unboosted.
+    assertClose(boostedTime(30, segments), 30);
+    assertClose(boostedTime(120, segments), 90);
+    assertClose(boostedTime(1000, segments), 1000 - 60);
+    assert.ok(!boostedTime(Infinity, segments).isFinite());
+    assertClose(boostedTime(1000, []), 1000);
+});
+
+test('buildBoost reads the scheduler form', () => {
+    const { parseNumber } = createNumberFormat(scales);
+    const { boost: built, error } = buildBoost({ stat: 'runeLuck', factor: '2', startsIn: 600, lasts: 2400 }, parseNumber, now);
+    assert.equal(error, null);
+    assert.equal(built.factor, 2);
+    assert.equal(built.start, now + minutes(10));
+    assert.equal(built.end, now + minutes(50));
+    assert.match(buildBoost({ stat: 'runeLuck', factor: '0', startsIn: 0, lasts: 60 }, parseNumber, now).error, /above zero/);
+    assert.match(buildBoost({ stat: 'runeLuck', factor: '2', startsIn: 0, lasts: null }, parseNumber, now).error, /Lasts/);
+
+    const storage = { getItem: () => JSON.stringify([built, { stat: 'walkspeed', factor: 2, start: 0, end: 1 }]) };
+    assert.deepEqual(loadBoosts(storage), [built]);
+});
+
+test('listRunes and the compounding solver account for when boosts expire', () => {
+    const plain = listRunes(runes, { rps: 1e20, filter: 'Prosperity' }).runes[0];
+    const boosted = listRunes(runes, { rps: 1e20, filter: 'Prosperity', boosts: [boost('runeSpeed', 2, 0, 1)], now }).runes[0];
+    assertClose(boosted.time, plain.time.sub(60));
+
+    const query = { runeName: 'Blizzard', currentCount: 0, speed: 1e5, bulk: 1e3, includePickups: false };
+    const solve = ({ rune, startCount, endCount, initialSpeed, initialBulk, initialLuck, boosts }) =>
+        calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, boosts: boostSegments(boosts, { now, rune, luck: initialLuck }) });
+    const unboosted = solve(planCompounding(runes, query).payload);
+    const { payload } = planCompounding(runes, { ...query, boosts: [boost('runeBulk', 3, 0, 60)] });
+    const { totalTime, series } = solve(payload);
+    assertClose(totalTime, unboosted.totalTime.div(3));
+    assertClose(series[series.length - 1].time, totalTime);
+
+    const { expected, low, high } = runMonteCarlo(payload.rune, 0, 6, 1e5, 1e3, { trials: 50, boosts: boostSegments(payload.boosts, { now, rune: payload.rune }) });
+    assertClose(expected, totalTime);
+    assert.ok(low.lte(high));
+});
+
+test('simulation jobs measure boosts from when they start', () => {
+    const query = { runeName: 'Blizzard', currentCount: 0, speed: 1e5, bulk: 1e3, includePickups: false };
+    const started = Date.now();
+    const { payload } = planCompounding(runes, { ...query, boosts: [{ id: 'b', stat: 'runeBulk', factor: 3, start: started, end: started + 3600 * 1000 }] });
+    const unboosted = runSimulationJob('compounding', planCompounding(runes, query).payload);
+    assertClose(runSimulationJob('compounding', payload).totalTime, BigNum.from(unboosted.totalTime).div(3));
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFileSync, spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { assertClose } from './helpers.js';
+
+const cli = fileURLToPath(new URL('../bin/rune-calc.js', import.meta.url));
+const runJson = (...args) => JSON.parse(execFileSync(process.execPath, [cli, ...args, '--json'], { encoding: 'utf8' }));
+
+test('list prints the main list as JSON', () => {
+    const { bestValueName, runes } = runJson('list', '--rps', '100Qn', '--hide-instant');
+    assert.equal(bestValueName, 'Abyssium');
+    assert.equal(runes[0].name, 'Abyssium');
+    assertClose(runes[0].time, 1.25);
+});
+
+test('time-to-max and time-to-x run the compounding solver', () => {
+    const max = runJson('time-to-max', 'blizzard', '--speed', '100K', '--bulk', '1K');
+    assert.equal(max.rune, 'Blizzard');
+    assert.equal(max.runesNeeded, 6);
+    assertClose(max.totalTime, 5329.476670630813);
+
+    const target = runJson('time-to-x', 'Overlord', '--target', '1000', '--speed', '1e30', '--bulk', '1e25');
+    assertClose(target.totalTime, 5000000.000000005);
+    assert.equal(target.series.at(-1).count, 1000);
+});
+
+test('--boost speeds up times for as long as the boost lasts', () => {
+    const max = runJson('time-to-max', 'blizzard', '--speed', '100K', '--bulk', '1K', '--boost', 'runeBulk:3:2h');
+    assertClose(max.totalTime, 5329.476670630813 / 3);
+});
+
+test('what-if gives the RPS needed for a time window', () => {
+    const { rps } = runJson('what-if', 'Superstar', '--time', '1h', '--certainty', '0.9');
+    assertClose(rps, 15990174.256903099);
+});
+
+test('text output is readable', () => {
+    const output = execFileSync(process.execPath, [cli, 'what-if', 'Superstar', '--time', '1h'], { encoding: 'utf8' });
+    assert.equal(output.trim(), 'On average, getting 1 Superstar within 1 hour needs 6.94 M RPS');
+
+    const scientific = execFileSync(process.execPath, [cli, 'what-if', 'Superstar', '--time', '1h', '--notation', 'scientific'], { encoding: 'utf8' });
+    assert.match(scientific, /needs 6\.94e\+6 RPS/);
+});
+
+test('mistakes exit with an error', () => {
+    const unknown = spawnSync(process.execPath, [cli, 'time-to-max', 'Nope', '--speed', '1', '--bulk', '1'], { encoding: 'utf8' });
+    assert.equal(unknown.status, 1);
+    assert.match(unknown.stderr, /Unknown rune "Nope"/);
+    assert.equal(spawnSync(process.execPath, [cli, 'bogus'], { encoding: 'utf8' }).status, 1);
+});
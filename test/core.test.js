@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { findRune, listRunes, planCompounding, rpsForTarget } from '../src/lib/core.js';
+import { assertClose, runes } from './helpers.js';
+
+test('findRune matches exact names first, then ignoring case', () => {
+    assert.equal(findRune(runes, 'Superstar').name, 'Superstar');
+    assert.equal(findRune(runes, 'superSTAR').name, 'Superstar');
+    assert.equal(findRune(runes, 'No such rune'), null);
+});
+
+test('listRunes times every rune at the given RPS and picks the best value', () => {
+    const { runes: listed, bestValueName } = listRunes(runes, { rps: BigNum.from(1e20), hideInstant: true });
+    assert.equal(listed.length, 42);
+    assert.deepEqual(listed.slice(0, 3).map(rune => rune.name), ['Abyssium', 'Prosperity', 'Oscillon']);
+    assertClose(listed[0].time, 1.25);
+    assertClose(listed[1].time, 250);
+    assert.equal(bestValueName, 'Abyssium');
+});
+
+test('listRunes filters by name or source and sorts either way', () => {
+    const { runes: listed, bestValueName } = listRunes(runes, { rps: 1e6, filter: 'arctic', sortOrder: 'desc' });
+    assert.ok(listed.length > 0 && listed.every(rune => rune.source === 'Arctic Rune'));
+    assert.ok(listed.every((rune, index) => index === 0 || BigNum.from(rune.chance).lte(listed[index - 1].chance)));
+    assert.equal(bestValueName, 'Blizzard');
+});
+
+test('listRunes divides chances by Rune Luck, down to 1 in 1', () => {
+    const plain = listRunes(runes, { rps: 1, filter: 'Blizzard' }).runes[0];
+    const lucky = listRunes(runes, { rps: 1, filter: 'Blizzard', luck: 1e3 }).runes[0];
+    assertClose(lucky.time, BigNum.from(plain.time).div(1e3));
+    assertClose(listRunes(runes, { rps: 1, filter: 'Blizzard', luck: 1e20 }).runes[0].time, 1);
+});
+
+test('listRunes filters by tag, source, bonus type and time range', () => {
+    const names = (options) => listRunes(runes, { rps: 1e20, ...options }).runes.map(rune => rune.name);
+    assert.deepEqual(names({ tags: ['hidden', 'exponential'] }), ['Liberty', 'Vanguard']);
+    assert.deepEqual(names({ sources: ['5M Royal'], minTime: 60, maxTime: 86400 }), ['Prosperity']);
+    assert.ok(names({ bonusTypes: ['runeLuck'] }).every(name => findRune(runes, name).bonuses.some(bonus => bonus.type === 'runeLuck')));
+});
+
+test('listRunes sorts by bonus size, max count or name', () => {
+    const { runes: byLuck } = listRunes(runes, { rps: 1e20, bonusTypes: ['runeLuck'], sortBy: 'bonus', sortOrder: 'desc' });
+    assert.deepEqual(byLuck.slice(0, 2).map(rune => rune.name), ['Oscillon', 'Kingslayer']);
+    assertClose(byLuck[0].bonusMagnitude, 1e6);
+    assert.deepEqual(listRunes(runes, { rps: 1, sortBy: 'name' }).runes.slice(0, 3).map(rune => rune.name), ['Abyssium', 'Aether', 'Apex']);
+    const byMax = listRunes(runes, { rps: 1, sortBy: 'max', sources: ['5M Royal'] }).runes.map(rune => rune.max);
+    assert.deepEqual(byMax.slice(0, 3), [400, 40000, 41500]);
+});
+
+test('planCompounding builds the solver payload', () => {
+    const { rps, runesNeeded, payload } = planCompounding(runes, { runeName: 'Blizzard', currentCount: 2, speed: 1e5, bulk: 1e3, luck: 0 });
+    assertClose(rps, 1e8);
+    assert.equal(runesNeeded, 4);
+    assert.equal(payload.rune.name, 'Blizzard');
+    assert.equal(payload.endCount, 6);
+    assert.ok(payload.initialLuck.eq(1));
+    assert.deepEqual(payload.companions.map(companion => companion.rune.name), ['Mirror', 'Frostbite', 'Glint']);
+});
+
+test('planCompounding explains when there is nothing to solve', () => {
+    assert.equal(planCompounding(runes, { runeName: 'Nope', currentCount: 0, speed: 1, bulk: 1 }).reason, 'unknown-rune');
+    assert.equal(planCompounding(runes, { runeName: 'Superstar', currentCount: 50, speed: 1, bulk: 1 }).reason, 'reached');
+    assert.equal(planCompounding(runes, { runeName: 'Superstar', currentCount: 0, targetCount: 0, speed: 1, bulk: 1 }).reason, 'reached');
+    assert.equal(planCompounding(runes, { runeName: 'Superstar', currentCount: 0, speed: 0, bulk: 1 }).reason, 'invalid-stats');
+    assert.equal(planCompounding(runes, { runeName: 'Sorcerer', currentCount: 0, speed: 1, bulk: 1 }).reason, 'no-max');
+    assert.deepEqual(planCompounding(runes, { runeName: 'Blizzard', currentCount: 0, speed: 1, bulk: 1, includePickups: false }).payload.companions, []);
+});
+
+test('rpsForTarget gives the RPS for a time window on average or with a certainty', () => {
+    const superstar = findRune(runes, 'Superstar');
+    assertClose(rpsForTarget(superstar, { duration: 3600 }), 6944444.444444444);
+    assertClose(rpsForTarget(superstar, { duration: 3600, confidence: 0.9 }), 15990174.256903099);
+    assertClose(rpsForTarget(superstar, { duration: 3600, copies: 3, luck: 10 }), 2083333.3333333335);
+    assert.ok(rpsForTarget(superstar, { duration: 0 }).eq(BigNum.INFINITY));
+    assert.ok(rpsForTarget({ chance: { value: 5, unit: 'Tokens' } }, { duration: 60 }).isZero());
+});
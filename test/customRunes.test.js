@@ -0,0 +1,85 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createNumberFormat } from '../src/lib/format.js';
+import { buildCustomRune, buildRunesPatch, emptyBonusForm, emptyRuneForm, isCustomRune, mergeCustomRunes, runeToForm, upsertCustomRune } from '../src/lib/customRunes.js';
+import { runes, scales } from './helpers.js';
+
+const { parseNumber } = createNumberFormat(scales);
+
+const nebula = { name: 'Nebula', source: 'Cryo Rune', chance: 1e300, max: 100, bonuses: [{ type: 'runeSpeed', modifier: 'multiplier', value: 1.01, max: 50 }] };
+
+test('buildCustomRune turns form values into a runes.json entry', () => {
+    const form = {
+        ...emptyRuneForm(),
+        name: ' Nebula ',
+        source: 'Cryo Rune',
+        chance: '1e300',
+        max: '100',
+        bonuses: [{ ...emptyBonusForm(), value: '1.01', max: '50' }],
+    };
+    assert.deepEqual(buildCustomRune(form, parseNumber), { rune: nebula, errors: [] });
+});
+
+test('buildCustomRune reads suffixes and reports unusable input', () => {
+    const { rune } = buildCustomRune({ ...emptyRuneForm(), name: 'A', source: 'B', chance: '5QnTg' }, parseNumber);
+    assert.equal(rune.chance, 5e108);
+
+    const { rune: missing, errors } = buildCustomRune({ ...emptyRuneForm(), chance: 'lots', bonuses: [emptyBonusForm()] }, parseNumber);
+    assert.equal(missing, null);
+    assert.deepEqual(errors, ['Name is required.', 'Source is required.', 'Chance: Couldn\'t read "lots" as a number. Try 1.5M, 1,000 QnTg, 2.5e400 or e400.', 'Bonus 1 value is required.']);
+    assert.deepEqual(buildCustomRune({ ...emptyRuneForm(), name: 'A', source: 'B', chance: '1e400' }, parseNumber).errors, ['Chance is too large to store in runes.json.']);
+});
+
+test('editing a listed rune keeps the fields the form does not cover', () => {
+    const superstar = runes.find(rune => rune.name === 'Superstar');
+    const { rune } = buildCustomRune({ ...runeToForm(superstar), chance: '3e10' }, parseNumber, superstar);
+    assert.deepEqual(rune, { ...superstar, chance: 3e10 });
+});
+
+test('editing keeps special costs and free-text caps that were left alone', () => {
+    const prosperity = runes.find(rune => rune.name === 'Prosperity');
+    assert.deepEqual(buildCustomRune(runeToForm(prosperity), parseNumber, prosperity), { rune: prosperity, errors: [] });
+
+    const special = { name: 'Gift', source: 'Shop', chance: { value: 100, unit: 'Tickets' }, bonuses: [] };
+    assert.deepEqual(buildCustomRune(runeToForm(special), parseNumber, special).rune, special);
+    assert.equal(buildCustomRune({ ...runeToForm(special), chance: '1e6' }, parseNumber, special).rune.chance, 1e6);
+});
+
+test('mergeCustomRunes tags custom runes, replacing listed ones in place', () => {
+    const replacement = { ...runes[1], chance: 1 };
+    const merged = mergeCustomRunes(runes, [nebula, replacement]);
+    assert.equal(merged.length, runes.length + 1);
+    assert.deepEqual(merged[1], { ...replacement, tags: [...replacement.tags, 'custom'] });
+    assert.ok(isCustomRune(merged.at(-1)) && !isCustomRune(merged[0]));
+});
+
+test('upsertCustomRune adds, replaces and renames', () => {
+    const added = upsertCustomRune([], nebula);
+    assert.deepEqual(upsertCustomRune(added, { ...nebula, max: 5 }), [{ ...nebula, max: 5 }]);
+    assert.deepEqual(upsertCustomRune(added, { ...nebula, name: 'Nova' }, 'Nebula').map(rune => rune.name), ['Nova']);
+});
+
+test('renaming a listed rune replaces it explicitly', () => {
+    const superstar = runes.find(rune => rune.name === 'Superstar');
+    const index = runes.indexOf(superstar);
+    const { rune: renamed } = buildCustomRune({ ...runeToForm(superstar), name: 'Superstar II', replaces: 'Superstar' }, parseNumber, superstar);
+    assert.equal(renamed.replaces, 'Superstar');
+
+    const merged = mergeCustomRunes(runes, [renamed]);
+    assert.equal(merged.length, runes.length);
+    assert.equal(merged[index].name, 'Superstar II');
+    assert.equal(merged[index].replaces, undefined);
+    assert.deepEqual(buildRunesPatch(runes, [renamed]), [{ op: 'replace', path: `/${index}`, value: { ...superstar, name: 'Superstar II' } }]);
+
+    // Without `replaces`, a rune started from a listed one is added next to it.
+    const { rune: copy } = buildCustomRune({ ...runeToForm(superstar), name: 'Superstar II' }, parseNumber, superstar);
+    assert.equal(mergeCustomRunes(runes, [copy]).length, runes.length + 1);
+});
+
+test('buildRunesPatch adds new runes and replaces corrected ones', () => {
+    const replacement = { ...runes[1], chance: 1 };
+    assert.deepEqual(buildRunesPatch(runes, [nebula, replacement]), [
+        { op: 'add', path: '/-', value: nebula },
+        { op: 'replace', path: '/1', value: replacement },
+    ]);
+});
@@ -0,0 +1,139 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { createNumberFormat, formatEta, formatTime, parseDuration, FOREVER_QUOTES } from '../src/lib/format.js';
+import { assertClose, scales } from './helpers.js';
+
+const { parseNumber, formatNumber, formatChance, formatDuration } = createNumberFormat(scales);
+
+test('formatNumber writes small integers as they are and larger values with a suffix', () => {
+    assert.equal(formatNumber(0), '0');
+    assert.equal(formatNumber(999), '999');
+    assert.equal(formatNumber(1000), '1 K');
+    assert.equal(formatNumber(1234567), '1.23 M');
+    assert.equal(formatNumber(1.5e18), '1.5 Qn');
+    assert.equal(formatNumber(1e300), '1 NoNg');
+});
+
+test('formatNumber writes negative values like positive ones', () => {
+    assert.equal(formatNumber(-5), '-5');
+    assert.equal(formatNumber(-5e6), '-5 M');
+    assert.equal(formatNumber(-0.25), '-0.250');
+    assert.equal(formatNumber(parseNumber('-1.5qd').value), '-1.5 Qd');
+});
+
+test('formatNumber falls back to scientific notation past the largest suffix', () => {
+    assert.equal(formatNumber(BigNum.from('1e400')), '1.00e+400');
+    assert.equal(formatNumber(BigNum.INFINITY), '...');
+    assert.equal(formatNumber('12'), '0');
+});
+
+test('parseNumber reads suffixes, case-insensitively where unambiguous', () => {
+    assert.equal(parseNumber('1M').value.toNumber(), 1e6);
+    assert.equal(parseNumber('1.5qd').value.toNumber(), 1.5e15);
+    assert.equal(parseNumber('11.9QnTg').value.toString(), '1.19e+109');
+    assert.equal(parseNumber('1qg').value.toString(), '1e+123');
+});
+
+test('parseNumber warns about suffixes that differ only by case', () => {
+    const { value, warning } = parseNumber('1qG');
+    assert.ok(value.isZero());
+    assert.match(warning, /ambiguous.*qg, Qg/);
+});
+
+test('parseNumber reads scientific notation exactly and treats junk as zero', () => {
+    assert.equal(parseNumber('2e400').value.toString(), '2e+400');
+    assert.equal(parseNumber('1000').value.toNumber(), 1000);
+    assert.ok(parseNumber('abc').value.isZero());
+    assert.match(parseNumber('abc').warning, /Couldn't read "abc"/);
+    assert.deepEqual(parseNumber('  '), { value: BigNum.ZERO, warning: null, reading: null });
+});
+
+test('parseNumber reads separators, signs, powers of ten and suffixes after them', () => {
+    assert.equal(parseNumber('1,000 QnTg').value.toString(), '1e+111');
+    assert.equal(parseNumber('1_000_000').value.toNumber(), 1e6);
+    assert.equal(parseNumber('1.2e45').value.toString(), '1.2e+45');
+    assert.equal(parseNumber('1.5 x 10^45').value.toString(), '1.5e+45');
+    assert.equal(parseNumber('1.2E+3 K').value.toNumber(), 1.2e6);
+    assert.equal(parseNumber('-5').value.toNumber(), -5);
+    assert.equal(parseNumber('e400').value.toString(), '1e+400');
+    assertClose(parseNumber('10^2.5').value.toNumber(), Math.pow(10, 2.5));
+    assert.match(parseNumber('1,5').warning, /Couldn't read/);
+    assert.match(parseNumber('5 lots').warning, /'lots' isn't a known suffix/);
+});
+
+test('parseNumber explains how it read the input', () => {
+    assert.equal(parseNumber('1,000 QnTg').reading, '1000 × QnTg (1e+108) = 1e+111');
+    assert.equal(parseNumber('1qg').reading, '1 × qg (1e+123) = 1e+123');
+    assert.equal(parseNumber('1.2e45').reading, '1.2 × 10^45 = 1.2e+45');
+    assert.equal(parseNumber('e400').reading, '10^400 = 1e+400');
+    assert.equal(parseNumber('1000').reading, '1000');
+    assert.equal(parseNumber('1qG').reading, null);
+});
+
+test('formatNumber writes large values in the chosen notation', () => {
+    const write = (notation, value) => createNumberFormat(scales, { notation }).formatNumber(value);
+    assert.equal(write('scientific', 1.5e109), '1.50e+109');
+    assert.equal(write('engineering', 1.5e109), '15.0e+108');
+    assert.equal(write('engineering', 999.9e6), '1.00e+9');
+    assert.equal(write('log', 1.5e109), 'e109.18');
+    assert.equal(write('log', BigNum.from('1e400')), 'e400.00');
+    // Below 1000, every notation writes the number out.
+    assert.equal(write('scientific', 999), '999');
+    assert.equal(createNumberFormat(scales, { notation: 'scientific' }).formatChance({ chance: 2.5e10 }), '1 / 2.50e+10');
+});
+
+test('formatChance describes rolled and special-cost runes', () => {
+    assert.equal(formatChance({ chance: 2.5e10 }), '1 / 25 B (3e+10)');
+    assert.equal(formatChance({ chance: { value: 5, unit: 'Tokens' } }), '5 Tokens');
+    assert.equal(formatChance({}), 'N/A');
+});
+
+test('formatTime shows up to three units', () => {
+    assert.equal(formatTime(0.5), 'Instant');
+    assert.equal(formatTime(1), '1 second');
+    assert.equal(formatTime(3661), '1 hour, 1 minute, 1 second');
+    assert.equal(formatTime(90061), '1 day, 1 hour, 1 minute');
+    assert.equal(formatTime(2 * 31536000 + 5), '2 years, 5 seconds');
+    assert.equal(formatTime(-1), '...');
+    assert.equal(formatTime(BigNum.INFINITY), '...');
+});
+
+test('formatTime picks a quote past 100 years', () => {
+    assert.equal(formatTime(BigNum.from('1e20'), () => 0), FOREVER_QUOTES[0]);
+    assert.ok(FOREVER_QUOTES.includes(formatTime(101 * 31536000)));
+});
+
+test('formatTime can show fewer or more units', () => {
+    assert.equal(formatTime(90061, Math.random, 1), '1 day');
+    assert.equal(formatTime(90061, Math.random, 5), '1 day, 1 hour, 1 minute, 1 second');
+});
+
+test('formatDuration has a precise mode for sub-second and very long times', () => {
+    assert.equal(formatDuration(90061), '1 day, 1 hour, 1 minute');
+    assert.equal(formatDuration(0.25, { precise: true }), '0.25 seconds');
+    assert.equal(formatDuration(0, { precise: true }), '0 seconds');
+    assert.equal(formatDuration(3661.5, { precise: true }), '1 hour, 1 minute, 1.5 seconds');
+    assert.equal(formatDuration(5400, { precise: true, units: 1 }), '1.5 hours');
+    assert.equal(formatDuration(BigNum.from('3.2e15').mul(31536000), { precise: true }), '3.2 Qd years');
+    assert.equal(formatDuration(BigNum.INFINITY, { precise: true }), '...');
+});
+
+test('formatEta gives the wall-clock finish time, with the year when it differs', () => {
+    const now = Date.UTC(2026, 9, 19, 12, 0);
+    const options = { now, locale: 'en-GB', timeZone: 'UTC' };
+    assert.equal(formatEta(2 * 86400 + 9000, options), 'done Wed 21 Oct, 14:30');
+    assert.equal(formatEta(400 * 86400, options), 'done Tue, 23 Nov 2027, 12:00');
+    assert.equal(formatEta(0.5, options), null);
+    assert.equal(formatEta(BigNum.from('1e20'), options), null);
+});
+
+test('parseDuration reads short and long unit names', () => {
+    assert.equal(parseDuration('90'), 90);
+    assert.equal(parseDuration('30m'), 1800);
+    assert.equal(parseDuration('1.5 hours'), 5400);
+    assert.equal(parseDuration('2 days'), 172800);
+    assert.equal(parseDuration('1w'), 604800);
+    assert.equal(parseDuration('1 fortnight'), null);
+    assert.equal(parseDuration(''), null);
+});
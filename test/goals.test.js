@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { createGoal, describeGoal, dueGoals, goalNotification, goalProgress, loadGoals, notificationSchedule } from '../src/lib/goals.js';
+
+const now = Date.UTC(2026, 9, 19, 22);
+const formatNumber = String;
+
+test('createGoal stores when a goal started and its ETA', () => {
+    const goal = createGoal({ runeName: 'Blizzard', fromCount: 0, targetCount: 6, seconds: BigNum.from(3600), now });
+    assert.equal(goal.start, now);
+    assert.equal(goal.eta, now + 3600 * 1000);
+    assert.equal(goal.notified, false);
+    assert.equal(describeGoal(goal, formatNumber), 'Blizzard 0 → 6');
+    assert.equal(createGoal({ runeName: 'Gleam', seconds: BigNum.from('1e300'), now }).eta, null);
+    assert.equal(describeGoal(createGoal({ runeName: 'Gleam', seconds: 10, now }), formatNumber), 'Next Gleam');
+});
+
+test('goalProgress counts down to the ETA', () => {
+    const goal = createGoal({ runeName: 'Blizzard', fromCount: 0, targetCount: 6, seconds: 100, now });
+    assert.deepEqual(goalProgress(goal, now + 25 * 1000), { fraction: 0.25, remaining: 75, isDone: false });
+    assert.deepEqual(goalProgress(goal, now + 200 * 1000), { fraction: 1, remaining: 0, isDone: true });
+    assert.equal(goalProgress({ ...goal, eta: null }, now).remaining, Infinity);
+});
+
+test('due goals are announced once, running ones are scheduled', () => {
+    const done = createGoal({ runeName: 'Blizzard', fromCount: 0, targetCount: 6, seconds: 10, now });
+    const running = createGoal({ runeName: 'Gleam', seconds: 1000, now });
+    const announced = { ...createGoal({ runeName: 'Mirror', seconds: 10, now }), notified: true };
+    const later = now + 60 * 1000;
+    assert.deepEqual(dueGoals([done, running, announced], later), [done]);
+    assert.deepEqual(notificationSchedule([done, running, announced], formatNumber, later), [goalNotification(running, formatNumber)]);
+    assert.deepEqual(goalNotification(done, formatNumber), { tag: done.id, at: done.eta, title: 'Rune goal reached', body: 'Blizzard should be at 6 by now.' });
+
+    const storage = { getItem: () => JSON.stringify([done, { runeName: 'Broken' }]) };
+    assert.deepEqual(loadGoals(storage), [done]);
+});
@@ -0,0 +1,17 @@
+import { readFileSync } from 'node:fs';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+
+const readJson = (file) => JSON.parse(readFileSync(new URL(`../public/${file}`, import.meta.url), 'utf8'));
+
+// The data bundled with the app, so the pinned numbers below match what the site shows.
+export const runes = readJson('runes.json');
+export const scales = readJson('scales.json');
+
+// Relative comparison for BigNums and numbers; the solver's results are floating point.
+export const assertClose = (actual, expected, tolerance = 1e-9) => {
+    const a = BigNum.from(actual);
+    const e = BigNum.from(expected);
+    const error = e.isZero() ? a.abs().toNumber() : a.sub(e).abs().div(e.abs()).toNumber();
+    assert.ok(error <= tolerance, `expected ${a} to be within ${tolerance} of ${e}`);
+};
@@ -0,0 +1,37 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { boostSegments } from '../src/lib/boosts.js';
+import { runGoalQueue } from '../src/lib/optimizer.js';
+import { assertClose, runes } from './helpers.js';
+
+const stats = { inventory: {}, speed: 1e5, bulk: 1e3, luck: 1 };
+
+test('runGoalQueue carries counts and stats from step to step', () => {
+    const { steps, totalTime } = runGoalQueue({ runes, ...stats, steps: [{ runeName: 'Blizzard', targetCount: 3 }, { runeName: 'Blizzard', targetCount: null }] });
+    assert.deepEqual(steps.map(step => [step.fromCount, step.toCount]), [[0, 3], [3, 6]]);
+    // Splitting time to max in two changes nothing: the second step starts where the first left off.
+    assertClose(totalTime, 5329.476670630813);
+    assertClose(steps[1].elapsed, totalTime);
+    assertClose(steps[0].time.add(steps[1].time), totalTime);
+    assertClose(steps[1].rpsAfter, 1.3e8);
+});
+
+test('runGoalQueue skips steps it cannot run and reorders freely', () => {
+    const { steps } = runGoalQueue({ runes, ...stats, inventory: { Blizzard: '6' }, steps: [{ runeName: 'Nope', targetCount: 1 }, { runeName: 'Blizzard', targetCount: null }] });
+    assert.deepEqual(steps.map(step => step.note), ['unknown-rune', 'reached']);
+    assert.ok(steps.every(step => step.time.isZero()));
+
+    const queue = [{ runeName: 'Prosperity', targetCount: 10 }, { runeName: 'Blizzard', targetCount: 6 }];
+    const forward = runGoalQueue({ runes, ...stats, steps: queue });
+    const backward = runGoalQueue({ runes, ...stats, steps: [...queue].reverse() });
+    assert.ok(!forward.totalTime.eq(backward.totalTime));
+});
+
+test('runGoalQueue spreads timed boosts over the whole queue', () => {
+    const now = Date.UTC(2026, 9, 19, 12);
+    const boosts = boostSegments([{ stat: 'runeSpeed', factor: 2, start: now, end: now + 3600 * 1000 }], { now });
+    const { steps, totalTime } = runGoalQueue({ runes, ...stats, boosts, steps: [{ runeName: 'Blizzard', targetCount: 3 }, { runeName: 'Blizzard', targetCount: 6 }] });
+    // 5329s of work: the first hour does 7200s of it.
+    assertClose(totalTime, 5329.476670630813 / 2);
+    assertClose(steps[0].time, 2859.410430839 / 2);
+});
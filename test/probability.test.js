@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { chanceWithin, gammaQuantile, regularizedGammaP, requiredRpsFor, timePercentile } from '../src/lib/probability.js';
+import { assertClose } from './helpers.js';
+
+test('regularizedGammaP matches the exponential and Poisson cases', () => {
+    assertClose(regularizedGammaP(1, 2), 1 - Math.exp(-2));
+    // At least 3 events when 2 are expected: 1 - e^-2 (1 + 2 + 2).
+    assertClose(regularizedGammaP(3, 2), 1 - 5 * Math.exp(-2));
+    assertClose(regularizedGammaP(3, 10), 1 - 61 * Math.exp(-10));
+    assert.equal(regularizedGammaP(5, 0), 0);
+    assert.equal(regularizedGammaP(5, Infinity), 1);
+});
+
+test('regularizedGammaP stays at about one half at the mean for huge shapes', () => {
+    for (let exponent = 3; exponent <= 9; exponent++) {
+        const a = 10 ** exponent;
+        // P(a, a) = 1/2 + 1 / (3 sqrt(2 pi a)) + O(1/a).
+        const expected = 0.5 + 1 / (3 * Math.sqrt(2 * Math.PI * a));
+        assert.ok(Math.abs(regularizedGammaP(a, a) - expected) < 1e-4, `P(${a}, ${a}) = ${regularizedGammaP(a, a)}`);
+    }
+    // Two standard deviations either side.
+    assert.ok(Math.abs(regularizedGammaP(1e8, 1e8 + 2e4) - 0.97725) < 1e-4);
+    assert.ok(Math.abs(regularizedGammaP(1e8, 1e8 - 2e4) - 0.02275) < 1e-4);
+});
+
+test('gammaQuantile inverts P against known percentiles', () => {
+    assertClose(gammaQuantile(1, 0.5), Math.LN2);
+    assertClose(gammaQuantile(2, 0.5), 1.6783469900166608, 1e-9);
+    // Chi-squared with 20 degrees of freedom has its 90th percentile at 28.41198, and Gamma(10) is half of it.
+    assertClose(gammaQuantile(10, 0.9), 28.41198 / 2, 1e-6);
+    assertClose(gammaQuantile(1e8, 0.5), 1e8 - 1 / 3, 1e-9);
+    assert.equal(gammaQuantile(3, 0), 0);
+    assert.equal(gammaQuantile(3, 1), Infinity);
+});
+
+test('percentile times, odds and required RPS', () => {
+    assertClose(timePercentile(3600, 0.5), 3600 * Math.LN2);
+    assertClose(chanceWithin(3600, 3600), 1 - Math.exp(-1));
+    assertClose(requiredRpsFor(1e6, 3600, 0.5), (1e6 * Math.LN2) / 3600);
+    assertClose(requiredRpsFor(1e6, 3600, 0.9, 10), (1e6 * 28.41198) / 2 / 3600, 1e-6);
+});
@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PROFILE_FORMAT_VERSION, loadProfileStore, migrateProfileData, parseProfileImport, saveProfileStore } from '../src/lib/profiles.js';
+
+const memoryStorage = (entries = {}) => ({
+    entries: { ...entries },
+    getItem(key) {
+        return key in this.entries ? this.entries[key] : null;
+    },
+    setItem(key, value) {
+        this.entries[key] = value;
+    },
+});
+
+const legacy = {
+    runeCalc_runeSpeed: '1M',
+    runeCalc_includePickups: 'false',
+    runeCalc_inventory: '{"Blizzard":"3"}',
+    runeCalc_monteCarlo: 'true',
+};
+
+test('migrateProfileData turns the pre-profile keys into typed fields', () => {
+    assert.deepEqual(migrateProfileData(legacy, 0), { runeSpeed: '1M', includePickups: false, monteCarlo: true, inventory: { Blizzard: '3' } });
+    assert.deepEqual(migrateProfileData({ ...legacy, runeCalc_inventory: '{broken' }, 0).inventory, undefined);
+    assert.deepEqual(migrateProfileData({ runeSpeed: 5, runeBulk: '2' }, PROFILE_FORMAT_VERSION), { runeBulk: '2' });
+});
+
+test('parseProfileImport reads the legacy layout as one profile', () => {
+    assert.deepEqual(parseProfileImport(JSON.stringify(legacy)), [{ name: 'Imported', data: migrateProfileData(legacy, 0) }]);
+    assert.throws(() => parseProfileImport('{"format":"rune-calculator-profiles","version":99,"profiles":[]}'), /newer version/);
+    assert.throws(() => parseProfileImport('{"other":1}'), /isn't a Rune Calculator/);
+    assert.throws(() => parseProfileImport('{"format":"rune-calculator-profiles","profiles":[{"name":"Main","data":{}}]}'), /doesn't say which profile format/);
+});
+
+test('loadProfileStore builds a Default profile from the legacy keys', () => {
+    const store = loadProfileStore(memoryStorage(legacy));
+    assert.equal(store.profiles[0].name, 'Default');
+    assert.deepEqual(store.profiles[0].data, migrateProfileData(legacy, 0));
+    assert.equal(store.readOnly, undefined);
+});
+
+test('profiles this version cannot read are never overwritten', () => {
+    const newer = JSON.stringify({ version: PROFILE_FORMAT_VERSION + 1, activeId: 'a', profiles: [{ id: 'a', name: 'Main', data: {} }] });
+    const versionless = JSON.stringify({ activeId: 'a', profiles: [{ id: 'a', name: 'Main', data: {} }] });
+    for (const [saved, reason] of [[newer, 'newer'], ['{not json', 'unreadable'], [versionless, 'unreadable']]) {
+        const storage = memoryStorage({ ...legacy, runeCalc_profiles: saved });
+        const store = loadProfileStore(storage);
+        assert.equal(store.readOnly, reason);
+        saveProfileStore(storage, store);
+        assert.equal(storage.getItem('runeCalc_profiles'), saved);
+    }
+});
+
+test('version 1 profiles load as they are and keep the fields added since', () => {
+    const data = { runeSpeed: '1M', goalQueue: [] };
+    const saved = JSON.stringify({ version: 1, activeId: 'a', profiles: [{ id: 'a', name: 'Main', data }] });
+    const store = loadProfileStore(memoryStorage({ runeCalc_profiles: saved }));
+    assert.equal(store.readOnly, undefined);
+    assert.equal(store.version, PROFILE_FORMAT_VERSION);
+    assert.deepEqual(store.profiles[0].data, data);
+    assert.deepEqual(parseProfileImport(JSON.stringify({ format: 'rune-calculator-profiles', version: 1, profiles: [{ name: 'Main', data }] })), [{ name: 'Main', data }]);
+});
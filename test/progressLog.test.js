@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { calibrateModel, createSnapshot, sanitizeProgressLog } from '../src/lib/progressLog.js';
+import { assertClose, runes } from './helpers.js';
+
+const start = Date.UTC(2026, 9, 19, 12);
+const snapshot = (seconds, counts, speed = '1e5', bulk = '1e3') => ({ at: start + seconds * 1000, counts, speed, bulk, luck: '1' });
+
+test('createSnapshot keeps owned counts and stats as strings', () => {
+    const taken = createSnapshot({ runes, inventory: { Blizzard: '3', Mirror: '', Nope: '5' }, speed: BigNum.from('1e400'), bulk: 10, luck: BigNum.ONE, at: start });
+    assert.deepEqual(taken, { at: start, counts: { Blizzard: 3 }, speed: '1e+400', bulk: '10', luck: '1' });
+});
+
+test('sanitizeProgressLog drops malformed snapshots and sorts by time', () => {
+    const log = [snapshot(60, {}), { at: 'soon', counts: {} }, snapshot(0, {}), { ...snapshot(30, {}), speed: 'fast' }];
+    assert.deepEqual(sanitizeProgressLog(log).map(entry => entry.at), [start, start + 60000]);
+    assert.deepEqual(sanitizeProgressLog(null), []);
+});
+
+test('calibrateModel compares observed times with the solver', () => {
+    // Time to max Blizzard at these stats, with its companions picked up along the way, is 5329.48s.
+    const log = [snapshot(0, {}), snapshot(5329.476670630813 * 1.25, { Blizzard: 6 }), snapshot(10000, { Blizzard: 6 })];
+    const { observations, byRune, bySource, overall } = calibrateModel({ runes, log });
+    assert.equal(observations.length, 1);
+    assert.equal(observations[0].gained, 6);
+    assertClose(observations[0].predicted, 5329.476670630813);
+    assert.equal(byRune[0].name, 'Blizzard');
+    assertClose(byRune[0].factor, 1.25);
+    assertClose(byRune[0].error, -0.2);
+    assert.equal(byRune[0].isRough, true);
+    assert.equal(bySource[0].name, observations[0].source);
+    assertClose(overall.factor, 1.25);
+
+    assert.equal(calibrateModel({ runes, log: [snapshot(0, {})] }).overall, null);
+});
+
+test('calibrateModel counts runes picked up from the same source once, with the rarest as the one farmed', () => {
+    // Farming Frostbite to max at these stats also maxes Blizzard and Mirror, in 3009.23s.
+    const maxed = { Frostbite: 10000000, Blizzard: 6, Mirror: 200000000 };
+    const log = [snapshot(0, {}, '1e95', '1e5'), snapshot(6000, maxed, '1e95', '1e5')];
+    const { observations, bySource, overall } = calibrateModel({ runes, log });
+    assert.equal(observations.length, 1);
+    assert.equal(observations[0].rune, 'Frostbite');
+    assert.deepEqual(observations[0].pickups, ['Blizzard', 'Mirror']);
+    assertClose(observations[0].predicted, 3009.230188597258);
+    assert.equal(bySource.length, 1);
+    assert.equal(overall.observed, 6000);
+    assertClose(overall.factor, 6000 / 3009.230188597258);
+});
+
+test('calibrateModel splits a window between sources by their predictions', () => {
+    const log = [snapshot(0, {}), snapshot(8000, { Blizzard: 6, Prosperity: 1 })];
+    const { observations, overall } = calibrateModel({ runes, log });
+    assert.equal(observations.length, 2);
+    assertClose(observations.reduce((sum, entry) => sum + entry.observed, 0), 8000);
+    assert.equal(overall.observed, 8000);
+    assertClose(observations[0].observed / observations[1].observed, observations[0].predicted.div(observations[1].predicted).toNumber());
+});
@@ -0,0 +1,42 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { findRune, listRunes } from '../src/lib/core.js';
+import { nextCopyGain, runeValue } from '../src/lib/roi.js';
+import { assertClose, runes } from './helpers.js';
+
+const stats = { speed: 1e10, bulk: 1e10, luck: 1 };
+
+test('nextCopyGain applies the solver\'s modifier semantics', () => {
+    // x1.01 Rune Speed per copy.
+    assertClose(nextCopyGain(findRune(runes, 'Prosperity'), 0, stats).rps, 0.01);
+    // +24 Rune Bulk per copy, measured against the current bulk.
+    assertClose(nextCopyGain(findRune(runes, 'Overlord'), 0, { ...stats, bulk: 240 }).rps, 0.1);
+    // Kingslayer's Rune Luck and Rune Speed grow linearly, +0.25x per copy: 1 -> 1.25, then 1.75 -> 2.
+    const kingslayer = nextCopyGain(findRune(runes, 'Kingslayer'), 0, stats);
+    assertClose(kingslayer.rps, 0.25);
+    assertClose(kingslayer.runeLuck, 0.25);
+    assertClose(nextCopyGain(findRune(runes, 'Kingslayer'), 3, stats).rps, 2 / 1.75 - 1);
+});
+
+test('nextCopyGain is zero for maxed runes and runes without RPS bonuses', () => {
+    assert.ok(nextCopyGain(findRune(runes, 'Kingslayer'), 400, stats).rps.isZero());
+    assert.ok(nextCopyGain(findRune(runes, 'Superstar'), 0, stats).rps.isZero());
+});
+
+test('runeValue divides the combined gain by the time for a copy', () => {
+    const kingslayer = findRune(runes, 'Kingslayer');
+    const { gain, value } = runeValue(kingslayer, { time: 100, stats, extras: ['runeLuck'] });
+    assertClose(gain, 1.5625 - 1);
+    assertClose(value, 0.005625);
+    assert.ok(runeValue(kingslayer, { time: 100, stats, inventory: { Kingslayer: 400 } }).value.isZero());
+    assert.deepEqual(runeValue({ chance: { value: 5, unit: 'Tokens' } }, { time: 1, stats }), { gain: null, value: null });
+});
+
+test('listRunes sorts by value and counts owned copies', () => {
+    const options = { rps: 1e20, speed: 1e10, bulk: 1e10, hideInstant: true, sortBy: 'value', sortOrder: 'desc' };
+    const { runes: listed, bestValueName } = listRunes(runes, options);
+    assert.equal(bestValueName, listed[0].name);
+    assert.ok(listed.every((rune, index) => index === 0 || rune.value === null || rune.value.lte(listed[index - 1].value)));
+    const { bestValueName: withoutBest } = listRunes(runes, { ...options, inventory: { [bestValueName]: 1e300 } });
+    assert.notEqual(withoutBest, bestValueName);
+});
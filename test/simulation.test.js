@@ -0,0 +1,72 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { BigNum } from '../src/lib/bigNumber.js';
+import { planCompounding } from '../src/lib/core.js';
+import { projectStats } from '../src/lib/formulas.js';
+import { calculateCompoundingTime, expectedPickups } from '../src/lib/simulation.js';
+import { assertClose, runes } from './helpers.js';
+
+const solve = (query) => {
+    const { payload } = planCompounding(runes, query);
+    const { rune, startCount, endCount, initialSpeed, initialBulk, initialLuck, companions } = payload;
+    return calculateCompoundingTime(rune, startCount, endCount, initialSpeed, initialBulk, { luck: initialLuck, companions });
+};
+
+test('runes without speed or bulk bonuses take chance / RPS per copy', () => {
+    const { totalTime, finalRps, series } = calculateCompoundingTime({ name: 'Plain', chance: 1000, bonuses: [] }, 0, 10, 10, 10);
+    assertClose(totalTime, 100);
+    assertClose(finalRps, 100);
+    assert.equal(series.length, 11);
+});
+
+test('the chunked solver matches adding up every copy', () => {
+    const rune = { name: 'Compounding', chance: 1000, bonuses: [{ type: 'runeSpeed', modifier: 'multiplier', value: 1.1, max: 5 }] };
+    let expected = 0;
+    for (let count = 0; count < 40; count++) {
+        const stats = projectStats(rune, { runeSpeed: BigNum.from(10), runeBulk: BigNum.from(10), runeLuck: BigNum.ONE }, 0, count);
+        expected += 1000 / stats.runeSpeed.mul(stats.runeBulk).toNumber();
+    }
+    const { totalTime, finalRps } = calculateCompoundingTime(rune, 0, 40, 10, 10);
+    assertClose(totalTime, expected, 1e-9);
+    assertClose(finalRps, 500);
+});
+
+test('time to max pins the bundled data', () => {
+    const blizzard = solve({ runeName: 'Blizzard', currentCount: 0, speed: 1e5, bulk: 1e3 });
+    assertClose(blizzard.totalTime, 5329.476670630813);
+    assertClose(blizzard.finalRps, 1.3e8);
+
+    const frostbite = solve({ runeName: 'Frostbite', currentCount: 0, speed: BigNum.from('1e95'), bulk: 1e5 });
+    assertClose(frostbite.totalTime, 3009.230188597258);
+    assertClose(frostbite.finalRps, BigNum.from('6.5e109'));
+    assert.deepEqual({ Blizzard: frostbite.companionCounts.Blizzard, Mirror: frostbite.companionCounts.Mirror }, { Blizzard: 6, Mirror: 200000000 });
+});
+
+test('time to X pins the bundled data', () => {
+    const overlord = solve({ runeName: 'Overlord', currentCount: 0, targetCount: 1000, speed: BigNum.from('1e30'), bulk: BigNum.from('1e25') });
+    assertClose(overlord.totalTime, 5000000.000000005);
+    assertClose(overlord.finalRps, BigNum.from('1e55'));
+});
+
+test('Rune Luck divides the time for runes it applies to', () => {
+    const lucky = solve({ runeName: 'Frostbite', currentCount: 0, speed: BigNum.from('1e95'), bulk: 1e5, luck: 100 });
+    assertClose(lucky.totalTime, 30.092301885972578);
+});
+
+test('companion pickups follow the chances rolled at the current luck', () => {
+    const target = { name: 'Target', chance: 1e6 };
+    const rare = { name: 'Rare', chance: 1e9 };
+    assertClose(expectedPickups(target, rare, 1), 1e-3);
+    // x1e7 luck floors the target at 1/1 but only brings the rare one down to 1/100.
+    assertClose(expectedPickups(target, rare, 1, 1e7), 1e-2);
+    assertClose(expectedPickups(target, { ...rare, ignoresLuck: true }, 1, 1e3), 1e-6);
+});
+
+test('the growth series runs from the start count to the end count', () => {
+    const { series, totalTime } = solve({ runeName: 'Frostbite', currentCount: 0, speed: BigNum.from('1e95'), bulk: 1e5 });
+    assert.equal(series[0].count, 0);
+    assert.ok(series[0].time.isZero());
+    assert.equal(series.at(-1).count, 10000000);
+    assertClose(series.at(-1).time, totalTime);
+    assert.ok(series.every((point, index) => index === 0 || (point.count > series[index - 1].count && point.time.gte(series[index - 1].time))));
+});
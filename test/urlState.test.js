@@ -0,0 +1,18 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { decodeAppState, encodeAppState } from '../src/lib/urlState.js';
+import { DEFAULT_LIST_FILTERS, sanitizeListFilters } from '../src/lib/profiles.js';
+
+test('shared links round-trip the inputs, list filters and sort key included', () => {
+    const listFilters = { ...DEFAULT_LIST_FILTERS, sortBy: 'value', tags: ['limited'], minTime: '1m', valueExtras: ['runeLuck'] };
+    const state = { activeTab: 'calculator', runeSpeed: '1M', sortOrder: 'desc', hideInstant: false, listFilters };
+    const decoded = decodeAppState(encodeAppState(state));
+    assert.deepEqual(decoded, { ...state, listFilters: { sortBy: 'value', tags: ['limited'], minTime: '1m', valueExtras: ['runeLuck'] } });
+    assert.deepEqual(sanitizeListFilters(decoded.listFilters), listFilters);
+});
+
+test('decodeAppState ignores malformed links and other versions', () => {
+    assert.equal(decodeAppState('2.e30'), null);
+    assert.equal(decodeAppState('1.!!'), null);
+    assert.deepEqual(decodeAppState(encodeAppState({ runeFilter: '' })), {});
+});